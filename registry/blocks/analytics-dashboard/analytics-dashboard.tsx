@@ -0,0 +1,270 @@
+"use client"
+
+import * as React from "react"
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, XAxis } from "recharts"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import { Badge } from "@/registry/new-york-v4/ui/badge"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/registry/new-york-v4/ui/card"
+import {
+  ChartContainer,
+  ChartLegend,
+  ChartLegendContent,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from "@/registry/new-york-v4/ui/chart"
+import { Tabs, TabsList, TabsTrigger } from "@/registry/new-york-v4/ui/tabs"
+
+export type AnalyticsPoint = {
+  /** ISO date, e.g. "2024-06-30". */
+  date: string
+  visitors: number
+  pageViews: number
+  conversions: number
+  revenue: number
+}
+
+export type TimeRange = "7d" | "30d" | "90d"
+
+const TIME_RANGES: { value: TimeRange; label: string; days: number }[] = [
+  { value: "7d", label: "7 days", days: 7 },
+  { value: "30d", label: "30 days", days: 30 },
+  { value: "90d", label: "90 days", days: 90 },
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const trafficConfig = {
+  visitors: { label: "Visitors", color: "var(--chart-1)" },
+  pageViews: { label: "Page views", color: "var(--chart-2)" },
+} satisfies ChartConfig
+
+const conversionsConfig = {
+  conversions: { label: "Conversions", color: "var(--chart-3)" },
+} satisfies ChartConfig
+
+// Points in the `days` before `end`, and in the same span before that
+function splitRange(data: AnalyticsPoint[], end: number, days: number) {
+  const start = end - days * DAY_MS
+  const previousStart = start - days * DAY_MS
+  const time = (point: AnalyticsPoint) => new Date(point.date).getTime()
+
+  return {
+    current: data.filter((point) => time(point) > start && time(point) <= end),
+    previous: data.filter(
+      (point) => time(point) > previousStart && time(point) <= start
+    ),
+  }
+}
+
+function total(points: AnalyticsPoint[], key: keyof Omit<AnalyticsPoint, "date">) {
+  return points.reduce((sum, point) => sum + point[key], 0)
+}
+
+// Percent change, or null without a previous value to compare against
+function change(current: number, previous: number) {
+  return previous === 0 ? null : ((current - previous) / previous) * 100
+}
+
+function formatDate(value: string) {
+  return new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  })
+}
+
+function KpiCard({
+  title,
+  value,
+  delta,
+}: {
+  title: string
+  value: string
+  delta: number | null
+}) {
+  return (
+    <Card data-slot="analytics-kpi">
+      <CardHeader>
+        <CardDescription>{title}</CardDescription>
+        <CardTitle className="text-2xl tabular-nums">{value}</CardTitle>
+        {delta !== null && (
+          <Badge variant="outline" className="w-fit tabular-nums">
+            {delta >= 0 ? "+" : ""}
+            {delta.toFixed(1)}%
+          </Badge>
+        )}
+      </CardHeader>
+    </Card>
+  )
+}
+
+function AnalyticsDashboard({
+  data,
+  title = "Analytics",
+  defaultRange = "30d",
+  currency = "USD",
+  className,
+}: {
+  data: AnalyticsPoint[]
+  title?: React.ReactNode
+  defaultRange?: TimeRange
+  currency?: string
+  className?: string
+}) {
+  const [range, setRange] = React.useState<TimeRange>(defaultRange)
+
+  // Ranges end at the latest point, so historical data works as well
+  const end = React.useMemo(
+    () => Math.max(...data.map((point) => new Date(point.date).getTime())),
+    [data]
+  )
+  const days = TIME_RANGES.find((option) => option.value === range)!.days
+  const { current, previous } = React.useMemo(
+    () => splitRange(data, end, days),
+    [data, end, days]
+  )
+
+  const visitors = total(current, "visitors")
+  const conversions = total(current, "conversions")
+  const revenue = total(current, "revenue")
+  const rate = visitors === 0 ? 0 : (conversions / visitors) * 100
+  const previousVisitors = total(previous, "visitors")
+  const previousRate =
+    previousVisitors === 0
+      ? 0
+      : (total(previous, "conversions") / previousVisitors) * 100
+
+  const money = new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 0,
+  })
+
+  return (
+    <div
+      data-slot="analytics-dashboard"
+      className={cn("flex flex-col gap-4", className)}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{title}</h2>
+        <Tabs value={range} onValueChange={(value) => setRange(value as TimeRange)}>
+          <TabsList>
+            {TIME_RANGES.map((option) => (
+              <TabsTrigger key={option.value} value={option.value}>
+                {option.label}
+              </TabsTrigger>
+            ))}
+          </TabsList>
+        </Tabs>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <KpiCard
+          title="Visitors"
+          value={visitors.toLocaleString()}
+          delta={change(visitors, previousVisitors)}
+        />
+        <KpiCard
+          title="Page views"
+          value={total(current, "pageViews").toLocaleString()}
+          delta={change(total(current, "pageViews"), total(previous, "pageViews"))}
+        />
+        <KpiCard
+          title="Conversion rate"
+          value={`${rate.toFixed(2)}%`}
+          delta={change(rate, previousRate)}
+        />
+        <KpiCard
+          title="Revenue"
+          value={money.format(revenue)}
+          delta={change(revenue, total(previous, "revenue"))}
+        />
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-3">
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Traffic</CardTitle>
+            <CardDescription>Visitors and page views per day</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ChartContainer config={trafficConfig} className="aspect-auto h-64 w-full">
+              <AreaChart data={current} margin={{ left: 12, right: 12 }}>
+                <CartesianGrid vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  tickLine={false}
+                  axisLine={false}
+                  tickMargin={8}
+                  minTickGap={32}
+                  tickFormatter={formatDate}
+                />
+                <ChartTooltip
+                  content={
+                    <ChartTooltipContent
+                      indicator="dot"
+                      labelFormatter={(value) => formatDate(String(value))}
+                    />
+                  }
+                />
+                <Area
+                  dataKey="pageViews"
+                  type="natural"
+                  fill="var(--color-pageViews)"
+                  fillOpacity={0.3}
+                  stroke="var(--color-pageViews)"
+                />
+                <Area
+                  dataKey="visitors"
+                  type="natural"
+                  fill="var(--color-visitors)"
+                  fillOpacity={0.4}
+                  stroke="var(--color-visitors)"
+                />
+                <ChartLegend content={<ChartLegendContent />} />
+              </AreaChart>
+            </ChartContainer>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>Conversions</CardTitle>
+            <CardDescription>Completed goals per day</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ChartContainer config={conversionsConfig} className="aspect-auto h-64 w-full">
+              <BarChart data={current}>
+                <CartesianGrid vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  tickLine={false}
+                  axisLine={false}
+                  tickMargin={8}
+                  minTickGap={32}
+                  tickFormatter={formatDate}
+                />
+                <ChartTooltip
+                  content={
+                    <ChartTooltipContent
+                      labelFormatter={(value) => formatDate(String(value))}
+                    />
+                  }
+                />
+                <Bar dataKey="conversions" fill="var(--color-conversions)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export { AnalyticsDashboard }
@@ -0,0 +1,80 @@
+"use client"
+
+import type { Column } from "@tanstack/react-table"
+import {
+  ArrowDownIcon,
+  ArrowUpDownIcon,
+  ArrowUpIcon,
+  EyeOffIcon,
+} from "lucide-react"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import { Button } from "@/registry/new-york-v4/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/registry/new-york-v4/ui/dropdown-menu"
+
+function DataTableColumnHeader<TData, TValue>({
+  column,
+  title,
+  className,
+}: {
+  column: Column<TData, TValue>
+  title: string
+  className?: string
+}) {
+  if (!column.getCanSort() && !column.getCanHide()) {
+    return <div className={className}>{title}</div>
+  }
+
+  const sorted = column.getIsSorted()
+  const SortIcon =
+    sorted === "asc" ? ArrowUpIcon : sorted === "desc" ? ArrowDownIcon : ArrowUpDownIcon
+
+  return (
+    <div
+      data-slot="data-table-column-header"
+      className={cn("flex items-center gap-2", className)}
+    >
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="data-[state=open]:bg-accent -ml-3 h-8"
+          >
+            <span>{title}</span>
+            {column.getCanSort() && <SortIcon />}
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="start">
+          {column.getCanSort() && (
+            <>
+              <DropdownMenuItem onClick={() => column.toggleSorting(false)}>
+                <ArrowUpIcon />
+                Ascending
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => column.toggleSorting(true)}>
+                <ArrowDownIcon />
+                Descending
+              </DropdownMenuItem>
+            </>
+          )}
+          {column.getCanSort() && column.getCanHide() && <DropdownMenuSeparator />}
+          {column.getCanHide() && (
+            <DropdownMenuItem onClick={() => column.toggleVisibility(false)}>
+              <EyeOffIcon />
+              Hide
+            </DropdownMenuItem>
+          )}
+        </DropdownMenuContent>
+      </DropdownMenu>
+    </div>
+  )
+}
+
+export { DataTableColumnHeader }
@@ -0,0 +1,136 @@
+"use client"
+
+import * as React from "react"
+import type { Table } from "@tanstack/react-table"
+import { ChevronDownIcon } from "lucide-react"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import { Button } from "@/registry/new-york-v4/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuTrigger,
+} from "@/registry/new-york-v4/ui/dropdown-menu"
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from "@/registry/new-york-v4/ui/pagination"
+
+// Page indexes to show as links: the first, the last and the ones around
+// the current page, with "ellipsis" for the gaps
+function pageItems(pageIndex: number, pageCount: number) {
+  const pages = new Set(
+    [0, pageCount - 1, pageIndex - 1, pageIndex, pageIndex + 1].filter(
+      (page) => page >= 0 && page < pageCount
+    )
+  )
+  const sorted = [...pages].sort((a, b) => a - b)
+
+  const items: (number | "ellipsis")[] = []
+  sorted.forEach((page, i) => {
+    if (i > 0 && page - sorted[i - 1] > 1) items.push("ellipsis")
+    items.push(page)
+  })
+  return items
+}
+
+// PaginationLink renders an anchor; keep it in place instead of navigating
+function onActivate(action: () => void) {
+  return (event: React.MouseEvent<HTMLAnchorElement>) => {
+    event.preventDefault()
+    action()
+  }
+}
+
+function DataTablePagination<TData>({
+  table,
+  pageSizeOptions = [10, 20, 50, 100],
+}: {
+  table: Table<TData>
+  pageSizeOptions?: number[]
+}) {
+  const { pageIndex, pageSize } = table.getState().pagination
+  const pageCount = Math.max(table.getPageCount(), 1)
+  const selected = Object.keys(table.getState().rowSelection).length
+  const canPrevious = table.getCanPreviousPage()
+  const canNext = table.getCanNextPage()
+
+  return (
+    <div
+      data-slot="data-table-pagination"
+      className="flex flex-wrap items-center justify-between gap-4"
+    >
+      <div className="text-muted-foreground text-sm tabular-nums">
+        {table.options.enableRowSelection
+          ? `${selected} of ${table.getRowCount()} row(s) selected`
+          : `${table.getRowCount()} row(s)`}
+      </div>
+      <div className="flex flex-wrap items-center gap-4">
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" size="sm" className="h-8">
+              {pageSize} per page
+              <ChevronDownIcon />
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuRadioGroup
+              value={String(pageSize)}
+              onValueChange={(value) => table.setPageSize(Number(value))}
+            >
+              {pageSizeOptions.map((size) => (
+                <DropdownMenuRadioItem key={size} value={String(size)}>
+                  {size}
+                </DropdownMenuRadioItem>
+              ))}
+            </DropdownMenuRadioGroup>
+          </DropdownMenuContent>
+        </DropdownMenu>
+        <Pagination className="mx-0 w-auto">
+          <PaginationContent>
+            <PaginationItem>
+              <PaginationPrevious
+                href="#"
+                aria-disabled={!canPrevious}
+                className={cn(!canPrevious && "pointer-events-none opacity-50")}
+                onClick={onActivate(() => table.previousPage())}
+              />
+            </PaginationItem>
+            {pageItems(pageIndex, pageCount).map((item, i) => (
+              <PaginationItem key={item === "ellipsis" ? `ellipsis-${i}` : item}>
+                {item === "ellipsis" ? (
+                  <PaginationEllipsis />
+                ) : (
+                  <PaginationLink
+                    href="#"
+                    isActive={item === pageIndex}
+                    onClick={onActivate(() => table.setPageIndex(item))}
+                  >
+                    {item + 1}
+                  </PaginationLink>
+                )}
+              </PaginationItem>
+            ))}
+            <PaginationItem>
+              <PaginationNext
+                href="#"
+                aria-disabled={!canNext}
+                className={cn(!canNext && "pointer-events-none opacity-50")}
+                onClick={onActivate(() => table.nextPage())}
+              />
+            </PaginationItem>
+          </PaginationContent>
+        </Pagination>
+      </div>
+    </div>
+  )
+}
+
+export { DataTablePagination }
@@ -0,0 +1,50 @@
+"use client"
+
+import type { Table } from "@tanstack/react-table"
+import { Settings2Icon } from "lucide-react"
+
+import { Button } from "@/registry/new-york-v4/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/registry/new-york-v4/ui/dropdown-menu"
+
+// Columns are listed by `meta.label`, falling back to the column id
+function DataTableViewOptions<TData>({ table }: { table: Table<TData> }) {
+  const columns = table
+    .getAllLeafColumns()
+    .filter((column) => column.getCanHide())
+
+  if (columns.length === 0) return null
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" className="ml-auto h-8">
+          <Settings2Icon />
+          View
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-44">
+        <DropdownMenuLabel>Toggle columns</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {columns.map((column) => (
+          <DropdownMenuCheckboxItem
+            key={column.id}
+            checked={column.getIsVisible()}
+            onCheckedChange={(value) => column.toggleVisibility(!!value)}
+            onSelect={(event) => event.preventDefault()}
+          >
+            {column.columnDef.meta?.label ?? column.id}
+          </DropdownMenuCheckboxItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export { DataTableViewOptions }
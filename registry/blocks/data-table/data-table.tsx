@@ -0,0 +1,329 @@
+"use client"
+
+import * as React from "react"
+import {
+  flexRender,
+  getCoreRowModel,
+  getFilteredRowModel,
+  getPaginationRowModel,
+  getSortedRowModel,
+  useReactTable,
+  type ColumnDef,
+  type ColumnFiltersState,
+  type OnChangeFn,
+  type PaginationState,
+  type RowData,
+  type RowSelectionState,
+  type SortingState,
+  type VisibilityState,
+} from "@tanstack/react-table"
+import { SearchIcon } from "lucide-react"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import { Checkbox } from "@/registry/new-york-v4/ui/checkbox"
+import {
+  Empty,
+  EmptyDescription,
+  EmptyHeader,
+  EmptyMedia,
+  EmptyTitle,
+} from "@/registry/new-york-v4/ui/empty"
+import { Input } from "@/registry/new-york-v4/ui/input"
+import { Skeleton } from "@/registry/new-york-v4/ui/skeleton"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/registry/new-york-v4/ui/table"
+
+import { DataTablePagination } from "./data-table-pagination"
+import { DataTableViewOptions } from "./data-table-view-options"
+
+declare module "@tanstack/react-table" {
+  interface ColumnMeta<TData extends RowData, TValue> {
+    /** Name of the column in the view options menu. */
+    label?: string
+  }
+}
+
+// Each piece of table state is controlled when its value is passed and
+// kept internally otherwise; `onChange` is called either way
+function useTableState<T>(
+  value: T | undefined,
+  onChange: ((value: T) => void) | undefined,
+  initial: T
+): [T, OnChangeFn<T>] {
+  const [internal, setInternal] = React.useState<T>(initial)
+  const state = value ?? internal
+
+  const setState: OnChangeFn<T> = (updater) => {
+    const next =
+      typeof updater === "function"
+        ? (updater as (old: T) => T)(state)
+        : updater
+    if (value === undefined) setInternal(next)
+    onChange?.(next)
+  }
+
+  return [state, setState]
+}
+
+function selectColumn<TData>(): ColumnDef<TData> {
+  return {
+    id: "select",
+    header: ({ table }) => (
+      <Checkbox
+        checked={
+          table.getIsAllPageRowsSelected() ||
+          (table.getIsSomePageRowsSelected() && "indeterminate")
+        }
+        onCheckedChange={(value) => table.toggleAllPageRowsSelected(!!value)}
+        aria-label="Select all"
+      />
+    ),
+    cell: ({ row }) => (
+      <Checkbox
+        checked={row.getIsSelected()}
+        disabled={!row.getCanSelect()}
+        onCheckedChange={(value) => row.toggleSelected(!!value)}
+        aria-label="Select row"
+      />
+    ),
+    enableSorting: false,
+    enableHiding: false,
+  }
+}
+
+function DataTable<TData, TValue>({
+  columns,
+  data,
+  getRowId,
+  searchColumn,
+  searchPlaceholder = "Filter...",
+  selectable = false,
+  manual = false,
+  rowCount,
+  sorting,
+  onSortingChange,
+  columnFilters,
+  onColumnFiltersChange,
+  globalFilter,
+  onGlobalFilterChange,
+  pagination,
+  onPaginationChange,
+  rowSelection,
+  onRowSelectionChange,
+  initialColumnVisibility = {},
+  isLoading = false,
+  emptyTitle = "No results",
+  emptyDescription = "Try a different filter.",
+  emptyIcon,
+  pageSizeOptions = [10, 20, 50, 100],
+  toolbar,
+  className,
+}: {
+  columns: ColumnDef<TData, TValue>[]
+  data: TData[]
+  /** Stable row ids keep the selection across pages and refetches. */
+  getRowId?: (row: TData, index: number) => string
+  /** Column the search input filters; without it, it filters all columns. */
+  searchColumn?: string
+  searchPlaceholder?: string
+  /** Adds a checkbox column for row selection. */
+  selectable?: boolean
+  /**
+   * Server-side mode: `data` is the current page, already sorted and
+   * filtered. Fetch it from the sorting, filter and pagination state
+   * passed to the `on...Change` callbacks.
+   */
+  manual?: boolean
+  /** Total number of rows on the server, for page count in manual mode. */
+  rowCount?: number
+  sorting?: SortingState
+  onSortingChange?: (sorting: SortingState) => void
+  columnFilters?: ColumnFiltersState
+  onColumnFiltersChange?: (filters: ColumnFiltersState) => void
+  globalFilter?: string
+  onGlobalFilterChange?: (filter: string) => void
+  pagination?: PaginationState
+  onPaginationChange?: (pagination: PaginationState) => void
+  rowSelection?: RowSelectionState
+  onRowSelectionChange?: (selection: RowSelectionState) => void
+  initialColumnVisibility?: VisibilityState
+  /** Shows skeleton rows in place of `data`. */
+  isLoading?: boolean
+  emptyTitle?: React.ReactNode
+  emptyDescription?: React.ReactNode
+  emptyIcon?: React.ReactNode
+  pageSizeOptions?: number[]
+  /** Extra controls next to the search input, e.g. bulk actions. */
+  toolbar?: React.ReactNode
+  className?: string
+}) {
+  const [sortingState, setSorting] = useTableState(sorting, onSortingChange, [])
+  const [columnFiltersState, setColumnFilters] = useTableState(
+    columnFilters,
+    onColumnFiltersChange,
+    []
+  )
+  const [globalFilterState, setGlobalFilter] = useTableState(
+    globalFilter,
+    onGlobalFilterChange,
+    ""
+  )
+  const [paginationState, setPagination] = useTableState(
+    pagination,
+    onPaginationChange,
+    { pageIndex: 0, pageSize: pageSizeOptions[0] }
+  )
+  const [rowSelectionState, setRowSelection] = useTableState(
+    rowSelection,
+    onRowSelectionChange,
+    {}
+  )
+  const [columnVisibility, setColumnVisibility] =
+    React.useState<VisibilityState>(initialColumnVisibility)
+
+  const allColumns = React.useMemo(
+    () =>
+      selectable
+        ? [selectColumn<TData>() as ColumnDef<TData, TValue>, ...columns]
+        : columns,
+    [columns, selectable]
+  )
+
+  const table = useReactTable({
+    data,
+    columns: allColumns,
+    getRowId,
+    state: {
+      sorting: sortingState,
+      columnFilters: columnFiltersState,
+      globalFilter: globalFilterState,
+      pagination: paginationState,
+      rowSelection: rowSelectionState,
+      columnVisibility,
+    },
+    enableRowSelection: selectable,
+    onSortingChange: setSorting,
+    onColumnFiltersChange: setColumnFilters,
+    onGlobalFilterChange: setGlobalFilter,
+    onPaginationChange: setPagination,
+    onRowSelectionChange: setRowSelection,
+    onColumnVisibilityChange: setColumnVisibility,
+    getCoreRowModel: getCoreRowModel(),
+    ...(manual
+      ? {
+          manualSorting: true,
+          manualFiltering: true,
+          manualPagination: true,
+          rowCount: rowCount ?? data.length,
+        }
+      : {
+          getSortedRowModel: getSortedRowModel(),
+          getFilteredRowModel: getFilteredRowModel(),
+          getPaginationRowModel: getPaginationRowModel(),
+        }),
+  })
+
+  const searchValue = searchColumn
+    ? ((table.getColumn(searchColumn)?.getFilterValue() as string) ?? "")
+    : globalFilterState
+  const setSearch = (value: string) => {
+    // A new filter starts over at the first page
+    table.setPageIndex(0)
+    if (searchColumn) {
+      table.getColumn(searchColumn)?.setFilterValue(value || undefined)
+    } else {
+      table.setGlobalFilter(value)
+    }
+  }
+
+  const visibleColumns = table.getVisibleLeafColumns().length
+  const rows = table.getRowModel().rows
+
+  return (
+    <div data-slot="data-table" className={cn("flex flex-col gap-4", className)}>
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative w-full max-w-sm">
+          <SearchIcon className="text-muted-foreground pointer-events-none absolute top-1/2 left-2.5 size-4 -translate-y-1/2" />
+          <Input
+            value={searchValue}
+            onChange={(event) => setSearch(event.target.value)}
+            placeholder={searchPlaceholder}
+            aria-label={searchPlaceholder}
+            className="h-8 pl-8"
+          />
+        </div>
+        {toolbar}
+        <DataTableViewOptions table={table} />
+      </div>
+      <div className="overflow-hidden rounded-md border">
+        <Table>
+          <TableHeader>
+            {table.getHeaderGroups().map((headerGroup) => (
+              <TableRow key={headerGroup.id}>
+                {headerGroup.headers.map((header) => (
+                  <TableHead key={header.id} colSpan={header.colSpan}>
+                    {header.isPlaceholder
+                      ? null
+                      : flexRender(
+                          header.column.columnDef.header,
+                          header.getContext()
+                        )}
+                  </TableHead>
+                ))}
+              </TableRow>
+            ))}
+          </TableHeader>
+          <TableBody>
+            {isLoading ? (
+              Array.from({ length: paginationState.pageSize }, (_, i) => (
+                <TableRow key={`loading-${i}`} data-slot="data-table-loading">
+                  {table.getVisibleLeafColumns().map((column) => (
+                    <TableCell key={column.id}>
+                      <Skeleton className="h-5 w-full" />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            ) : rows.length > 0 ? (
+              rows.map((row) => (
+                <TableRow
+                  key={row.id}
+                  data-state={row.getIsSelected() ? "selected" : undefined}
+                >
+                  {row.getVisibleCells().map((cell) => (
+                    <TableCell key={cell.id}>
+                      {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            ) : (
+              <TableRow className="hover:bg-transparent">
+                <TableCell colSpan={visibleColumns} className="p-0">
+                  <Empty data-slot="data-table-empty">
+                    <EmptyHeader>
+                      {emptyIcon && <EmptyMedia variant="icon">{emptyIcon}</EmptyMedia>}
+                      <EmptyTitle>{emptyTitle}</EmptyTitle>
+                      <EmptyDescription>{emptyDescription}</EmptyDescription>
+                    </EmptyHeader>
+                  </Empty>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+      <DataTablePagination table={table} pageSizeOptions={pageSizeOptions} />
+    </div>
+  )
+}
+
+export { DataTable }
+export { DataTableColumnHeader } from "./data-table-column-header"
+export { DataTablePagination, DataTableViewOptions }
@@ -0,0 +1,166 @@
+"use client"
+
+import { MinusIcon, TrendingDownIcon, TrendingUpIcon } from "lucide-react"
+import { Area, AreaChart } from "recharts"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import { Badge } from "@/registry/new-york-v4/ui/badge"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/registry/new-york-v4/ui/card"
+import {
+  ChartContainer,
+  type ChartConfig,
+} from "@/registry/new-york-v4/ui/chart"
+
+export type HealthStatus = "healthy" | "warning" | "critical"
+
+export type HealthMetric = {
+  id: string
+  label: string
+  value: number
+  unit?: string
+  status: HealthStatus
+  /** Change against the previous period, in percent. */
+  trend?: number
+  sparkline: { value: number }[]
+  target?: { min?: number; max?: number }
+}
+
+const STATUS = {
+  healthy: {
+    label: "Healthy",
+    color: "var(--chart-2)",
+    badge: "border-transparent bg-emerald-500/15 text-emerald-700 dark:text-emerald-400",
+  },
+  warning: {
+    label: "Warning",
+    color: "var(--chart-4)",
+    badge: "border-transparent bg-amber-500/15 text-amber-700 dark:text-amber-400",
+  },
+  critical: {
+    label: "Critical",
+    color: "var(--destructive)",
+    badge: "border-transparent bg-destructive/15 text-destructive",
+  },
+} satisfies Record<HealthStatus, { label: string; color: string; badge: string }>
+
+const COLUMNS = {
+  1: "grid-cols-1",
+  2: "sm:grid-cols-2",
+  3: "sm:grid-cols-2 lg:grid-cols-3",
+  4: "sm:grid-cols-2 lg:grid-cols-4",
+} as const
+
+function formatTarget({ min, max }: NonNullable<HealthMetric["target"]>, unit = "") {
+  const suffix = unit ? ` ${unit}` : ""
+  if (min !== undefined && max !== undefined) return `${min}–${max}${suffix}`
+  if (min !== undefined) return `≥ ${min}${suffix}`
+  if (max !== undefined) return `≤ ${max}${suffix}`
+  return null
+}
+
+function Trend({ value }: { value: number }) {
+  const Icon =
+    value > 0 ? TrendingUpIcon : value < 0 ? TrendingDownIcon : MinusIcon
+
+  return (
+    <span className="text-muted-foreground inline-flex items-center gap-1 text-xs tabular-nums">
+      <Icon className="size-3.5" />
+      {value > 0 ? "+" : ""}
+      {value.toFixed(1)}%
+    </span>
+  )
+}
+
+function HealthMetricCard({
+  metric,
+  formatValue,
+}: {
+  metric: HealthMetric
+  formatValue: (value: number, metric: HealthMetric) => string
+}) {
+  const status = STATUS[metric.status]
+  const chartConfig = {
+    value: { label: metric.label, color: status.color },
+  } satisfies ChartConfig
+  const target = metric.target ? formatTarget(metric.target, metric.unit) : null
+
+  return (
+    <Card data-slot="health-metric" data-status={metric.status} className="gap-4">
+      <CardHeader>
+        <div className="flex items-center justify-between gap-2">
+          <CardDescription>{metric.label}</CardDescription>
+          <Badge variant="outline" className={status.badge}>
+            {status.label}
+          </Badge>
+        </div>
+        <CardTitle className="flex items-baseline gap-1 text-2xl tabular-nums">
+          {formatValue(metric.value, metric)}
+          {metric.unit && (
+            <span className="text-muted-foreground text-sm font-normal">
+              {metric.unit}
+            </span>
+          )}
+        </CardTitle>
+        <div className="flex items-center justify-between gap-2">
+          {metric.trend !== undefined ? <Trend value={metric.trend} /> : <span />}
+          {target && (
+            <span className="text-muted-foreground text-xs">Target {target}</span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={chartConfig} className="aspect-auto h-12 w-full">
+          <AreaChart
+            data={metric.sparkline}
+            margin={{ top: 2, right: 0, bottom: 2, left: 0 }}
+          >
+            <Area
+              dataKey="value"
+              type="monotone"
+              stroke="var(--color-value)"
+              strokeWidth={2}
+              fill="var(--color-value)"
+              fillOpacity={0.15}
+              isAnimationActive={false}
+            />
+          </AreaChart>
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  )
+}
+
+function HealthMatrix({
+  metrics,
+  columns = 3,
+  formatValue = (value) => value.toLocaleString(),
+  className,
+}: {
+  metrics: HealthMetric[]
+  columns?: keyof typeof COLUMNS
+  formatValue?: (value: number, metric: HealthMetric) => string
+  className?: string
+}) {
+  return (
+    <div
+      data-slot="health-matrix"
+      className={cn("grid gap-4", COLUMNS[columns], className)}
+    >
+      {metrics.map((metric) => (
+        <HealthMetricCard
+          key={metric.id}
+          metric={metric}
+          formatValue={formatValue}
+        />
+      ))}
+    </div>
+  )
+}
+
+export { HealthMatrix, HealthMetricCard }
@@ -0,0 +1,210 @@
+"use client"
+
+import * as React from "react"
+import { Layer, Rectangle, Sankey } from "recharts"
+
+import { cn } from "@/registry/new-york-v4/lib/utils"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/registry/new-york-v4/ui/card"
+import {
+  ChartContainer,
+  type ChartConfig,
+} from "@/registry/new-york-v4/ui/chart"
+
+export type SankeyNode = {
+  name: string
+  /** Any CSS color. Defaults to the --chart-1 … --chart-5 palette. */
+  color?: string
+}
+
+export type SankeyLink = {
+  /** Index into `nodes`. */
+  source: number
+  /** Index into `nodes`. */
+  target: number
+  value: number
+}
+
+export type SankeyData = {
+  nodes: SankeyNode[]
+  links: SankeyLink[]
+}
+
+// What the Sankey layout passes to custom node and link renderers
+type NodeProps = {
+  x: number
+  y: number
+  width: number
+  height: number
+  index: number
+  containerWidth: number
+  payload: { name: string; value: number }
+}
+
+type LinkProps = {
+  sourceX: number
+  sourceY: number
+  sourceControlX: number
+  targetX: number
+  targetY: number
+  targetControlX: number
+  linkWidth: number
+  index: number
+}
+
+type Hovered = { kind: "node" | "link"; index: number } | null
+
+function nodeKey(index: number) {
+  return `node-${index}`
+}
+
+function SankeyChart({
+  data,
+  title = "Flow",
+  description,
+  valueFormatter = (value) => value.toLocaleString(),
+  nodeWidth = 12,
+  nodePadding = 24,
+  className,
+}: {
+  data: SankeyData
+  title?: React.ReactNode
+  description?: React.ReactNode
+  valueFormatter?: (value: number) => string
+  nodeWidth?: number
+  nodePadding?: number
+  className?: string
+}) {
+  const [hovered, setHovered] = React.useState<Hovered>(null)
+
+  const chartConfig = React.useMemo(
+    () =>
+      Object.fromEntries(
+        data.nodes.map((node, index) => [
+          nodeKey(index),
+          {
+            label: node.name,
+            color: node.color ?? `var(--chart-${(index % 5) + 1})`,
+          },
+        ])
+      ) satisfies ChartConfig,
+    [data.nodes]
+  )
+
+  // The hovered node and the nodes of the hovered link
+  const isActiveNode = (index: number) => {
+    if (!hovered) return true
+    if (hovered.kind === "node") return hovered.index === index
+    const link = data.links[hovered.index]
+    return link.source === index || link.target === index
+  }
+
+  // Links touching the hovered node, or the hovered link itself
+  const isActiveLink = (index: number) => {
+    if (!hovered) return true
+    if (hovered.kind === "link") return hovered.index === index
+    const link = data.links[index]
+    return link.source === hovered.index || link.target === hovered.index
+  }
+
+  const detail = React.useMemo(() => {
+    if (!hovered) return null
+    if (hovered.kind === "link") {
+      const link = data.links[hovered.index]
+      return `${data.nodes[link.source].name} → ${data.nodes[link.target].name}: ${valueFormatter(link.value)}`
+    }
+    const incoming = data.links
+      .filter((link) => link.target === hovered.index)
+      .reduce((sum, link) => sum + link.value, 0)
+    const outgoing = data.links
+      .filter((link) => link.source === hovered.index)
+      .reduce((sum, link) => sum + link.value, 0)
+    return `${data.nodes[hovered.index].name}: ${valueFormatter(Math.max(incoming, outgoing))}`
+  }, [data, hovered, valueFormatter])
+
+  const renderNode = ({ x, y, width, height, index, containerWidth, payload }: NodeProps) => {
+    const isOut = x + width + 6 > containerWidth - 120
+
+    return (
+      <Layer
+        key={nodeKey(index)}
+        onMouseEnter={() => setHovered({ kind: "node", index })}
+        onMouseLeave={() => setHovered(null)}
+      >
+        <Rectangle
+          x={x}
+          y={y}
+          width={width}
+          height={height}
+          fill={`var(--color-${nodeKey(index)})`}
+          fillOpacity={isActiveNode(index) ? 1 : 0.5}
+          radius={2}
+        />
+        <text
+          x={isOut ? x - 6 : x + width + 6}
+          y={y + height / 2}
+          textAnchor={isOut ? "end" : "start"}
+          dominantBaseline="middle"
+          className="fill-foreground text-xs"
+        >
+          {payload.name}
+        </text>
+      </Layer>
+    )
+  }
+
+  const renderLink = ({
+    sourceX,
+    sourceY,
+    sourceControlX,
+    targetX,
+    targetY,
+    targetControlX,
+    linkWidth,
+    index,
+  }: LinkProps) => (
+    <path
+      key={`link-${index}`}
+      d={`M${sourceX},${sourceY} C${sourceControlX},${sourceY} ${targetControlX},${targetY} ${targetX},${targetY}`}
+      fill="none"
+      stroke={`var(--color-${nodeKey(data.links[index].source)})`}
+      strokeWidth={Math.max(linkWidth, 1)}
+      strokeOpacity={isActiveLink(index) ? 0.45 : 0.1}
+      onMouseEnter={() => setHovered({ kind: "link", index })}
+      onMouseLeave={() => setHovered(null)}
+      className="transition-[stroke-opacity]"
+    />
+  )
+
+  return (
+    <Card data-slot="sankey-chart" className={cn(className)}>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+        {description && <CardDescription>{description}</CardDescription>}
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={chartConfig} className="aspect-auto h-80 w-full">
+          <Sankey
+            data={data}
+            node={renderNode}
+            link={renderLink}
+            nodeWidth={nodeWidth}
+            nodePadding={nodePadding}
+            margin={{ top: 8, right: 8, bottom: 8, left: 8 }}
+          />
+        </ChartContainer>
+      </CardContent>
+      <CardFooter className="text-muted-foreground h-5 text-sm tabular-nums">
+        {detail ?? "Hover a node or flow for details"}
+      </CardFooter>
+    </Card>
+  )
+}
+
+export { SankeyChart }
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('node:util');
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+
+const { EXIT_CODES, log } = require('./lib/utils');
+const { buildRegistry, serializeRegistry, diffRegistries } = require('./lib/registry-build');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+function printUsage() {
+  console.log(`
+build-registry - Generate registry.json from the registry/ source tree
+
+USAGE
+  node shadcn-scaffolder/build-registry.js [options]
+
+OPTIONS
+  --source <dir>    Registry source directory (default: registry/)
+  --out <file>      Output file (default: registry.json)
+  --check           Do not write; exit non-zero if the output file is out of date
+  -h, --help        Show this help message
+
+Item types, files, npm dependencies and registryDependencies are derived from
+the sources. Version pins, cssVars and other metadata that cannot be derived
+live in <source>/meta.json.
+`);
+}
+
+function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        source: { type: 'string', default: path.join(REPO_ROOT, 'registry') },
+        out:    { type: 'string', default: path.join(REPO_ROOT, 'registry.json') },
+        check:  { type: 'boolean', default: false },
+        help:   { type: 'boolean', short: 'h', default: false },
+      },
+      strict: true,
+    }));
+  } catch (err) {
+    log('ERROR', `Invalid arguments: ${err.message}`);
+    printUsage();
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  if (values.help) {
+    printUsage();
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  const sourceDir = path.resolve(values.source);
+  const outFile = path.resolve(values.out);
+
+  let registry;
+  try {
+    registry = buildRegistry(sourceDir);
+  } catch (err) {
+    log('ERROR', `Failed to build registry from ${sourceDir}: ${err.message}`);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  const output = serializeRegistry(registry);
+
+  if (!values.check) {
+    fs.writeFileSync(outFile, output, 'utf8');
+    log('SUCCESS', `Wrote ${registry.items.length} item(s) to ${outFile}`);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  if (!fs.existsSync(outFile)) {
+    log('ERROR', `${outFile} does not exist. Run build-registry.js without --check.`);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  const committed = fs.readFileSync(outFile, 'utf8');
+  if (committed === output) {
+    log('SUCCESS', `${path.basename(outFile)} is up to date (${registry.items.length} items).`);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  let differences;
+  try {
+    differences = diffRegistries(registry, JSON.parse(committed));
+  } catch (err) {
+    differences = [`existing file is not valid JSON: ${err.message}`];
+  }
+  if (differences.length === 0) {
+    differences.push('formatting differs');
+  }
+
+  log('ERROR', `${path.basename(outFile)} has drifted from ${path.relative(process.cwd(), sourceDir) || '.'}:`);
+  for (const difference of differences) {
+    log('ERROR', `  ${difference}`);
+  }
+  log('ERROR', 'Run: node shadcn-scaffolder/build-registry.js');
+  process.exit(EXIT_CODES.FAILURE);
+}
+
+main();
@@ -4,364 +4,819 @@ const { parseArgs } = require('node:util');
 const path = require('node:path');
 const process = require('node:process');
 
-const { TEMPLATES, EXIT_CODES, REGISTRY_URL, log, formatDuration } = require('./lib/utils');
-const { validateInputs } = require('./lib/validator');
-const { createInitialState, saveState, updateStep, removeState } = require('./lib/state');
 const {
-  createViteProject,
-  npmInstall,
-  initShadcn,
-  installComponents,
-  verifyProject,
-  cleanup,
-} = require('./lib/executor');
+  EXIT_CODES,
+  REGISTRY_URL,
+  REGISTRY_ENV_VAR,
+  MAX_CUSTOM_COMPONENTS,
+  CONFIG_FILENAME,
+  TIMEOUTS,
+  RETRIES,
+  MANIFEST_FILENAME,
+  log,
+  paint,
+  configureOutput,
+  eventsEnabled,
+  formatDuration,
+} = require('./lib/utils');
+const { loadConfig, parseTimeoutOption, parseRetriesOption, stepSettings } = require('./lib/config');
+const { resolveRegistrySource, loadRegistry } = require('./lib/registry');
+const {
+  PACKAGE_MANAGER_NAMES,
+  installCommand,
+  runScriptCommand,
+  formatCommand,
+} = require('./lib/package-manager');
+const { FRAMEWORKS, FRAMEWORK_NAMES } = require('./lib/frameworks');
+const { formatPlan } = require('./lib/plan');
+const { promptCreateOptions, confirm, commandLine } = require('./lib/interactive');
+const { DEFAULT_CATALOG_DIR, LOCAL_REGISTRY, catalog } = require('./lib/catalog');
+const { BASE_COLORS, parseRadius } = require('./lib/theme');
+const { checkNode, formatChecks, doctor } = require('./lib/doctor');
+const { add, diff, update, remove } = require('./lib/components');
+const {
+  INSTALLERS,
+  VERIFY_LEVELS,
+  scaffold,
+  groupProblems,
+} = require('./lib/scaffold');
 
 // ─── CLI ARGUMENT PARSING ────────────────────────────────────────────
 
+const CREATE_ONLY_OPTIONS = ['dry-run', 'retry-failed', 'reset', 'base-color', 'radius', 'theme', 'mode-toggle'];
+
+// Options that only one command takes
+const COMMAND_OPTIONS = {
+  overwrite: 'add',
+  cascade: 'remove',
+  prune: 'remove',
+  out: 'catalog',
+  build: 'catalog',
+};
+
 function parseCLIArgs() {
   const { values, positionals } = parseArgs({
     args: process.argv.slice(2),
     options: {
       template:   { type: 'string',  short: 't', default: 'minimal' },
       components: { type: 'string',  short: 'c', default: '' },
+      templates:  { type: 'string' },
       target:     { type: 'string',  default: process.cwd() },
+      registry:   { type: 'string',  short: 'r' },
+      cwd:        { type: 'string',  default: process.cwd() },
+      overwrite:  { type: 'boolean', default: false },
+      installer:  { type: 'string',  default: 'native' },
+      'package-manager': { type: 'string' },
+      framework:  { type: 'string' },
+      'dry-run':  { type: 'boolean', default: false },
+      format:     { type: 'string',  default: 'text' },
+      output:     { type: 'string',  default: 'text' },
+      json:       { type: 'boolean', default: false },
+      verify:     { type: 'string',  default: 'basic' },
+      'base-color': { type: 'string' },
+      radius:     { type: 'string' },
+      theme:      { type: 'string' },
+      'mode-toggle': { type: 'boolean' },
+      out:        { type: 'string' },
+      build:      { type: 'boolean', default: false },
+      cascade:    { type: 'boolean', default: false },
+      prune:      { type: 'boolean', default: false },
+      timeout:    { type: 'string' },
+      retries:    { type: 'string' },
+      'retry-failed': { type: 'boolean', default: false },
+      reset:      { type: 'boolean', default: false },
       help:       { type: 'boolean', short: 'h', default: false },
     },
     allowPositionals: true,
     strict: true,
   });
 
-  if (values.help || positionals.length === 0) {
-    printUsage();
+  // Without a project name a terminal gets questions instead of the usage
+  const interactive = positionals.length === 0 && !values.help && !values.json
+    && values.output === 'text' && values.format === 'text'
+    && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+  if (values.help || (positionals.length === 0 && !interactive)) {
+    const { templates, errors } = loadConfig({ file: values.templates });
+    for (const err of errors) {
+      log('WARN', err);
+    }
+    printUsage(templates);
     process.exit(positionals.length === 0 && !values.help ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
   }
 
+  if (!INSTALLERS.includes(values.installer)) {
+    throw new Error(`--installer must be one of: ${INSTALLERS.join(', ')}`);
+  }
+  const packageManager = values['package-manager'];
+  if (packageManager !== undefined && !PACKAGE_MANAGER_NAMES.includes(packageManager)) {
+    throw new Error(`--package-manager must be one of: ${PACKAGE_MANAGER_NAMES.join(', ')}`);
+  }
+  if (values.framework !== undefined && !FRAMEWORK_NAMES.includes(values.framework)) {
+    throw new Error(`--framework must be one of: ${FRAMEWORK_NAMES.join(', ')}`);
+  }
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error('--format must be "text" or "json"');
+  }
+  if (!['text', 'ndjson'].includes(values.output)) {
+    throw new Error('--output must be "text" or "ndjson"');
+  }
+  if (!VERIFY_LEVELS.includes(values.verify)) {
+    throw new Error(`--verify must be one of: ${VERIFY_LEVELS.join(', ')}`);
+  }
+  const baseColor = values['base-color'];
+  if (baseColor !== undefined && !BASE_COLORS.includes(baseColor)) {
+    throw new Error(`--base-color must be one of: ${BASE_COLORS.join(', ')}`);
+  }
+  const radius = values.radius === undefined ? undefined : parseRadius(values.radius);
+  if (radius === null) {
+    throw new Error(`--radius: "${values.radius}" is not a length such as 0.5rem or 8px`);
+  }
+  const output = values.json ? 'ndjson' : values.output;
+  const timeouts = parseTimeoutOption(values.timeout);
+  const retries = parseRetriesOption(values.retries);
+
+  const passed = option => values[option] !== undefined && values[option] !== false;
+  for (const [option, command] of Object.entries(COMMAND_OPTIONS)) {
+    if (passed(option) && positionals[0] !== command) {
+      throw new Error(`--${option} is only supported by ${command}`);
+    }
+  }
+
+  if (positionals[0] === 'doctor') {
+    for (const option of CREATE_ONLY_OPTIONS) {
+      if (passed(option)) {
+        throw new Error(`--${option} is only supported when creating a project`);
+      }
+    }
+    if (positionals.length > 1) {
+      throw new Error(`doctor takes no arguments, got: ${positionals.slice(1).join(' ')}`);
+    }
+    return {
+      command: 'doctor',
+      targetDir: path.resolve(values.target),
+      registry: values.registry,
+      packageManager,
+      format: values.format,
+      output,
+      timeouts,
+      retries,
+      templatesFile: values.templates,
+    };
+  }
+  if (positionals[0] === 'catalog') {
+    for (const option of CREATE_ONLY_OPTIONS) {
+      if (passed(option)) {
+        throw new Error(`--${option} is only supported when creating a project`);
+      }
+    }
+    if (positionals.length > 1) {
+      throw new Error(`catalog takes no arguments, got: ${positionals.slice(1).join(' ')}`);
+    }
+    return {
+      command: 'catalog',
+      outDir: path.resolve(values.out || DEFAULT_CATALOG_DIR),
+      build: values.build,
+      registry: values.registry,
+      packageManager,
+      output,
+      timeouts,
+      retries,
+    };
+  }
+  if (['add', 'diff', 'update', 'remove'].includes(positionals[0])) {
+    const command = positionals[0];
+    for (const option of CREATE_ONLY_OPTIONS) {
+      if (passed(option)) {
+        throw new Error(`--${option} is only supported when creating a project`);
+      }
+    }
+    return {
+      command,
+      components: positionals.slice(1)
+        .flatMap(s => s.split(','))
+        .map(s => s.trim())
+        .filter(Boolean),
+      cwd: path.resolve(values.cwd),
+      overwrite: values.overwrite,
+      cascade: values.cascade,
+      prune: values.prune,
+      registry: values.registry,
+      installer: values.installer,
+      packageManager,
+      output,
+      verify: values.verify,
+      timeouts,
+      retries,
+    };
+  }
+
   return {
+    command: 'create',
+    interactive,
     projectName: positionals[0],
     template: values.template,
     components: values.components
       ? values.components.split(',').map(s => s.trim()).filter(Boolean)
       : [],
+    templatesFile: values.templates,
     targetDir: path.resolve(values.target),
+    registry: values.registry,
+    installer: values.installer,
+    packageManager,
+    framework: values.framework,
+    dryRun: values['dry-run'],
+    format: values.format,
+    output,
+    verify: values.verify,
+    timeouts,
+    retries,
+    retryFailed: values['retry-failed'],
+    reset: values.reset,
+    // Left undefined when not passed, so a resumed run keeps its saved theme
+    baseColor,
+    radius,
+    theme: values.theme,
+    modeToggle: values['mode-toggle'],
   };
 }
 
 // ─── HELP TEXT ────────────────────────────────────────────────────────
 
-function printUsage() {
+function describeTemplates(templates) {
+  return Object.entries(templates)
+    .map(([name, template]) => {
+      const source = template.source && template.source !== 'built-in'
+        ? ` (${path.basename(template.source)})`
+        : '';
+      return `                             ${name.padEnd(10)} - ${template.description}${source}`;
+    })
+    .join('\n');
+}
+
+function printUsage(templates = loadConfig().templates) {
   console.log(`
 shadcn-scaffolder - Create React projects with shadcn/ui components
 
 USAGE
   node shadcn-scaffolder/index.js <project-name> [options]
+  node shadcn-scaffolder/index.js add <component...> [--cwd <dir>] [--overwrite]
+  node shadcn-scaffolder/index.js diff [component...] [--cwd <dir>]
+  node shadcn-scaffolder/index.js update [component...] [--cwd <dir>]
+  node shadcn-scaffolder/index.js remove <component...> [--cwd <dir>] [--cascade] [--prune]
+  node shadcn-scaffolder/index.js catalog [--out <dir>] [--build]
+  node shadcn-scaffolder/index.js doctor [--target <dir>] [--format json]
+
+  Run without a project name in a terminal to be asked for the project name,
+  template or components, target directory and package manager instead.
 
 OPTIONS
   -t, --template <name>     Template to use (default: minimal)
-                             minimal    - ${TEMPLATES.minimal.description}
-                             form       - ${TEMPLATES.form.description}
-                             dashboard  - ${TEMPLATES.dashboard.description}
-                             custom     - User-specified components (max 20)
+${describeTemplates(templates)}
+                             ${'custom'.padEnd(10)} - User-specified components (max ${MAX_CUSTOM_COMPONENTS})
+
+  --framework <name>        ${FRAMEWORK_NAMES.join(' | ')} (default: vite)
+${FRAMEWORK_NAMES.map(name => `                             ${name.padEnd(12)} - ${FRAMEWORKS[name].label}`).join('\n')}
 
   -c, --components <list>   Comma-separated component names
                              Only used with --template custom
+                             Registry dependencies are added automatically
                              Example: --components button,card,input,tabs
 
+  --templates <file>        Extra template definitions (JSON). Also read from
+                             ./${CONFIG_FILENAME} and ~/${CONFIG_FILENAME}
+
   --target <dir>            Parent directory for the project (default: cwd)
 
+  -r, --registry <url|path> Registry to install from (default: ${REGISTRY_URL})
+                             Accepts a URL, a local registry.json or a directory
+                             containing one. Also read from $${REGISTRY_ENV_VAR}
+
+  --installer <native|npx>  How components are installed (default: native)
+                             native writes registry files directly and runs a
+                             single dependency install, falling back to shadcn add
+
+  --package-manager <name>  ${PACKAGE_MANAGER_NAMES.join(' | ')}. Used to create the project,
+                             install dependencies and run the shadcn CLI
+                             (default: from a lockfile in the target directory,
+                             then the invoking package manager, then npm)
+
+  --base-color <name>       ${BASE_COLORS.join(' | ')} (default: neutral). Passed
+                             to shadcn init as the gray scale of the theme
+  --radius <length>         Border radius, e.g. 0.5rem or 8px (a bare number is rem)
+  --theme <file|name>       A registry:theme item, as a JSON file or the name of
+                             a theme in the registry. Its light and dark
+                             variables are written into the project's stylesheet
+  --mode-toggle             Add next-themes with a ThemeProvider around the app
+                             and a light/dark/system ModeToggle component
+
+  --verify <basic|deep>     Verification after installing (default: basic, which
+                             checks that the expected files exist). deep also
+                             resolves every component import, checks the CSS
+                             variables the components use, and runs the
+                             project's type-check and build
+
+  --timeout <step=time,...> Per-step timeouts, e.g. npmInstall=5m,shadcnInit=90s.
+                             Numbers without a unit are seconds; a time without
+                             a step applies to every step. Defaults:
+${Object.entries(TIMEOUTS).map(([step, ms]) => `                               ${step.padEnd(18)} ${formatDuration(ms)}`).join('\n')}
+  --retries <n|step=n,...>  Retries after transient failures (network errors,
+                             registry 5xx) with exponential backoff. A bare
+                             number applies to every step. Defaults:
+${Object.entries(RETRIES).map(([step, n]) => `                               ${step.padEnd(18)} ${n}`).join('\n')}
+                             Both are also read from "timeouts" and "retries"
+                             in ${CONFIG_FILENAME}
+
+  --retry-failed            Resume a finished or interrupted run and retry the
+                             components that failed to install
+  --reset                   Discard the saved state of an earlier run on this
+                             project (removing its directory) and start over
+
+  --dry-run                 Validate, resolve components and print every command,
+                             file and package the run would produce, then exit
+  --format <text|json>      Output format of --dry-run and doctor (default: text)
+
+  --output <text|ndjson>    Progress output (default: text). ndjson writes one
+                             JSON event per line to stdout: step transitions,
+                             component results, warnings, errors and a final
+                             summary. Logs and command output go to stderr.
+  --json                    Same as --output ndjson
+
   -h, --help                Show this help message
 
+ADD OPTIONS
+  --cwd <dir>               Existing project with a components.json (default: cwd)
+                             The framework is detected from its config files
+  --overwrite               Replace files that differ from the registry version.
+                             Without it, components with local edits are skipped.
+
+REMOVE OPTIONS
+  --cascade                 Also remove the installed components that depend on
+                             the ones named. Without it, remove refuses to break
+                             them and lists them instead
+  --prune                   Uninstall the npm packages of the removed components
+                             that no other component or source file imports
+
+DIFF AND UPDATE
+  create and add record each installed component in ${MANIFEST_FILENAME},
+  with a hash and a copy of every file as the registry wrote it.
+  diff    Show how each file differs from the registry version (--- local,
+          +++ registry). Without names, every recorded component.
+  update  Apply registry changes with a three-way merge against the recorded
+          copy: local edits are kept, overlapping changes are written with
+          conflict markers and the run exits with code 1.
+  Both read the registry from --registry, $${REGISTRY_ENV_VAR} or the manifest,
+  and take --cwd like add.
+
+CATALOG OPTIONS
+  --out <dir>               Where to write the catalog app (default: ./${DEFAULT_CATALOG_DIR})
+                             Re-running regenerates it in place
+  --build                   Install its dependencies and build it into <dir>/dist
+  The catalog shows every registry:ui item in light and dark mode, with its
+  dependencies and cva() variants. It is generated from a local registry
+  (default: ${LOCAL_REGISTRY}).
+
+DOCTOR
+  Checks the environment before a run: the Node, npm and package manager
+  versions, that the npx cache is writable, free disk space in --target, that
+  the registry loads, and unfinished runs or locks in --target and the
+  projects in it. Exits with code 1 when a check fails. A create run makes
+  the Node, disk and npx cache checks itself before its first step.
+
 REGISTRY
-  ${REGISTRY_URL}
+  ${resolveRegistrySource().location}
 
 EXAMPLES
   node shadcn-scaffolder/index.js my-app
   node shadcn-scaffolder/index.js my-app --template dashboard
   node shadcn-scaffolder/index.js my-app --template custom --components button,card,tabs,sidebar
   node shadcn-scaffolder/index.js my-app --template form --target /home/user/projects
+  node shadcn-scaffolder/index.js my-app --registry ./registry.json
+  node shadcn-scaffolder/index.js my-app --base-color zinc --theme theme-blue --radius 0.5rem --mode-toggle
+  node shadcn-scaffolder/index.js my-app --template dashboard --dry-run --format json
+  node shadcn-scaffolder/index.js add dialog tabs --cwd ./my-app
+  node shadcn-scaffolder/index.js diff sidebar --cwd ./my-app --registry ./registry.json
+  node shadcn-scaffolder/index.js update --cwd ./my-app
+  node shadcn-scaffolder/index.js remove drawer --cwd ./my-app --prune
+  node shadcn-scaffolder/index.js catalog --out ./catalog --build
+  node shadcn-scaffolder/index.js doctor --target ~/projects --package-manager pnpm
 `);
 }
 
 // ─── SUMMARY ─────────────────────────────────────────────────────────
 
-function printSummary(state) {
-  const elapsed = new Date(state.updatedAt) - new Date(state.startedAt);
+// Prints a summary built by summarizeState
+function printSummary(summary) {
   const hr = '='.repeat(55);
 
   const stepLabels = {
-    viteCreate:       'Vite project creation',
-    npmInstall:       'npm install',
+    viteCreate:       'Project creation',
+    npmInstall:       'Dependency install',
     shadcnInit:       'shadcn/ui init',
     componentInstall: 'Component installation',
+    starterFiles:     'Starter files',
     verification:     'Project verification',
+    componentRemoval: 'Component removal',
+    dependencyPrune:  'Dependency pruning',
   };
 
   const statusIcons = {
-    done:    '\x1b[32m DONE \x1b[0m',
-    failed:  '\x1b[31m FAIL \x1b[0m',
-    pending: '\x1b[2m SKIP \x1b[0m',
-    running: '\x1b[33m ABRT \x1b[0m',
+    done:    paint('green', ' DONE '),
+    failed:  paint('red', ' FAIL '),
+    pending: paint('dim', ' SKIP '),
+    running: paint('yellow', ' ABRT '),
   };
 
   console.log(`\n${hr}`);
 
-  const allDone = Object.values(state.steps).every(s => s === 'done');
-  if (allDone && state.failedComponents.length === 0) {
-    console.log('  PROJECT SCAFFOLDED SUCCESSFULLY');
+  const isCreate = summary.mode === 'create';
+  const headlines = {
+    create: ['PROJECT SCAFFOLDED SUCCESSFULLY', 'PROJECT CREATED (with warnings)', 'SCAFFOLDING INCOMPLETE'],
+    add:    ['COMPONENTS ADDED SUCCESSFULLY', 'COMPONENTS ADDED (with warnings)', 'ADDING COMPONENTS INCOMPLETE'],
+    remove: ['COMPONENTS REMOVED SUCCESSFULLY', 'COMPONENTS REMOVED (with warnings)', 'REMOVING COMPONENTS INCOMPLETE'],
+  }[summary.mode];
+  const allDone = Object.values(summary.steps).every(s => s === 'done');
+  if (summary.success) {
+    console.log(`  ${headlines[0]}`);
   } else if (allDone) {
-    console.log('  PROJECT CREATED (with warnings)');
+    console.log(`  ${headlines[1]}`);
   } else {
-    console.log('  SCAFFOLDING INCOMPLETE');
+    console.log(`  ${headlines[2]}`);
   }
 
   console.log(hr);
-  console.log(`  Project:    ${state.projectName}`);
-  console.log(`  Path:       ${state.projectPath}`);
-  console.log(`  Template:   ${state.template}`);
-  console.log(`  Duration:   ${formatDuration(elapsed)}`);
+  console.log(`  Project:    ${summary.project}`);
+  console.log(`  Path:       ${summary.path}`);
+  if (summary.framework) {
+    console.log(`  Framework:  ${FRAMEWORKS[summary.framework].label}`);
+  }
+  if (summary.template) {
+    console.log(`  Template:   ${summary.template}`);
+  }
+  console.log(`  Registry:   ${summary.registry}`);
+  console.log(`  Manager:    ${summary.packageManager}`);
+  if (summary.theme) {
+    console.log(`  Theme:      ${summary.theme}`);
+  }
+  console.log(`  Duration:   ${formatDuration(summary.durationMs)}`);
   console.log('');
   console.log('  Steps:');
 
   for (const [key, label] of Object.entries(stepLabels)) {
-    const status = state.steps[key] || 'pending';
+    if (!(key in summary.steps)) continue;
+    const status = summary.steps[key] || 'pending';
     console.log(`    ${statusIcons[status]} ${label}`);
   }
 
-  if (state.installedComponents.length > 0) {
+  if (summary.installed.length > 0) {
+    console.log('');
+    console.log(`  Installed (${summary.installed.length}):`);
+    for (const name of summary.installed) {
+      console.log(`    ${paint('green', '+')} ${name}`);
+    }
+  }
+
+  if (summary.removed.length > 0) {
     console.log('');
-    console.log(`  Installed (${state.installedComponents.length}):`);
-    for (const name of state.installedComponents) {
-      console.log(`    \x1b[32m+\x1b[0m ${name}`);
+    console.log(`  Removed (${summary.removed.length}):`);
+    for (const name of summary.removed) {
+      console.log(`    ${paint('red', '-')} ${name}`);
     }
   }
 
-  if (state.failedComponents.length > 0) {
+  if (summary.removedPackages.length > 0) {
     console.log('');
-    console.log(`  Failed (${state.failedComponents.length}):`);
-    for (const name of state.failedComponents) {
-      console.log(`    \x1b[31m!\x1b[0m ${name}`);
+    console.log(`  Uninstalled packages (${summary.removedPackages.length}):`);
+    for (const name of summary.removedPackages) {
+      console.log(`    ${paint('red', '-')} ${name}`);
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    console.log('');
+    console.log(`  Failed (${summary.failed.length}):`);
+    for (const name of summary.failed) {
+      console.log(`    ${paint('red', '!')} ${name}`);
+    }
+  }
+
+  if (Object.keys(summary.installTimingsMs).length > 0) {
+    console.log('');
+    console.log('  Install timing:');
+    for (const [installer, ms] of Object.entries(summary.installTimingsMs)) {
+      console.log(`    ${installer.padEnd(8)} ${formatDuration(ms)}`);
+    }
+  }
+
+  if (summary.files) {
+    const fileGroups = [
+      ['Added',                    summary.files.added,       paint('green', '+')],
+      ['Overwritten',              summary.files.overwritten, paint('yellow', '~')],
+      ['Skipped (local changes)',  summary.files.skipped,     paint('dim', '-')],
+      ['Deleted',                  summary.files.removed,     paint('red', '-')],
+    ];
+    for (const [label, files, icon] of fileGroups) {
+      if (!files || files.length === 0) continue;
+      console.log('');
+      console.log(`  ${label} (${files.length}):`);
+      for (const file of files) {
+        console.log(`    ${icon} ${file}`);
+      }
     }
   }
 
-  if (state.error) {
+  if (summary.error) {
     console.log('');
-    console.log(`  \x1b[31mError: ${state.error}\x1b[0m`);
+    console.log(`  ${paint('red', `Error: ${summary.error}`)}`);
+  }
+
+  const problems = summary.verificationProblems;
+  if (problems.length > 0) {
+    console.log('');
+    console.log(`  Verification problems (${problems.length}):`);
+    for (const [component, entries] of groupProblems(problems)) {
+      console.log(`    ${paint('red', '!')} ${component || 'project'}`);
+      for (const problem of entries) {
+        console.log(`      ${problem.check}: ${problem.message}`);
+      }
+    }
+  }
+
+  const diagnostics = summary.diagnostics;
+  if (diagnostics.length > 0) {
+    console.log('');
+    console.log('  Diagnosis:');
+    for (const diagnosis of diagnostics) {
+      const components = diagnosis.components ? ` (${diagnosis.components.join(', ')})` : '';
+      console.log(`    ${paint('red', '!')} ${diagnosis.title}${components}`);
+      console.log(`      ${diagnosis.remediation}`);
+      if (diagnosis.logFile) {
+        console.log(`      ${paint('dim', `Log: ${diagnosis.logFile}`)}`);
+      }
+    }
   }
 
   console.log(hr);
 
   if (allDone) {
+    const registryArg = summary.registry !== REGISTRY_URL ? ` --registry ${summary.registry}` : '';
     console.log('');
-    console.log('  Next steps:');
-    console.log(`    cd ${state.projectName}`);
-    console.log('    npm run dev');
-    console.log('');
+    if (isCreate) {
+      console.log('  Next steps:');
+      console.log(`    cd ${summary.project}`);
+      console.log(`    ${runScriptCommand(summary.packageManager, 'dev')}`);
+      console.log('');
+    }
     console.log('  Add more components:');
-    console.log(`    npx shadcn@latest add --registry ${REGISTRY_URL} [component]`);
+    console.log(`    node shadcn-scaffolder/index.js add [component] --cwd ${summary.path}${registryArg}`);
     console.log('');
   }
 }
 
 // ─── SIGNAL HANDLING ─────────────────────────────────────────────────
 
-let _currentState = null;
-let _currentProjectPath = null;
-
+// A create run is aborted through its signal and saves its state before it
+// returns; any other command, or a second signal, exits right away
 function registerSignalHandlers() {
+  const controller = new AbortController();
   const handler = (signal) => {
     console.log('');
+    if (controller.signal.aborted) {
+      process.exit(EXIT_CODES.FAILURE);
+    }
     log('WARN', `Received ${signal}. Saving state and exiting...`);
-
-    if (_currentState && _currentProjectPath) {
-      for (const key of Object.keys(_currentState.steps)) {
-        if (_currentState.steps[key] === 'running') {
-          _currentState.steps[key] = 'failed';
-        }
-      }
-      _currentState.error = `Interrupted by ${signal}`;
-      try {
-        saveState(_currentProjectPath, _currentState);
-        log('INFO', 'State saved. Re-run the same command to resume.');
-      } catch {
-        // Cannot save — nothing more to do
-      }
+    if (!scaffolding) {
+      process.exit(EXIT_CODES.FAILURE);
     }
-
-    process.exit(EXIT_CODES.FAILURE);
+    controller.abort(new Error(`Interrupted by ${signal}`));
   };
 
   process.on('SIGINT', handler);
   process.on('SIGTERM', handler);
+  return controller.signal;
 }
 
-// ─── MAIN ────────────────────────────────────────────────────────────
+let scaffolding = false;
 
-async function main() {
-  registerSignalHandlers();
+// ─── REGISTRY ────────────────────────────────────────────────────────
 
-  // Step 1: Parse CLI args
-  let args;
+async function loadRegistryOrExit(registrySource, timeout) {
+  log('INFO', `Loading registry ${registrySource.location}...`);
   try {
-    args = parseCLIArgs();
+    return await loadRegistry(registrySource, timeout);
   } catch (err) {
-    log('ERROR', `Invalid arguments: ${err.message}`);
-    printUsage();
+    log('ERROR', err.message);
+    log('ERROR', `  -> Check the --registry option or $${REGISTRY_ENV_VAR}`);
     process.exit(EXIT_CODES.FAILURE);
   }
+}
 
-  const { projectName, template, components, targetDir } = args;
+// ─── ADD AND REMOVE ──────────────────────────────────────────────────
 
-  // Step 2: Validate
-  log('INFO', `Validating inputs for project "${projectName}"...`);
+// add() and remove() log as they go; what is left is the summary box
+async function runWithSummary(command, args) {
+  const result = await command(args);
+  if (result.summary && !eventsEnabled()) {
+    printSummary(result.summary);
+  }
+  process.exit(result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+}
 
-  const validation = validateInputs({ projectName, template, components, targetDir });
+// ─── DIFF AND UPDATE ─────────────────────────────────────────────────
+
+const FILE_STATUS_LABELS = {
+  outdated:  'behind the registry',
+  modified:  'edited locally; the registry version has not changed',
+  diverged:  'edited locally and changed in the registry',
+  added:     'new in the registry',
+  untracked: 'different from the registry, with no recorded base',
+  missing:   'deleted locally',
+};
+
+function printDiff(diff) {
+  diff.replace(/\n$/, '').split('\n').forEach((line, index) => {
+    if (index < 2) console.log(paint('dim', line));
+    else if (line.startsWith('+')) console.log(paint('green', line));
+    else if (line.startsWith('-')) console.log(paint('red', line));
+    else if (line.startsWith('@@')) console.log(paint('cyan', line));
+    else console.log(line);
+  });
+}
 
-  if (!validation.valid) {
-    for (const err of validation.errors) {
-      log('ERROR', err);
-    }
+async function runDiff(args) {
+  const result = await diff(args);
+  if (!result.success) {
     process.exit(EXIT_CODES.FAILURE);
   }
 
-  const { projectPath, resolvedComponents, existingState } = validation;
-
-  // Step 3: Create or load state
-  let state;
-
-  if (existingState) {
-    state = existingState;
-    state.freshCreation = false;
-    log('INFO', 'Resuming from previous state...');
-    for (const [step, status] of Object.entries(state.steps)) {
-      if (status === 'done') {
-        log('INFO', `  Skipping ${step} (already completed)`);
-      }
+  // The files have already been emitted as events in machine-readable mode
+  if (!eventsEnabled()) {
+    for (const file of result.files) {
+      console.log(paint('yellow', `${file.component}: ${file.file} is ${FILE_STATUS_LABELS[file.status]}`));
+      printDiff(file.diff);
+      console.log('');
     }
+  }
+
+  const { counts } = result;
+  if (result.files.length === 0) {
+    log('SUCCESS', `All ${result.summary.components.length} component(s) match the registry.`);
   } else {
-    state = createInitialState({
-      projectName,
-      projectPath,
-      template,
-      components: resolvedComponents,
-    });
-  }
-
-  _currentState = state;
-  _currentProjectPath = projectPath;
-
-  // Step 4a: Create Vite project
-  if (state.steps.viteCreate !== 'done') {
-    // Cannot save state yet — project dir doesn't exist
-    const viteResult = await createViteProject(projectName, targetDir);
-
-    if (!viteResult.success) {
-      log('ERROR', `BLOCKING: ${viteResult.error}`);
-      log('ERROR', '  -> Check npm/npx installation: npm --version');
-      log('ERROR', `  -> Manual fallback: npx create-vite@latest ${projectName} --template react-ts`);
-      cleanup(projectPath);
-      state.steps.viteCreate = 'failed';
-      state.error = viteResult.error;
-      printSummary(state);
-      process.exit(EXIT_CODES.FAILURE);
+    log('INFO', `${result.files.length} file(s) differ from the registry: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+    if (counts.outdated || counts.diverged || counts.added) {
+      log('INFO', `  -> Apply the registry changes with: node shadcn-scaffolder/index.js update ${args.components.join(' ')}${args.components.length > 0 ? ' ' : ''}--cwd ${args.cwd}`);
     }
-
-    // Project dir now exists — save state for the first time
-    updateStep(state, projectPath, 'viteCreate', 'done');
   }
+  process.exit(EXIT_CODES.SUCCESS);
+}
 
-  // Step 4b: npm install
-  if (state.steps.npmInstall !== 'done') {
-    updateStep(state, projectPath, 'npmInstall', 'running');
-
-    const npmResult = await npmInstall(projectPath);
+async function runUpdate(args) {
+  const result = await update(args);
+  process.exit(result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+}
 
-    if (!npmResult.success) {
-      log('ERROR', `BLOCKING: ${npmResult.error}`);
-      log('ERROR', '  -> Try manually: cd ' + projectPath + ' && npm install');
-      updateStep(state, projectPath, 'npmInstall', 'failed', { error: npmResult.error });
-      if (state.freshCreation) cleanup(projectPath);
-      printSummary(state);
-      process.exit(EXIT_CODES.FAILURE);
-    }
+// ─── CATALOG ─────────────────────────────────────────────────────────
 
-    updateStep(state, projectPath, 'npmInstall', 'done');
+async function runCatalog(args) {
+  const result = await catalog(args);
+  if (!result.success) {
+    process.exit(EXIT_CODES.FAILURE);
   }
+  const { outDir, packageManager } = result;
+  if (result.output) {
+    log('INFO', `  -> Serve it with: cd ${outDir} && ${runScriptCommand(packageManager, 'preview')}`);
+  } else {
+    log('INFO', `  -> cd ${outDir} && ${formatCommand(installCommand(packageManager))} && ${runScriptCommand(packageManager, 'dev')}`);
+  }
+  process.exit(EXIT_CODES.SUCCESS);
+}
 
-  // Step 4c: shadcn init
-  if (state.steps.shadcnInit !== 'done') {
-    updateStep(state, projectPath, 'shadcnInit', 'running');
-
-    const initResult = await initShadcn(projectPath);
-
-    if (!initResult.success) {
-      log('ERROR', `BLOCKING: ${initResult.error}`);
-      log('ERROR', `  -> Try manually: npx shadcn@latest init --yes --defaults --force --cwd ${projectPath}`);
-      updateStep(state, projectPath, 'shadcnInit', 'failed', { error: initResult.error });
-      if (state.freshCreation) cleanup(projectPath);
-      printSummary(state);
-      process.exit(EXIT_CODES.FAILURE);
-    }
+// ─── DOCTOR ──────────────────────────────────────────────────────────
 
-    updateStep(state, projectPath, 'shadcnInit', 'done');
+async function runDoctor(args) {
+  const { success, checks } = await doctor(args);
+  // The checks have already been emitted as events in machine-readable mode
+  if (!eventsEnabled()) {
+    console.log(args.format === 'json'
+      ? JSON.stringify({ success, checks }, null, 2)
+      : `\n${formatChecks(checks)}\n`);
   }
+  process.exit(success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE);
+}
 
-  // Step 4d: Install components
-  if (state.steps.componentInstall !== 'done') {
-    updateStep(state, projectPath, 'componentInstall', 'running');
+// ─── MAIN ────────────────────────────────────────────────────────────
 
-    const installResult = await installComponents(projectPath, state.components);
+async function main() {
+  const signal = registerSignalHandlers();
 
-    updateStep(state, projectPath, 'componentInstall', 'done', {
-      installedComponents: installResult.installed,
-      failedComponents: installResult.failed,
-    });
+  // Argument parsing is where a Node that is too old would fail, unhelpfully
+  const node = checkNode();
+  if (node.status === 'fail') {
+    log('ERROR', node.message);
+    log('ERROR', `  -> ${node.hint}`);
+    process.exit(EXIT_CODES.FAILURE);
+  }
 
-    if (installResult.failed.length > 0) {
-      log('WARN', `${installResult.failed.length} component(s) failed to install.`);
-    }
+  // Step 1: Parse CLI args
+  let args;
+  try {
+    args = parseCLIArgs();
+  } catch (err) {
+    log('ERROR', `Invalid arguments: ${err.message}`);
+    printUsage();
+    process.exit(EXIT_CODES.FAILURE);
   }
 
-  // Step 4e: Verify
-  if (state.steps.verification !== 'done') {
-    updateStep(state, projectPath, 'verification', 'running');
-    log('INFO', 'Verifying project structure...');
+  // Keep stdout parseable
+  const machine = args.output === 'ndjson'
+    || ((args.dryRun || args.command === 'doctor') && args.format === 'json');
+  configureOutput({ machine, events: args.output === 'ndjson' });
 
-    const verifyResult = verifyProject(projectPath, state.installedComponents);
+  if (args.command === 'add') {
+    return runWithSummary(add, args);
+  }
+  if (args.command === 'diff') {
+    return runDiff(args);
+  }
+  if (args.command === 'update') {
+    return runUpdate(args);
+  }
+  if (args.command === 'remove') {
+    return runWithSummary(remove, args);
+  }
+  if (args.command === 'catalog') {
+    return runCatalog(args);
+  }
+  if (args.command === 'doctor') {
+    return runDoctor(args);
+  }
 
-    if (!verifyResult.valid) {
-      log('ERROR', 'BLOCKING: Project structure verification failed.');
-      for (const item of verifyResult.missing) {
-        log('ERROR', `  Missing: ${item}`);
-      }
-      updateStep(state, projectPath, 'verification', 'failed', {
-        error: `Verification failed. Missing: ${verifyResult.missing.join(', ')}`,
-      });
-      printSummary(state);
-      process.exit(EXIT_CODES.FAILURE);
+  if (args.interactive) {
+    const config = loadConfig({ file: args.templatesFile });
+    for (const err of config.errors) {
+      log('WARN', err);
     }
+    const { timeouts } = stepSettings(config, args);
+    const registry = await loadRegistryOrExit(resolveRegistrySource(args.registry), timeouts.registryLoad);
+    Object.assign(args, await promptCreateOptions(args, { templates: config.templates, registry }));
+  }
 
-    for (const warning of verifyResult.warnings) {
-      log('WARN', warning);
+  // The plan has already been emitted as an event in machine-readable mode
+  const printPlan = (plan) => {
+    if (eventsEnabled()) return;
+    console.log(args.format === 'json'
+      ? JSON.stringify(plan, null, 2)
+      : formatPlan(plan, args.dryRun ? undefined : { title: 'PLAN — nothing runs until confirmed' }));
+    if (args.interactive) {
+      console.log(`\nTo run this again without questions:\n  ${commandLine(args, process.argv.slice(2))}\n`);
     }
+  };
 
-    updateStep(state, projectPath, 'verification', 'done');
-  }
+  // Steps 2-5 run in scaffold(), which logs as it goes
+  scaffolding = true;
+  const result = await scaffold({
+    ...args,
+    signal,
+    confirm: args.interactive
+      ? async (plan) => {
+        printPlan(plan);
+        return confirm(`Create ${args.projectName} in ${args.targetDir}?`);
+      }
+      : undefined,
+  });
+  scaffolding = false;
 
-  // Step 5: Success
-  if (state.failedComponents.length > 0) {
-    log('WARN', 'Project created with some component installation failures.');
-  } else {
-    log('SUCCESS', 'Project scaffolded successfully!');
+  if (args.dryRun && result.plan) {
+    printPlan(result.plan);
+  }
+  if (result.cancelled) {
+    log('INFO', 'Nothing created.');
+  }
+  // An interrupted run ends with the state-saved message, not a summary
+  if (result.summary && !result.aborted && !eventsEnabled()) {
+    printSummary(result.summary);
   }
 
-  removeState(projectPath);
-  printSummary(state);
-  process.exit(EXIT_CODES.SUCCESS);
+  const failed = result.errors.length > 0 || result.aborted || (result.summary !== null && !result.completed);
+  process.exit(failed ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
 }
 
-main().catch((err) => {
-  log('ERROR', `Unexpected error: ${err.message}`);
-  if (err.stack) {
-    log('ERROR', err.stack);
-  }
-  process.exit(EXIT_CODES.FAILURE);
-});
+module.exports = {
+  scaffold,
+  add,
+  diff,
+  update,
+  remove,
+  catalog,
+  doctor,
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    log('ERROR', `Unexpected error: ${err.message}`);
+    if (err.stack) {
+      log('ERROR', err.stack);
+    }
+    process.exit(EXIT_CODES.FAILURE);
+  });
+}
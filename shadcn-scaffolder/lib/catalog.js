@@ -0,0 +1,412 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { STARTERS_DIR, TIMEOUTS, RETRIES, REGISTRY_ENV_VAR, log, emit, withRun, runContext } = require('./utils');
+const { loadConfig, stepSettings } = require('./config');
+const { resolveRegistrySource, loadRegistry, findItem, resolveDependencyClosure } = require('./registry');
+const { detectProject, readJson } = require('./project');
+const { writeItemFiles, mergeCssVars } = require('./native-installer');
+const { parseDependencySpec } = require('./sources');
+const { detectPackageManager, binCommand } = require('./package-manager');
+const { runCommand, failureMessage, stepLogFile, npmInstall } = require('./executor');
+const { optionErrors } = require('./scaffold');
+
+// `catalog`: a Vite app that renders every registry:ui item, in light and
+// dark mode, with its dependencies and the variants of its cva()
+// definitions. Everything comes from the registry's own sources; only
+// installing the app's packages needs the network.
+
+const CATALOG_DIR = path.join(STARTERS_DIR, 'catalog');
+
+// The registry next to the scaffolder, used unless --registry or the
+// environment variable points elsewhere
+const LOCAL_REGISTRY = path.join(__dirname, '..', '..', 'registry.json');
+
+// Where the catalog is written unless told otherwise
+const DEFAULT_CATALOG_DIR = 'registry-catalog';
+
+// Identifies an output directory as a catalog that may be regenerated
+const CATALOG_PACKAGE_NAME = 'registry-catalog';
+
+// Packages of the app itself; those of the items are added to them
+const APP_DEPENDENCIES = {
+  'clsx': '^2.1.1',
+  'lucide-react': '^0.511.0',
+  'react': '^19.1.0',
+  'react-dom': '^19.1.0',
+  'tailwind-merge': '^3.3.0',
+  'tw-animate-css': '^1.3.0',
+};
+
+const APP_DEV_DEPENDENCIES = {
+  '@tailwindcss/vite': '^4.1.0',
+  '@types/node': '^22.15.0',
+  '@types/react': '^19.1.0',
+  '@types/react-dom': '^19.1.0',
+  '@vitejs/plugin-react': '^4.5.0',
+  'tailwindcss': '^4.1.0',
+  'typescript': '~5.8.3',
+  'vite': '^6.3.0',
+};
+
+// ─── CVA VARIANTS ────────────────────────────────────────────────────
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+// Index of the quote that ends the string starting at `start`
+function stringEnd(source, start) {
+  const quote = source[start];
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === quote) return i;
+  }
+  return source.length;
+}
+
+// Index of the first `stop` character (or unmatched closing bracket) at the
+// nesting depth of `start`, skipping strings and comments
+function scan(source, start, stop) {
+  const stack = [];
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      i = stringEnd(source, i);
+    } else if (ch === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) return source.length;
+    } else if (ch === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2) + 1;
+      if (i === 0) return source.length;
+    } else if (CLOSING[ch]) {
+      stack.push(CLOSING[ch]);
+    } else if (stack.length > 0 && ch === stack[stack.length - 1]) {
+      stack.pop();
+    } else if (stack.length === 0 && (stop.includes(ch) || ch === ')' || ch === ']' || ch === '}')) {
+      return i;
+    }
+  }
+  return source.length;
+}
+
+// Comma-separated parts of the bracketed list opening at `open`, as
+// [start, end] ranges
+function listParts(source, open) {
+  const parts = [];
+  let start = open + 1;
+  while (start < source.length) {
+    const end = scan(source, start, ',');
+    if (source.slice(start, end).trim() !== '') parts.push([start, end]);
+    if (source[end] !== ',') break;
+    start = end + 1;
+  }
+  return parts;
+}
+
+// `key: value` entries of the object literal opening at `open`. Spreads,
+// methods and shorthand properties are skipped.
+function objectEntries(source, open) {
+  const entries = [];
+  for (const [start, end] of listParts(source, open)) {
+    const text = source.slice(start, end);
+    const match = text.match(/^\s*(?:(["'])((?:(?!\1).)*)\1|([\w$-]+))\s*:/);
+    if (!match) continue;
+    const valueStart = start + match[0].length;
+    entries.push({
+      key: match[2] !== undefined ? match[2] : match[3],
+      value: source.slice(valueStart, end).trim(),
+      valueStart: valueStart + (source.slice(valueStart, end).length - source.slice(valueStart, end).trimStart().length),
+    });
+  }
+  return entries;
+}
+
+// The variant groups of every `const x = cva(base, { variants: { ... } })`
+// in a source file, e.g. { buttonVariants: { variant: ['default', ...] } }.
+// Definitions without variants are left out.
+function extractVariants(source) {
+  const result = {};
+  for (const match of source.matchAll(/\b(?:const|let)\s+([\w$]+)\s*=\s*cva\s*\(/g)) {
+    const open = match.index + match[0].length - 1;
+    const config = listParts(source, open)[1];
+    if (!config) continue;
+
+    const configOpen = source.indexOf('{', config[0]);
+    if (configOpen === -1 || configOpen >= config[1]) continue;
+    const variants = objectEntries(source, configOpen).find(entry => entry.key === 'variants');
+    if (!variants || !variants.value.startsWith('{')) continue;
+
+    const groups = {};
+    for (const group of objectEntries(source, variants.valueStart)) {
+      if (!group.value.startsWith('{')) continue;
+      const values = objectEntries(source, group.valueStart).map(entry => entry.key);
+      if (values.length > 0) groups[group.key] = values;
+    }
+    if (Object.keys(groups).length > 0) result[match[1]] = groups;
+  }
+  return result;
+}
+
+// ─── GENERATION ──────────────────────────────────────────────────────
+
+function copyDir(from, to) {
+  for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+    if (entry.isDirectory()) {
+      fs.mkdirSync(target, { recursive: true });
+      copyDir(source, target);
+    } else {
+      fs.copyFileSync(source, target);
+    }
+  }
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function packageJson(items) {
+  const dependencies = { ...APP_DEPENDENCIES };
+  for (const item of items) {
+    for (const spec of item.dependencies || []) {
+      const { name, version } = parseDependencySpec(spec);
+      if (!(name in dependencies)) dependencies[name] = version || 'latest';
+    }
+  }
+
+  return {
+    name: CATALOG_PACKAGE_NAME,
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview',
+    },
+    dependencies: sortKeys(dependencies),
+    devDependencies: APP_DEV_DEPENDENCIES,
+  };
+}
+
+// "alert-dialog" -> "AlertDialogDemo"
+function demoIdentifier(name) {
+  return `${name.replace(/(^|-)(\w)/g, (match, dash, ch) => ch.toUpperCase())}Demo`;
+}
+
+// src/catalog/items.ts: the data the catalog page renders
+function itemsModule(items, demos, registryLocation) {
+  const imports = items
+    .filter(item => demos.includes(item.name))
+    .map(item => `import ${demoIdentifier(item.name)} from "./demos/${item.name}"`);
+
+  const entries = items.map((item) => {
+    const variants = Object.assign({}, ...(item.files || []).map(file => extractVariants(file.content || '')));
+    return [
+      '  {',
+      `    name: ${JSON.stringify(item.name)},`,
+      `    title: ${JSON.stringify(item.title || null)},`,
+      `    description: ${JSON.stringify(item.description || null)},`,
+      `    dependencies: ${JSON.stringify(item.dependencies || [])},`,
+      `    registryDependencies: ${JSON.stringify(item.registryDependencies || [])},`,
+      `    variants: ${JSON.stringify(variants)},`,
+      `    Demo: ${demos.includes(item.name) ? demoIdentifier(item.name) : 'null'},`,
+      '  },',
+    ].join('\n');
+  });
+
+  return [
+    `// Generated by \`shadcn-scaffolder catalog\` from ${registryLocation}. Do not edit.`,
+    'import type { CatalogItem } from "./catalog"',
+    ...imports,
+    '',
+    'export const ITEMS: CatalogItem[] = [',
+    ...entries,
+    ']',
+    '',
+  ].join('\n');
+}
+
+// Regenerating is fine; writing into an unrelated project is not
+function checkOutputDir(outDir) {
+  if (!fs.existsSync(outDir)) return;
+  if (!fs.statSync(outDir).isDirectory()) {
+    throw new Error(`${outDir} exists and is not a directory`);
+  }
+  if (fs.readdirSync(outDir).length === 0) return;
+
+  const pkgPath = path.join(outDir, 'package.json');
+  let name = null;
+  try {
+    name = readJson(pkgPath).name;
+  } catch {
+    // No package.json, or not one we can read
+  }
+  if (name !== CATALOG_PACKAGE_NAME) {
+    throw new Error(`${outDir} is not empty and is not a catalog generated by this command. Choose another --out.`);
+  }
+}
+
+// Writes the catalog app for every registry:ui item of `registry` into
+// `outDir`. src/ is regenerated from scratch; node_modules and dist are
+// kept. Throws when the registry has nothing to show or `outDir` is taken.
+function generateCatalog(registry, outDir, { registryLocation = 'the registry' } = {}) {
+  const items = registry.items
+    .filter(item => item.type === 'registry:ui')
+    .sort((a, b) => a.name.localeCompare(b.name));
+  if (items.length === 0) {
+    throw new Error('The registry has no registry:ui items to show');
+  }
+
+  checkOutputDir(outDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.rmSync(path.join(outDir, 'src'), { recursive: true, force: true });
+  copyDir(path.join(CATALOG_DIR, 'app'), outDir);
+
+  // Hooks and lib items the components import are written, not shown
+  const written = resolveDependencyClosure(registry, items.map(item => item.name))
+    .map(name => findItem(registry, name));
+  fs.writeFileSync(path.join(outDir, 'package.json'), `${JSON.stringify(packageJson(written), null, 2)}\n`, 'utf8');
+
+  const project = detectProject(outDir);
+  if (!project.valid) {
+    throw new Error(`Generated catalog is not a valid project: ${project.errors.join('; ')}`);
+  }
+  writeItemFiles(project, written);
+  mergeCssVars(project, written);
+
+  const demosDir = path.join(outDir, 'src', 'catalog', 'demos');
+  fs.mkdirSync(demosDir, { recursive: true });
+  const demos = [];
+  for (const item of items) {
+    const demo = path.join(CATALOG_DIR, 'demos', `${item.name}.tsx`);
+    if (!fs.existsSync(demo)) continue;
+    fs.copyFileSync(demo, path.join(demosDir, `${item.name}.tsx`));
+    demos.push(item.name);
+  }
+
+  fs.writeFileSync(
+    path.join(outDir, 'src', 'catalog', 'items.ts'),
+    itemsModule(items, demos, registryLocation),
+    'utf8'
+  );
+
+  return {
+    items: items.map(item => item.name),
+    demos,
+    withoutDemo: items.map(item => item.name).filter(name => !demos.includes(name)),
+  };
+}
+
+// ─── BUILD ───────────────────────────────────────────────────────────
+
+// Installs the catalog's packages and runs `vite build` into dist/
+async function buildCatalog(outDir, { packageManager = 'npm', timeouts = TIMEOUTS, retries = RETRIES } = {}) {
+  const install = await npmInstall(outDir, [], {
+    packageManager,
+    timeout: timeouts.npmInstall,
+    retries: retries.npmInstall,
+  });
+  if (!install.success) return install;
+
+  log('INFO', 'Building the catalog...');
+  const [command, args] = binCommand(packageManager, 'vite', ['build']);
+  const logFile = stepLogFile(outDir, 'build');
+  try {
+    const run = await runCommand(command, args, { cwd: outDir, timeout: timeouts.build, label: 'Catalog build', logFile });
+    if (run.timedOut || run.code !== 0) {
+      return { success: false, error: failureMessage('vite build', run, timeouts.build), logFile };
+    }
+  } catch (err) {
+    return { success: false, error: err.message, logFile };
+  }
+
+  return { success: true, output: path.join(outDir, 'dist', 'index.html') };
+}
+
+// ─── CATALOG ─────────────────────────────────────────────────────────
+
+// The `catalog` command as a function, resolving with a result instead of
+// exiting. Options are those of the command line, camelCased (outDir,
+// build, registry, packageManager, timeouts, retries), plus onEvent,
+// signal, log and executors (runCommand) as for scaffold().
+//
+// The result has `success`, `errors` (why it could not start), `outDir`,
+// `items` and `withoutDemo` (see generateCatalog), `packageManager` and,
+// once built, `output`, the built index.html.
+function catalog(options = {}) {
+  return withRun(runContext(options), async () => {
+    const outDir = path.resolve(options.outDir || DEFAULT_CATALOG_DIR);
+    const refuse = errors => ({ success: false, errors, outDir, output: null });
+
+    const errors = optionErrors(options, ['runCommand']);
+    if (errors.length > 0) {
+      for (const err of errors) {
+        log('ERROR', err);
+      }
+      return refuse(errors);
+    }
+
+    const registrySource = resolveRegistrySource(options.registry || process.env[REGISTRY_ENV_VAR] || LOCAL_REGISTRY);
+    if (registrySource.kind === 'remote') {
+      const error = `The catalog is built offline from local sources; ${registrySource.location} is remote.`;
+      log('ERROR', error);
+      log('ERROR', '  -> Pass a local registry.json with --registry');
+      return refuse([error]);
+    }
+
+    const config = loadConfig();
+    for (const err of config.errors) {
+      log('WARN', err);
+    }
+    const { timeouts, retries } = stepSettings(config, options);
+
+    log('INFO', `Loading registry ${registrySource.location}...`);
+    let registry;
+    try {
+      registry = await loadRegistry(registrySource, timeouts.registryLoad);
+    } catch (err) {
+      log('ERROR', err.message);
+      log('ERROR', `  -> Check the --registry option or $${REGISTRY_ENV_VAR}`);
+      return refuse([err.message]);
+    }
+    let generated;
+    try {
+      generated = generateCatalog(registry, outDir, { registryLocation: path.basename(registrySource.location) });
+    } catch (err) {
+      log('ERROR', err.message);
+      return refuse([err.message]);
+    }
+    log('SUCCESS', `Catalog of ${generated.items.length} item(s) written to ${outDir}`);
+    if (generated.withoutDemo.length > 0) {
+      log('WARN', `  No demo for: ${generated.withoutDemo.join(', ')}. They are listed without a preview.`);
+    }
+    emit('catalog', { outDir, ...generated });
+
+    const packageManager = detectPackageManager({ requested: options.packageManager, cwd: outDir }).name;
+    const done = { success: true, errors: [], outDir, items: generated.items, withoutDemo: generated.withoutDemo, packageManager, output: null };
+    if (!options.build) {
+      return done;
+    }
+
+    const built = await buildCatalog(outDir, { packageManager, timeouts, retries });
+    if (!built.success) {
+      log('ERROR', built.error);
+      if (built.logFile) {
+        log('ERROR', `  -> Full output: ${built.logFile}`);
+      }
+      return { ...done, success: false };
+    }
+    log('SUCCESS', `Catalog built: ${built.output}`);
+    emit('summary', { success: true, mode: 'catalog', outDir, output: built.output });
+    return { ...done, output: built.output };
+  });
+}
+
+module.exports = {
+  DEFAULT_CATALOG_DIR,
+  LOCAL_REGISTRY,
+  extractVariants,
+  generateCatalog,
+  buildCatalog,
+  catalog,
+};
@@ -0,0 +1,588 @@
+const path = require('node:path');
+const { REGISTRY_ENV_VAR, log, emit, withRun, runContext } = require('./utils');
+const { validateComponents } = require('./validator');
+const { loadConfig, stepSettings } = require('./config');
+const { resolveRegistrySource, loadRegistry, findItem } = require('./registry');
+const { detectProject, inspectItemFiles, snapshotFiles, diffSnapshot } = require('./project');
+const { setStep, summarizeState } = require('./state');
+const { acquireLock, lockFailure } = require('./lock');
+const { detectPackageManager, installCommand, uninstallCommand, formatCommand } = require('./package-manager');
+const { manifestPath, readManifest, forgetItems, itemFileStatus, updateItems } = require('./manifest');
+const { installedItems, planRemoval, removeItemFiles, unusedPackages } = require('./remover');
+const { unifiedDiff } = require('./merge');
+const { mergeCssVars, missingDependencies } = require('./native-installer');
+const { optionErrors, recordManifest, recordDiagnoses, runDeepVerification } = require('./scaffold');
+const executor = require('./executor');
+
+// The commands on an existing project as functions: add, diff, update and
+// remove resolve with a result instead of exiting, like scaffold().
+//
+// Options are those of the command line, camelCased (cwd, components,
+// registry, installer, packageManager, verify, overwrite, cascade, prune,
+// timeouts, retries), plus onEvent, signal and log as for scaffold(), and
+// executors: runCommand, and for add also installComponents and
+// verifyProject.
+
+const ADD_EXECUTORS = ['runCommand', 'installComponents', 'verifyProject'];
+
+const COMMAND_EXECUTORS = ['runCommand'];
+
+// ─── RESULT ──────────────────────────────────────────────────────────
+
+// success  the command did all it was asked to
+// errors   why the command could not start
+// summary  the `summary` event, once the command started
+function result(fields) {
+  return {
+    success: false,
+    errors: [],
+    summary: null,
+    ...fields,
+  };
+}
+
+function finish(summary, fields = {}) {
+  emit('summary', summary);
+  return result({ success: summary.success, summary, ...fields });
+}
+
+// The command cannot start: `errors` have been logged
+function refuse(errors) {
+  return result({ errors });
+}
+
+// ─── SETUP ───────────────────────────────────────────────────────────
+
+// Checks the options and the project and runs `fn` with them, holding the
+// project lock when `locked`
+function run(options, { executorNames = COMMAND_EXECUTORS, locked = true } = {}, fn) {
+  return withRun(runContext(options), async () => {
+    const errors = optionErrors(options, executorNames);
+    if (errors.length > 0) {
+      for (const err of errors) {
+        log('ERROR', err);
+      }
+      return refuse(errors);
+    }
+
+    const projectPath = path.resolve(options.cwd || process.cwd());
+    const project = detectProject(projectPath);
+    if (!project.valid) {
+      for (const err of project.errors) {
+        log('ERROR', err);
+      }
+      return refuse(project.errors);
+    }
+
+    let lock = null;
+    if (locked) {
+      lock = acquireLock(projectPath);
+      if (!lock.acquired) {
+        const [error, hint] = lockFailure(lock, projectPath);
+        log('ERROR', error);
+        log('ERROR', `  -> ${hint}`);
+        return refuse([error]);
+      }
+    }
+    try {
+      return await fn({ projectPath, project, steps: { ...executor, ...options.executors } });
+    } finally {
+      if (lock) lock.release();
+    }
+  });
+}
+
+// Templates are not used here; a broken config file only costs its settings
+function settings(options) {
+  const config = loadConfig();
+  for (const err of config.errors) {
+    log('WARN', err);
+  }
+  return stepSettings(config, options);
+}
+
+async function openRegistry(registrySource, timeout) {
+  log('INFO', `Loading registry ${registrySource.location}...`);
+  try {
+    return { registry: await loadRegistry(registrySource, timeout) };
+  } catch (err) {
+    log('ERROR', err.message);
+    log('ERROR', `  -> Check the --registry option or $${REGISTRY_ENV_VAR}`);
+    return { error: err.message };
+  }
+}
+
+function openManifest(projectPath) {
+  try {
+    return { manifest: readManifest(projectPath) };
+  } catch (err) {
+    const error = `Could not read ${manifestPath(projectPath)}: ${err.message}`;
+    log('ERROR', error);
+    return { error };
+  }
+}
+
+// The registry the components came from, unless told otherwise
+function manifestRegistry(options, manifest) {
+  return resolveRegistrySource(options.registry || process.env[REGISTRY_ENV_VAR] || manifest.registry || undefined);
+}
+
+// ─── ADD ─────────────────────────────────────────────────────────────
+
+function add(options = {}) {
+  return run(options, { executorNames: ADD_EXECUTORS }, async ({ projectPath, project, steps }) => {
+    const { components = [], installer = 'native', verify = 'basic', overwrite = false } = options;
+    const registrySource = resolveRegistrySource(options.registry);
+    const packageManager = detectPackageManager({ requested: options.packageManager, cwd: projectPath });
+    const { timeouts, retries } = settings(options);
+
+    // Step 2: Validate components
+    const { registry, error } = await openRegistry(registrySource, timeouts.registryLoad);
+    if (error) return refuse([error]);
+    const validation = validateComponents(components, registry);
+    if (validation.errors.length > 0) {
+      for (const err of validation.errors) {
+        log('ERROR', err);
+      }
+      return refuse(validation.errors);
+    }
+
+    const { requestedComponents, resolvedComponents } = validation;
+    const addedDependencies = resolvedComponents.filter(name => !requestedComponents.includes(name));
+    log('INFO', `Resolved ${resolvedComponents.length} component(s): ${resolvedComponents.join(', ')}`);
+    if (addedDependencies.length > 0) {
+      log('INFO', `  Including registry dependencies: ${addedDependencies.join(', ')}`);
+    }
+
+    // Step 3: Compare against what is already in the project
+    const files = inspectItemFiles(project, resolvedComponents.map(name => findItem(registry, name)));
+    const relPath = file => path.relative(projectPath, file.path);
+
+    const upToDate = resolvedComponents.filter(name =>
+      files.filter(file => file.item === name).every(file => file.status === 'identical'));
+    const modified = resolvedComponents.filter(name =>
+      files.some(file => file.item === name && file.status === 'modified'));
+
+    for (const name of upToDate) {
+      log('INFO', `  "${name}" is already up to date.`);
+    }
+    if (!overwrite) {
+      for (const file of files.filter(f => f.status === 'modified')) {
+        log('WARN', `  ${relPath(file)} differs from the registry. Skipping "${file.item}" (use --overwrite to replace).`);
+      }
+    }
+
+    const toInstall = resolvedComponents.filter(name =>
+      !upToDate.includes(name) && (overwrite || !modified.includes(name)));
+
+    const state = {
+      mode: 'add',
+      projectName: path.basename(projectPath),
+      projectPath,
+      registry: registrySource.location,
+      packageManager: packageManager.name,
+      framework: project.framework,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      steps: { componentInstall: 'pending', verification: 'pending' },
+      installedComponents: [],
+      failedComponents: [],
+      diagnostics: [],
+      files: {
+        added: [],
+        overwritten: [],
+        skipped: [],
+      },
+      error: null,
+    };
+
+    // Step 4: Install
+    const before = snapshotFiles(files.map(file => file.path));
+
+    if (toInstall.length > 0) {
+      setStep(state, 'componentInstall', 'running');
+
+      const installResult = await steps.installComponents(projectPath, toInstall, {
+        registrySource,
+        registry,
+        installer,
+        packageManager: packageManager.name,
+        overwrite,
+        timeout: timeouts.componentInstall,
+        individualTimeout: timeouts.individualInstall,
+        retries: retries.componentInstall,
+      });
+
+      state.installedComponents = installResult.installed;
+      state.failedComponents = installResult.failed;
+      state.installTimings = installResult.timings;
+      recordDiagnoses(state, 'componentInstall', installResult.diagnoses, installResult.logFile);
+    } else {
+      log('INFO', 'Nothing to install.');
+    }
+
+    setStep(state, 'componentInstall', 'done');
+    recordManifest(projectPath, registry, resolvedComponents.filter(name => !state.failedComponents.includes(name)), registrySource.location);
+    Object.assign(state.files, diffSnapshot(before, projectPath));
+    if (!overwrite) {
+      state.files.skipped = files
+        .filter(file => file.status === 'modified')
+        .map(relPath)
+        .filter(file => !state.files.overwritten.includes(file));
+    }
+
+    // Step 5: Verify
+    setStep(state, 'verification', 'running');
+    const verifyResult = steps.verifyProject(projectPath, state.installedComponents, registry, [], project.framework);
+    for (const item of verifyResult.missing) {
+      log('ERROR', `  Missing: ${item}`);
+    }
+    for (const warning of verifyResult.warnings) {
+      log('WARN', warning);
+    }
+    // Deep verification covers every requested component, including those
+    // that were already up to date
+    const verified = resolvedComponents.filter(name => !state.failedComponents.includes(name));
+    const problems = verifyResult.valid && verify === 'deep'
+      ? await runDeepVerification(state, projectPath, registry, verified, {
+        packageManager: packageManager.name,
+        timeouts,
+      })
+      : [];
+    if (!verifyResult.valid) {
+      setStep(state, 'verification', 'failed', {
+        error: `Verification failed. Missing: ${verifyResult.missing.join(', ')}`,
+      });
+    } else if (problems.length > 0) {
+      setStep(state, 'verification', 'failed', {
+        error: `Deep verification found ${problems.length} problem(s)`,
+      });
+    } else {
+      setStep(state, 'verification', 'done');
+    }
+
+    const success = state.steps.verification === 'done' && state.failedComponents.length === 0;
+    if (success) {
+      executor.removeLogs(projectPath);
+    }
+
+    state.updatedAt = new Date().toISOString();
+    return finish(summarizeState(state));
+  });
+}
+
+// ─── DIFF AND UPDATE ─────────────────────────────────────────────────
+
+// The registry and manifest of a diff or update, and the items to compare:
+// those named, or every item in the manifest
+async function loadTrackedItems(options, projectPath, command) {
+  const { manifest, error } = openManifest(projectPath);
+  if (error) return { errors: [error] };
+
+  const { timeouts } = settings(options);
+  const registrySource = manifestRegistry(options, manifest);
+  const loaded = await openRegistry(registrySource, timeouts.registryLoad);
+  if (loaded.error) return { errors: [loaded.error] };
+  const { registry } = loaded;
+
+  let names = options.components || [];
+  if (names.length === 0) {
+    names = Object.keys(manifest.items);
+    if (names.length === 0) {
+      const message = `No components are recorded in ${manifestPath(projectPath)}.`;
+      log('ERROR', message);
+      log('ERROR', `  -> Name the components to compare, e.g. ${command} button card`);
+      return { errors: [message] };
+    }
+    for (const name of names.filter(n => !findItem(registry, n))) {
+      log('WARN', `"${name}" is no longer in the registry. Skipping it.`);
+    }
+    names = names.filter(name => findItem(registry, name));
+  }
+
+  const unknown = names.filter(name => !findItem(registry, name));
+  if (unknown.length > 0) {
+    const message = `Not in the registry: ${unknown.join(', ')}`;
+    log('ERROR', message);
+    return { errors: [message] };
+  }
+  const items = names.map(name => findItem(registry, name));
+
+  // Registry indexes may list files without their contents
+  const incomplete = items.filter(item => (item.files || []).some(file => typeof file.content !== 'string'));
+  if (incomplete.length > 0) {
+    const message = `Registry has no file contents for: ${incomplete.map(item => item.name).join(', ')}`;
+    log('ERROR', message);
+    log('ERROR', '  -> Use a registry.json with file contents, e.g. --registry ./registry.json');
+    return { errors: [message] };
+  }
+
+  return { registry, registrySource, manifest, items };
+}
+
+// Resolves with `files`, one per file that differs from the registry
+// ({ component, file, status, diff }), and their `counts` by status
+function diff(options = {}) {
+  return run(options, { locked: false }, async ({ projectPath, project }) => {
+    const { manifest, items, errors } = await loadTrackedItems(options, projectPath, 'diff');
+    if (errors) return refuse(errors);
+
+    const files = [];
+    const counts = {};
+    for (const item of items) {
+      for (const file of itemFileStatus(project, manifest, item)) {
+        if (file.status === 'current') continue;
+        counts[file.status] = (counts[file.status] || 0) + 1;
+
+        const patch = file.status === 'missing' ? '' : unifiedDiff(file.local || '', file.expected, {
+          fromLabel: `a/${file.relPath} (local)`,
+          toLabel: `b/${file.relPath} (registry)`,
+        });
+        const entry = { component: item.name, file: file.relPath, status: file.status, diff: patch };
+        emit('diff', entry);
+        files.push(entry);
+      }
+    }
+
+    const summary = { success: true, mode: 'diff', projectPath, components: items.map(item => item.name), files: counts };
+    return finish(summary, { files, counts });
+  });
+}
+
+// Resolves with `files`, what updateItems did to each file
+function update(options = {}) {
+  return run(options, {}, async ({ projectPath, project }) => {
+    const { registry, registrySource, manifest, items, errors } = await loadTrackedItems(options, projectPath, 'update');
+    if (errors) return refuse(errors);
+
+    // Nothing to merge into: the component has to be added first
+    const notInstalled = items.filter(item => !manifest.items[item.name]
+      && itemFileStatus(project, manifest, item).every(file => file.status === 'added'));
+    if (notInstalled.length > 0) {
+      const names = notInstalled.map(item => item.name).join(' ');
+      const message = `Not installed: ${names}`;
+      log('ERROR', message);
+      log('ERROR', `  -> Add them with: node shadcn-scaffolder/index.js add ${names} --cwd ${projectPath}`);
+      return refuse([message]);
+    }
+
+    const results = updateItems(project, items, registrySource.location);
+    for (const file of results) {
+      switch (file.action) {
+        case 'updated':
+        case 'created':
+          log('INFO', `  ${file.action} ${file.file}`);
+          break;
+        case 'merged':
+          log('INFO', `  merged ${file.file} (local edits kept)`);
+          break;
+        case 'conflict':
+          log('WARN', `  ${file.file}: ${file.conflicts} conflict(s) between local edits and the registry`);
+          break;
+        case 'skipped':
+          log('WARN', file.status === 'missing'
+            ? `  skipped ${file.file} (deleted locally)`
+            : `  skipped ${file.file} (differs from the registry and has no recorded base; use add --overwrite to replace it)`);
+          break;
+      }
+    }
+
+    const changed = items.filter(item => results.some(file =>
+      file.item === item.name && ['updated', 'created', 'merged', 'conflict'].includes(file.action)));
+    const conflicted = results.filter(file => file.action === 'conflict');
+
+    // New CSS variables are merged; new dependencies are left to the user
+    if (changed.length > 0) {
+      const css = mergeCssVars(project, changed);
+      if (css.added.length > 0) {
+        log('INFO', `  added ${css.added.length} CSS variable(s) to ${css.file}`);
+      }
+
+      const newItems = [...new Set(changed.flatMap(item => item.registryDependencies || []))]
+        .map(name => findItem(registry, name))
+        .filter(item => item && inspectItemFiles(project, [item]).some(file => file.status === 'missing'))
+        .map(item => item.name);
+      if (newItems.length > 0) {
+        log('WARN', `Updated components now use: ${newItems.join(', ')}`);
+        log('WARN', `  -> Add them with: node shadcn-scaffolder/index.js add ${newItems.join(' ')} --cwd ${projectPath}`);
+      }
+      const packages = missingDependencies(project, changed);
+      if (packages.length > 0) {
+        const packageManager = detectPackageManager({ requested: options.packageManager, cwd: projectPath });
+        log('WARN', `Updated components need packages that are not installed: ${packages.join(', ')}`);
+        log('WARN', `  -> Install them with: ${formatCommand(installCommand(packageManager.name, packages))}`);
+      }
+    }
+
+    const touched = results.filter(file => ['updated', 'created', 'merged'].includes(file.action)).length;
+    if (conflicted.length > 0) {
+      log('ERROR', `${conflicted.length} file(s) have conflicts: ${conflicted.map(file => file.file).join(', ')}`);
+      log('ERROR', '  -> Resolve the <<<<<<< ... >>>>>>> markers; the registry version is below =======');
+    } else if (touched > 0) {
+      log('SUCCESS', `Updated ${touched} file(s) from the registry.`);
+    } else {
+      log('SUCCESS', 'Everything is up to date.');
+    }
+    const summary = {
+      success: conflicted.length === 0,
+      mode: 'update',
+      projectPath,
+      components: items.map(item => item.name),
+      files: results,
+    };
+    return finish(summary, { files: results });
+  });
+}
+
+// ─── REMOVE ──────────────────────────────────────────────────────────
+
+function remove(options = {}) {
+  return run(options, {}, async ({ projectPath, project }) => {
+    const { components = [] } = options;
+    if (components.length === 0) {
+      const message = 'Name the components to remove, e.g. remove drawer';
+      log('ERROR', message);
+      return refuse([message]);
+    }
+
+    const { manifest, error } = openManifest(projectPath);
+    if (error) return refuse([error]);
+
+    const { timeouts } = settings(options);
+    const registrySource = manifestRegistry(options, manifest);
+    const loaded = await openRegistry(registrySource, timeouts.registryLoad);
+    if (loaded.error) return refuse([loaded.error]);
+    const { registry } = loaded;
+    const packageManager = detectPackageManager({ requested: options.packageManager, cwd: projectPath });
+
+    const unknown = components.filter(name => !findItem(registry, name));
+    if (unknown.length > 0) {
+      const message = `Not in the registry: ${unknown.join(', ')}`;
+      log('ERROR', message);
+      return refuse([message]);
+    }
+
+    // Reverse dependencies: which installed components use the ones named
+    const installed = installedItems(project, registry, manifest);
+    const installedNames = installed.map(item => item.name);
+    for (const name of components.filter(n => !installedNames.includes(n))) {
+      log('WARN', `"${name}" is not installed. Nothing to remove.`);
+    }
+    const targets = components.filter(name => installedNames.includes(name));
+    if (targets.length === 0) {
+      return result({ success: true });
+    }
+
+    const plan = planRemoval(installed, targets, { cascade: options.cascade });
+    const blocked = Object.entries(plan.blocked);
+    if (blocked.length > 0) {
+      const errors = blocked.map(([name, dependents]) => `"${name}" is used by: ${dependents.join(', ')}`);
+      for (const err of errors) {
+        log('ERROR', err);
+      }
+      log('ERROR', '  -> Remove those first, or pass --cascade to remove them too');
+      return refuse(errors);
+    }
+    const cascaded = plan.remove.filter(name => !targets.includes(name));
+    if (cascaded.length > 0) {
+      log('INFO', `Also removing the components that depend on them: ${cascaded.join(', ')}`);
+    }
+
+    const removedItems = plan.remove.map(name => findItem(registry, name));
+    const keptItems = installed.filter(item => !plan.remove.includes(item.name));
+
+    const state = {
+      mode: 'remove',
+      projectName: path.basename(projectPath),
+      projectPath,
+      registry: registrySource.location,
+      packageManager: packageManager.name,
+      framework: project.framework,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      steps: options.prune
+        ? { componentRemoval: 'pending', dependencyPrune: 'pending' }
+        : { componentRemoval: 'pending' },
+      installedComponents: [],
+      failedComponents: [],
+      removedComponents: [],
+      removedPackages: [],
+      diagnostics: [],
+      files: {
+        added: [],
+        overwritten: [],
+        skipped: [],
+        removed: [],
+      },
+      error: null,
+    };
+
+    // Step 1: Delete files
+    setStep(state, 'componentRemoval', 'running');
+    try {
+      const files = removeItemFiles(project, removedItems, keptItems);
+      for (const relPath of files.edited) {
+        log('WARN', `  deleted ${relPath}, which had local changes`);
+      }
+      forgetItems(projectPath, plan.remove);
+      state.files.removed = files.removed;
+      state.removedComponents = plan.remove;
+      setStep(state, 'componentRemoval', 'done');
+    } catch (err) {
+      log('ERROR', `BLOCKING: ${err.message}`);
+      setStep(state, 'componentRemoval', 'failed', { error: err.message });
+      state.updatedAt = new Date().toISOString();
+      return finish(summarizeState(state));
+    }
+
+    // Step 2: Packages nothing uses any more
+    const packages = unusedPackages(project, removedItems, keptItems);
+    if (!options.prune) {
+      if (packages.length > 0) {
+        log('INFO', `No longer used: ${packages.join(', ')}. Pass --prune to uninstall them.`);
+      }
+    } else if (packages.length === 0) {
+      log('INFO', 'No packages to prune.');
+      setStep(state, 'dependencyPrune', 'done');
+    } else {
+      setStep(state, 'dependencyPrune', 'running');
+      log('INFO', `Uninstalling ${packages.join(', ')}...`);
+      const [command, commandArgs] = uninstallCommand(packageManager.name, packages);
+      const logFile = executor.stepLogFile(projectPath, 'dependencyPrune');
+      let error = null;
+      try {
+        const prune = await executor.runCommand(command, commandArgs, { cwd: projectPath, timeout: timeouts.npmInstall, label: 'Dependency pruning', logFile });
+        if (prune.timedOut || prune.code !== 0) {
+          error = executor.failureMessage(`${packageManager.name} ${commandArgs[0]}`, prune, timeouts.npmInstall);
+        }
+      } catch (err) {
+        error = err.message;
+      }
+
+      if (error) {
+        log('ERROR', error);
+        log('ERROR', `  -> Full output: ${logFile}`);
+        log('ERROR', `  -> Try manually: ${formatCommand([command, commandArgs])}`);
+        setStep(state, 'dependencyPrune', 'failed', { error });
+      } else {
+        state.removedPackages = packages;
+        setStep(state, 'dependencyPrune', 'done');
+      }
+    }
+
+    const success = Object.values(state.steps).every(status => status === 'done');
+    if (success) {
+      executor.removeLogs(projectPath);
+    }
+
+    state.updatedAt = new Date().toISOString();
+    return finish(summarizeState(state));
+  });
+}
+
+module.exports = {
+  add,
+  diff,
+  update,
+  remove,
+};
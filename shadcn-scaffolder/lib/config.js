@@ -0,0 +1,320 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { TEMPLATES, STARTERS_DIR, CONFIG_FILENAME, TIMEOUTS, RETRIES, parseDuration } = require('./utils');
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const PACKAGE_PATTERN = /^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*(@[^\s]+)?$/i;
+
+const RESERVED_TEMPLATE_NAMES = new Set(['custom']);
+
+const TEMPLATE_KEYS = new Set(['description', 'components', 'extends', 'packages', 'files']);
+const ROOT_KEYS = new Set(['$schema', 'templates', 'timeouts', 'retries']);
+
+const MAX_RETRIES = 10;
+
+// ─── SCHEMA ──────────────────────────────────────────────────────────
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkStringList(value, where, pattern, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${where}: must be an array of strings`);
+    return;
+  }
+  value.forEach((entry, i) => {
+    if (typeof entry !== 'string') {
+      errors.push(`${where}[${i}]: must be a string`);
+    } else if (!pattern.test(entry)) {
+      errors.push(`${where}[${i}]: invalid value "${entry}"`);
+    }
+  });
+}
+
+function isRetryCount(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_RETRIES;
+}
+
+// `timeouts` and `retries` map step names to a duration or a retry count
+function checkStepValues(value, where, steps, isValid, expected, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${where}: must be an object keyed by step name`);
+    return;
+  }
+  for (const [step, entry] of Object.entries(value)) {
+    if (!(step in steps)) {
+      errors.push(`${where}: unknown step "${step}". Allowed: ${Object.keys(steps).join(', ')}`);
+    } else if (!isValid(entry)) {
+      errors.push(`${where}.${step}: must be ${expected}`);
+    }
+  }
+}
+
+// Returns a list of "<file>: <json path>: <problem>" messages
+function validateConfig(config, file) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [`${file}: must contain a JSON object`];
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!ROOT_KEYS.has(key)) {
+      errors.push(`${file}: unknown key "${key}". Allowed: ${[...ROOT_KEYS].join(', ')}`);
+    }
+  }
+
+  if (config.timeouts !== undefined) {
+    checkStepValues(config.timeouts, `${file}: timeouts`, TIMEOUTS,
+      entry => parseDuration(entry) !== null, 'a duration such as 90, "90s" or "5m"', errors);
+  }
+  if (config.retries !== undefined) {
+    checkStepValues(config.retries, `${file}: retries`, RETRIES,
+      isRetryCount, `an integer from 0 to ${MAX_RETRIES}`, errors);
+  }
+
+  if (config.templates === undefined) return errors;
+  if (!isPlainObject(config.templates)) {
+    errors.push(`${file}: templates: must be an object keyed by template name`);
+    return errors;
+  }
+
+  for (const [name, template] of Object.entries(config.templates)) {
+    const where = `${file}: templates.${name}`;
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push(`${where}: invalid template name. Use lowercase letters, digits, hyphens.`);
+    }
+    if (RESERVED_TEMPLATE_NAMES.has(name)) {
+      errors.push(`${where}: "${name}" is reserved`);
+    }
+    if (!isPlainObject(template)) {
+      errors.push(`${where}: must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(template)) {
+      if (!TEMPLATE_KEYS.has(key)) {
+        errors.push(`${where}: unknown key "${key}". Allowed: ${[...TEMPLATE_KEYS].join(', ')}`);
+      }
+    }
+    if (template.description !== undefined && typeof template.description !== 'string') {
+      errors.push(`${where}.description: must be a string`);
+    }
+    if (template.extends !== undefined && typeof template.extends !== 'string') {
+      errors.push(`${where}.extends: must be a template name`);
+    }
+    if (template.components !== undefined) {
+      checkStringList(template.components, `${where}.components`, NAME_PATTERN, errors);
+    }
+    if (template.packages !== undefined) {
+      checkStringList(template.packages, `${where}.packages`, PACKAGE_PATTERN, errors);
+    }
+    if (template.files !== undefined) {
+      if (!isPlainObject(template.files)) {
+        errors.push(`${where}.files: must be an object mapping project paths to source files`);
+      } else {
+        for (const [dest, source] of Object.entries(template.files)) {
+          if (path.isAbsolute(dest) || dest.split(/[\\/]/).includes('..')) {
+            errors.push(`${where}.files: "${dest}" must be a path inside the project`);
+          }
+          if (typeof source !== 'string' || source.length === 0) {
+            errors.push(`${where}.files["${dest}"]: must be a source file path`);
+          }
+        }
+      }
+    }
+    if (template.components === undefined && template.extends === undefined) {
+      errors.push(`${where}: needs "components", "extends" or both`);
+    }
+  }
+
+  return errors;
+}
+
+// ─── TEMPLATE RESOLUTION ────────────────────────────────────────────
+
+// Flatten `extends` chains: components and packages accumulate from the
+// base template up, the description comes from the most derived one.
+function resolveTemplates(definitions) {
+  const resolved = {};
+  const failed = new Set();
+  const errors = [];
+
+  const resolve = (name, chain) => {
+    if (resolved[name]) return resolved[name];
+    if (failed.has(name)) return null;
+
+    const definition = definitions[name];
+    if (chain.includes(name)) {
+      errors.push(`Template "${chain[0]}" has a circular "extends": ${[...chain, name].join(' -> ')}`);
+      chain.forEach(link => failed.add(link));
+      return null;
+    }
+
+    let base = { components: [], packages: [], files: {} };
+    if (definition.extends) {
+      if (!definitions[definition.extends]) {
+        errors.push(`Template "${name}" extends unknown template "${definition.extends}"`);
+        failed.add(name);
+        return null;
+      }
+      base = resolve(definition.extends, [...chain, name]);
+      if (!base) {
+        failed.add(name);
+        return null;
+      }
+    }
+
+    const components = [...new Set([...base.components, ...(definition.components || [])])];
+    const packages = [...new Set([...base.packages, ...(definition.packages || [])])];
+    const files = { ...base.files, ...definition.files };
+
+    resolved[name] = {
+      description: definition.description ||
+        `${definition.extends ? `Extends ${definition.extends}, ` : ''}${components.length} components`,
+      components,
+      packages,
+      files,
+      extends: definition.extends,
+      source: definition.source,
+    };
+    return resolved[name];
+  };
+
+  for (const name of Object.keys(definitions)) {
+    resolve(name, []);
+  }
+
+  return { templates: resolved, errors };
+}
+
+// ─── LOADING ─────────────────────────────────────────────────────────
+
+// Starter file sources are relative to the file that declares them
+function resolveFileSources(files, baseDir) {
+  const resolved = {};
+  for (const [dest, source] of Object.entries(files || {})) {
+    resolved[dest] = path.resolve(baseDir, source);
+  }
+  return resolved;
+}
+
+// Config files in increasing order of precedence: user (~), project (cwd),
+// then an explicit --templates file. Later files override templates of the
+// same name, including built-ins.
+function configFiles({ file, cwd = process.cwd(), home = os.homedir() }) {
+  const candidates = [
+    path.join(home, CONFIG_FILENAME),
+    path.join(cwd, CONFIG_FILENAME),
+  ];
+  const files = [...new Set(candidates)].filter(candidate => fs.existsSync(candidate));
+  if (file) files.push(path.resolve(file));
+  return files;
+}
+
+function loadConfig({ file, cwd, home } = {}) {
+  const errors = [];
+  const definitions = {};
+  const timeouts = { ...TIMEOUTS };
+  const retries = { ...RETRIES };
+
+  for (const [name, template] of Object.entries(TEMPLATES)) {
+    definitions[name] = {
+      ...template,
+      files: resolveFileSources(template.files, STARTERS_DIR),
+      source: 'built-in',
+    };
+  }
+
+  const files = configFiles({ file, cwd, home });
+  for (const configFile of files) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+      errors.push(`${configFile}: ${err.code === 'ENOENT' ? 'file not found' : `invalid JSON (${err.message})`}`);
+      continue;
+    }
+
+    const schemaErrors = validateConfig(config, configFile);
+    if (schemaErrors.length > 0) {
+      errors.push(...schemaErrors);
+      continue;
+    }
+
+    for (const [step, value] of Object.entries(config.timeouts || {})) {
+      timeouts[step] = parseDuration(value);
+    }
+    Object.assign(retries, config.retries);
+
+    for (const [name, template] of Object.entries(config.templates || {})) {
+      const files = resolveFileSources(template.files, path.dirname(configFile));
+      for (const source of Object.values(files)) {
+        if (!fs.existsSync(source)) {
+          errors.push(`${configFile}: templates.${name}.files: source not found: ${source}`);
+        }
+      }
+      definitions[name] = { ...template, files, source: configFile };
+    }
+  }
+
+  const { templates, errors: resolveErrors } = resolveTemplates(definitions);
+  errors.push(...resolveErrors);
+
+  return { templates, timeouts, retries, files, errors };
+}
+
+// ─── STEP OPTIONS ────────────────────────────────────────────────────
+
+// --timeout "npmInstall=5m,shadcnInit=90s" and --retries "3" or
+// "npmInstall=3,viteCreate=0" -> { step: value }. Throws on invalid input.
+function parseStepOption(option, value, steps, parse, expected) {
+  if (value === undefined) return {};
+
+  const result = {};
+  for (const part of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [step, raw] = part.includes('=') ? part.split('=', 2) : [null, part];
+    const parsed = parse(raw);
+    if (parsed === null) {
+      throw new Error(`--${option}: "${raw}" is not ${expected}`);
+    }
+    if (step === null) {
+      for (const name of Object.keys(steps)) result[name] = parsed;
+    } else if (step in steps) {
+      result[step] = parsed;
+    } else {
+      throw new Error(`--${option}: unknown step "${step}". Allowed: ${Object.keys(steps).join(', ')}`);
+    }
+  }
+  return result;
+}
+
+function parseTimeoutOption(value) {
+  return parseStepOption('timeout', value, TIMEOUTS, parseDuration, 'a duration such as 90s or 5m');
+}
+
+function parseRetriesOption(value) {
+  const parse = raw => (/^\d+$/.test(raw) && isRetryCount(Number(raw)) ? Number(raw) : null);
+  return parseStepOption('retries', value, RETRIES, parse, `an integer from 0 to ${MAX_RETRIES}`);
+}
+
+// Timeouts and retry counts from the config files, overridden per step by
+// --timeout and --retries
+function stepSettings(config, { timeouts, retries } = {}) {
+  return {
+    timeouts: { ...config.timeouts, ...timeouts },
+    retries: { ...config.retries, ...retries },
+  };
+}
+
+module.exports = {
+  validateConfig,
+  resolveTemplates,
+  loadConfig,
+  parseTimeoutOption,
+  parseRetriesOption,
+  stepSettings,
+};
@@ -0,0 +1,250 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { builtinModules } = require('node:module');
+const { TIMEOUTS, log } = require('./utils');
+const { resolveAlias, inspectItemFiles } = require('./project');
+const { FRAMEWORKS } = require('./frameworks');
+const { binCommand, dependenciesInstalled } = require('./package-manager');
+const { parseImports, packageName } = require('./sources');
+const { diagnose } = require('./diagnostics');
+const { runCommand, failureMessage, stepLogFile } = require('./executor');
+
+// --verify=deep: checks that need the project's dependencies and compiler,
+// reported per component. Problems not tied to a component (a failing
+// build with no component file in its output) have `component: null`.
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json', '.css'];
+
+// Set at runtime by Radix, Base UI and Tailwind, or by the component's own
+// inline styles, rather than declared in the stylesheet
+const RUNTIME_VAR_PATTERN = /^(?:radix-|tw-)|^(?:anchor-(?:width|height)|available-(?:width|height)|transform-origin|spacing)$/;
+
+// ─── COMPONENT FILES ─────────────────────────────────────────────────
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(entryPath);
+    return /\.(?:tsx?|jsx?)$/.test(entry.name) ? [entryPath] : [];
+  });
+}
+
+// Every source file under the ui alias plus the other files of the
+// installed items, each with the component it belongs to. Files that are
+// not from an item are named after their file name.
+function componentFiles(project, items) {
+  const owners = new Map();
+  for (const file of inspectItemFiles(project, items)) {
+    if (file.status !== 'missing') owners.set(file.path, file.item);
+  }
+  for (const filePath of listFiles(resolveAlias(project, project.aliases.ui))) {
+    if (!owners.has(filePath)) {
+      owners.set(filePath, path.basename(filePath).replace(/\.[^.]+$/, ''));
+    }
+  }
+  return [...owners].map(([filePath, component]) => ({ path: filePath, component }));
+}
+
+// Components with a file mentioned in `text`, e.g. in a build error
+function componentsMentioned(project, files, text) {
+  const found = new Set();
+  for (const file of files) {
+    const relPath = path.relative(project.projectDir, file.path).split(path.sep).join('/');
+    if (text.includes(relPath) || text.includes(file.path)) found.add(file.component);
+  }
+  return [...found];
+}
+
+// ─── IMPORT RESOLUTION ───────────────────────────────────────────────
+
+function resolvesToFile(base) {
+  if (fs.existsSync(base) && fs.statSync(base).isFile()) return true;
+  return SOURCE_EXTENSIONS.some(ext =>
+    fs.existsSync(base + ext) || fs.existsSync(path.join(base, `index${ext}`)));
+}
+
+// null when `specifier` resolves, otherwise why it does not
+function unresolvedReason(project, fromFile, specifier) {
+  if (specifier.startsWith('.')) {
+    return resolvesToFile(path.resolve(path.dirname(fromFile), specifier)) ? null : 'file not found';
+  }
+
+  const alias = project.paths.find(([prefix]) => specifier.startsWith(prefix));
+  if (alias) {
+    const [prefix, target] = alias;
+    return resolvesToFile(path.join(target, specifier.slice(prefix.length)))
+      ? null
+      : `not found under the tsconfig path "${prefix}*"`;
+  }
+
+  const name = packageName(specifier);
+  if (specifier.startsWith('node:') || builtinModules.includes(name)) return null;
+  return dependenciesInstalled(project.projectDir, name) ? null : `package "${name}" is not installed`;
+}
+
+function checkImports(project, files) {
+  const problems = [];
+  for (const file of files) {
+    const content = fs.readFileSync(file.path, 'utf8');
+    const specifiers = new Set(parseImports(content).map(({ specifier }) => specifier));
+    for (const specifier of specifiers) {
+      const reason = unresolvedReason(project, file.path, specifier);
+      if (reason) {
+        problems.push({
+          component: file.component,
+          check: 'imports',
+          message: `${path.relative(project.projectDir, file.path)}: cannot resolve "${specifier}" (${reason})`,
+        });
+      }
+    }
+  }
+  return problems;
+}
+
+// ─── CSS VARIABLES ──────────────────────────────────────────────────
+
+// Variables an item needs from the stylesheet: its declared cssVars, plus
+// var(--x) and Tailwind v4 (--x) references its files do not set themselves
+function requiredVars(item, files, tailwindV4) {
+  const vars = new Set();
+  const cssVars = item.cssVars || {};
+  for (const block of [cssVars.theme, cssVars.light, cssVars.dark]) {
+    for (const name of Object.keys(block || {})) vars.add(name);
+  }
+  if (tailwindV4) {
+    for (const name of Object.keys(cssVars.light || {})) vars.add(`color-${name}`);
+  }
+
+  for (const file of files) {
+    const content = fs.readFileSync(file.path, 'utf8');
+    for (const match of content.matchAll(/var\(\s*--([\w-]+)|\(--([\w-]+)\)/g)) {
+      const name = match[1] || match[2];
+      const setLocally = new RegExp(`["'\\[]--${name}["':]`).test(content);
+      if (!setLocally && !RUNTIME_VAR_PATTERN.test(name)) vars.add(name);
+    }
+  }
+  return vars;
+}
+
+function checkCssVars(project, items, files) {
+  const cssFile = project.config.tailwind && project.config.tailwind.css;
+  if (!cssFile || !fs.existsSync(path.join(project.projectDir, cssFile))) {
+    return [{ component: null, check: 'css', message: `Stylesheet from components.json not found: ${cssFile || '(none)'}` }];
+  }
+
+  const css = fs.readFileSync(path.join(project.projectDir, cssFile), 'utf8');
+  const tailwindV4 = /@theme\s+inline/.test(css) || !project.config.tailwind.config;
+  const problems = [];
+
+  for (const item of items) {
+    const missing = [...requiredVars(item, files.filter(file => file.component === item.name), tailwindV4)]
+      .filter(name => !new RegExp(`--${name}\\s*:`).test(css))
+      .sort();
+    if (missing.length > 0) {
+      problems.push({
+        component: item.name,
+        check: 'css',
+        message: `${cssFile} does not define ${missing.map(name => `--${name}`).join(', ')}`,
+      });
+    }
+  }
+  return problems;
+}
+
+// ─── TYPECHECK AND BUILD ─────────────────────────────────────────────
+
+// "src/components/ui/x.tsx(3,20): error TS2307: ..." -> one problem each,
+// attributed to the component owning the file
+function typeErrors(project, files, output) {
+  const problems = [];
+  for (const match of output.matchAll(/^(.+?)\((\d+),(\d+)\): error (TS\d+): (.+)$/gm)) {
+    const [, relPath, line, column, code, message] = match;
+    const owner = files.find(file => file.path === path.resolve(project.projectDir, relPath));
+    problems.push({
+      component: owner ? owner.component : null,
+      check: 'typecheck',
+      message: `${relPath}:${line}:${column} ${code} ${message}`,
+    });
+  }
+  return problems;
+}
+
+async function runChecked(project, packageManager, [bin, args], { timeout, logFile }) {
+  const [command, commandArgs] = binCommand(packageManager, bin, args);
+  try {
+    const result = await runCommand(command, commandArgs, {
+      cwd: project.projectDir,
+      timeout,
+      label: `Deep verification: ${bin}`,
+      logFile,
+    });
+    const failed = result.timedOut || result.code !== 0;
+    return { error: failed ? failureMessage(`${bin} ${args[0]}`, result, timeout) : null, output: result.output };
+  } catch (err) {
+    return { error: err.message, output: '' };
+  }
+}
+
+async function checkTypes(project, files, { packageManager, timeout, logFile }) {
+  for (const command of FRAMEWORKS[project.framework].typecheck(project.projectDir)) {
+    const result = await runChecked(project, packageManager, command, { timeout, logFile });
+    if (!result.error) continue;
+
+    const problems = typeErrors(project, files, result.output);
+    if (problems.length === 0) {
+      problems.push({ component: null, check: 'typecheck', message: result.error });
+    }
+    return { problems, failedOutput: result.output };
+  }
+  return { problems: [], failedOutput: '' };
+}
+
+async function checkBuild(project, files, { packageManager, timeout, logFile }) {
+  const result = await runChecked(project, packageManager, FRAMEWORKS[project.framework].build, { timeout, logFile });
+  if (!result.error) return { problems: [], failedOutput: '' };
+
+  const components = componentsMentioned(project, files, result.output);
+  const problems = components.length > 0
+    ? components.map(component => ({ component, check: 'build', message: `${result.error}; see the build output` }))
+    : [{ component: null, check: 'build', message: result.error }];
+  return { problems, failedOutput: result.output };
+}
+
+// ─── ENTRY POINT ─────────────────────────────────────────────────────
+
+// Returns { problems: [{ component, check, message }], diagnoses, logFile }.
+// Imports and CSS variables are checked statically; the typecheck and the
+// build run the project's own tsc and framework CLI.
+async function deepVerify(project, items, {
+  packageManager = 'npm',
+  timeouts = TIMEOUTS,
+  logFile = stepLogFile(project.projectDir, 'verification'),
+} = {}) {
+  const files = componentFiles(project, items);
+  const problems = [];
+
+  log('INFO', `Deep verification: resolving imports of ${files.length} component file(s)...`);
+  problems.push(...checkImports(project, files));
+
+  log('INFO', 'Deep verification: checking CSS variables...');
+  problems.push(...checkCssVars(project, items, files));
+
+  log('INFO', 'Deep verification: type-checking...');
+  const types = await checkTypes(project, files, { packageManager, timeout: timeouts.typecheck, logFile });
+  problems.push(...types.problems);
+
+  log('INFO', 'Deep verification: building...');
+  const build = await checkBuild(project, files, { packageManager, timeout: timeouts.build, logFile });
+  problems.push(...build.problems);
+
+  return {
+    problems,
+    diagnoses: diagnose(`${types.failedOutput}\n${build.failedOutput}`),
+    logFile,
+  };
+}
+
+module.exports = {
+  deepVerify,
+};
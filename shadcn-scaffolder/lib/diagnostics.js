@@ -0,0 +1,98 @@
+// Known failure signatures in the output of npm, npx, pnpm, yarn, bun and
+// the shadcn CLI, each with a fix that is more specific than "try again".
+// Checked in order; a command's output can match more than one. `transient`
+// failures may go away on their own and are retried (see withRetries).
+const SIGNATURES = [
+  {
+    id: 'peer-conflict',
+    title: 'Peer dependency conflict (ERESOLVE)',
+    pattern: /\bERESOLVE\b|unable to resolve dependency tree|Conflicting peer dependency/i,
+    remediation: () =>
+      'Two packages require incompatible versions of a shared peer (often react). ' +
+      'Align the versions named in the log, or retry the install in the project with --legacy-peer-deps.',
+  },
+  {
+    id: 'permission-denied',
+    title: 'Permission denied (EACCES)',
+    pattern: /\bEACCES\b|\bEPERM\b.*(?:mkdir|open|rename|unlink)/i,
+    remediation: () =>
+      'The package manager cannot write to its cache or install prefix. Do not re-run with sudo; ' +
+      'fix the ownership instead, e.g. `sudo chown -R "$(whoami)" ~/.npm`, or point `npm config set prefix` at a user-writable directory.',
+  },
+  {
+    id: 'registry-unavailable',
+    title: 'Package registry unavailable',
+    transient: true,
+    pattern: /\bE(?:429|500|502|503|504)\b|\b(?:429 Too Many Requests|500 Internal Server Error|502 Bad Gateway|503 Service Unavailable|504 Gateway Time-?out)\b/i,
+    remediation: () =>
+      'The registry answered with a server error or rate limit. This usually passes; re-run the same command to resume, ' +
+      'or raise --retries for the failing step.',
+  },
+  {
+    id: 'network',
+    title: 'Network or proxy error',
+    transient: true,
+    pattern: /\bENOTFOUND\b|\bEAI_AGAIN\b|\bECONNREFUSED\b|\bECONNRESET\b|\bETIMEDOUT\b|getaddrinfo|\b407\b.*Proxy|proxy.*(?:refused|error|authentication)|SELF_SIGNED_CERT|UNABLE_TO_GET_ISSUER_CERT/i,
+    remediation: () =>
+      'The registry could not be reached. Check connectivity and the proxy settings ' +
+      '(`npm config get proxy`, `npm config get https-proxy`, HTTPS_PROXY). ' +
+      'Behind a TLS-inspecting proxy, set `npm config set cafile <corporate-ca.pem>`. ' +
+      'Components can also be installed offline from a local registry with --registry ./registry.json.',
+  },
+  {
+    id: 'npx-cache',
+    title: 'Corrupted npx cache',
+    pattern: /_npx[\\/][^\s]*.*(?:ENOENT|ENOTEMPTY|EEXIST)|(?:ENOENT|ENOTEMPTY|EEXIST).*_npx[\\/]|\bEINTEGRITY\b|Cannot find module '[^']*_npx/i,
+    remediation: () =>
+      'A previous npx download was left incomplete. Remove the npx cache with `rm -rf "$(npm config get cache)/_npx"` ' +
+      '(or run `npm cache clean --force`) and re-run the same command to resume.',
+  },
+  {
+    id: 'registry-not-found',
+    title: 'Component not found in the registry (404)',
+    pattern: /\b(?:item|component) at \S+ was not found|404 Not Found|status(?: code)?:? 404|\b404\b[^\n]*\.json|\.json[^\n]*\b404\b/i,
+    remediation: (output, { component } = {}) => {
+      const match = output.match(/\/([a-z][a-z0-9-]*)\.json\b[^\n]*(?:not found|404)|(?:not found|404)[^\n]*\/([a-z][a-z0-9-]*)\.json/i);
+      const name = component || (match && (match[1] || match[2]));
+      return `${name ? `"${name}" is` : 'A component is'} not in the registry that was used. ` +
+        'Check the name with --dry-run, or point --registry (or $SHADCN_SCAFFOLDER_REGISTRY) at a registry that contains it.';
+    },
+  },
+  {
+    id: 'missing-binary',
+    title: 'Project binary not installed',
+    pattern: /npx canceled due to missing packages|ERR_PNPM_RECURSIVE_EXEC_FIRST_FAIL|Command "[^"]+" not found|command not found/i,
+    remediation: () =>
+      'A tool the step runs from the project (tsc, vite, next, react-router) is not installed there. ' +
+      'Install the project\'s dependencies, and check that typescript and the framework CLI are in devDependencies.',
+  },
+  {
+    id: 'import-alias',
+    title: 'TypeScript import alias misconfigured',
+    pattern: /No import alias found in your tsconfig|import alias.*(?:tsconfig|not found|invalid)|Cannot find module '@\/|TS2307.*'[@~]\//i,
+    remediation: () =>
+      'shadcn needs a path alias in tsconfig. Add `"baseUrl": "."` and `"paths": { "@/*": ["./src/*"] }` to compilerOptions ' +
+      'of tsconfig.json and tsconfig.app.json (Next.js: `["./*"]`, React Router: `"~/*": ["./app/*"]`), ' +
+      'and the matching `resolve.alias` in vite.config.ts for Vite projects.',
+  },
+];
+
+// All signatures found in a command's output:
+// [{ id, title, transient, remediation }].
+// `context.component` names the component a `shadcn add` was installing.
+function diagnose(output, context = {}) {
+  if (!output) return [];
+  return SIGNATURES
+    .filter(signature => signature.pattern.test(output))
+    .map(signature => ({
+      id: signature.id,
+      title: signature.title,
+      transient: Boolean(signature.transient),
+      remediation: signature.remediation(output, context),
+    }));
+}
+
+module.exports = {
+  SIGNATURES,
+  diagnose,
+};
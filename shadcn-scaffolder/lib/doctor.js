@@ -0,0 +1,344 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { parseArgs } = require('node:util');
+const { MIN_NODE_VERSION, STATE_FILENAME, REGISTRY_ENV_VAR, paint, log, emit, withRun, runContext } = require('./utils');
+const { loadConfig, stepSettings } = require('./config');
+const { resolveRegistrySource, loadRegistry } = require('./registry');
+const { LOCK_FILENAME, readHolder, isStale } = require('./lock');
+const { detectPackageManager, execCommand } = require('./package-manager');
+
+// Environment checks behind `doctor`, and the fast subset a create run does
+// before its first step. Each check returns
+// { id, title, status: 'pass' | 'warn' | 'fail', message, hint }.
+
+// The current create-vite templates need Vite 7, which needs Node 20.19
+const RECOMMENDED_NODE_VERSION = '20.19.0';
+
+// A Vite project with shadcn/ui takes 300-400 MB once installed
+const MIN_FREE_SPACE = 500 * 1024 * 1024;
+const LOW_FREE_SPACE = 2 * 1024 * 1024 * 1024;
+
+const VERSION_TIMEOUT = 10_000;
+
+const PROXY_VARIABLES = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy', 'npm_config_proxy', 'npm_config_https_proxy'];
+
+function check(id, title, status, message, hint = null) {
+  return { id, title, status, message, hint };
+}
+
+// ─── HELPERS ─────────────────────────────────────────────────────────
+
+function versionAtLeast(version, minimum) {
+  const [a, b] = [version, minimum].map(v => v.replace(/^v/, '').split('.').map(Number));
+  for (let i = 0; i < 3; i++) {
+    if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) > (b[i] || 0);
+  }
+  return true;
+}
+
+// `<command> --version`, or null when it is not installed. Remembered, as
+// npm is asked both as itself and as the package manager.
+const versions = new Map();
+
+function commandVersion(command) {
+  if (!versions.has(command)) {
+    const result = spawnSync(command, ['--version'], { encoding: 'utf8', timeout: VERSION_TIMEOUT });
+    versions.set(command, result.error || result.status !== 0 ? null : result.stdout.trim().split('\n').pop());
+  }
+  return versions.get(command);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+}
+
+// The npm cache, as npm would report it. `query` asks npm, which picks up
+// .npmrc settings; without it the environment and the default are used.
+function npmCacheDir({ query = false } = {}) {
+  if (process.env.npm_config_cache) return process.env.npm_config_cache;
+  if (query) {
+    const result = spawnSync('npm', ['config', 'get', 'cache'], { encoding: 'utf8', timeout: VERSION_TIMEOUT });
+    if (!result.error && result.status === 0 && result.stdout.trim()) return result.stdout.trim();
+  }
+  return process.platform === 'win32'
+    ? path.join(process.env.LocalAppData || os.homedir(), 'npm-cache')
+    : path.join(os.homedir(), '.npm');
+}
+
+// Drops the credentials from a proxy URL before it is printed
+function redactProxy(value) {
+  return value.replace(/\/\/[^/@]*@/, '//***@');
+}
+
+// ─── CHECKS ──────────────────────────────────────────────────────────
+
+function checkNode() {
+  const version = process.version;
+  if (typeof parseArgs !== 'function' || !versionAtLeast(version, MIN_NODE_VERSION)) {
+    return check('node', 'Node.js', 'fail',
+      `Node ${version} is too old; the scaffolder needs ${MIN_NODE_VERSION} or later`,
+      'Install the current LTS release, e.g. nvm install --lts');
+  }
+  if (!versionAtLeast(version, RECOMMENDED_NODE_VERSION)) {
+    return check('node', 'Node.js', 'warn',
+      `Node ${version}: the current Vite templates need ${RECOMMENDED_NODE_VERSION} or later`,
+      'Upgrade Node, or use --framework next or react-router');
+  }
+  return check('node', 'Node.js', 'pass', `Node ${version}`);
+}
+
+// npm is needed whenever npx runs the shadcn CLI, which is also the case
+// for yarn; pnpm and bun projects can do without it
+function checkNpm(packageManager) {
+  const version = commandVersion('npm');
+  if (version) return check('npm', 'npm', 'pass', `npm ${version}`);
+  const needed = execCommand(packageManager, 'shadcn')[0] === 'npx';
+  return check('npm', 'npm', needed ? 'fail' : 'warn', 'npm is not installed or not on the PATH',
+    needed ? 'Install npm, which ships with Node' : null);
+}
+
+function checkPackageManager({ name, reason }) {
+  const version = commandVersion(name);
+  if (!version) {
+    return check('package-manager', 'Package manager', 'fail', `${name} (${reason}) is not installed or not on the PATH`,
+      `Install ${name}, or choose another with --package-manager`);
+  }
+  return check('package-manager', 'Package manager', 'pass', `${name} ${version} (${reason})`);
+}
+
+// npx fails with EACCES when the cache, or an entry in it, belongs to another
+// user, usually root after a `sudo npx`. Only the top two levels are looked at.
+function checkNpxCache(packageManager, { query = false } = {}) {
+  if (execCommand(packageManager, 'shadcn')[0] !== 'npx') return null;
+
+  const cacheDir = npmCacheDir({ query });
+  let existing = cacheDir;
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    existing = path.dirname(existing);
+  }
+  try {
+    fs.accessSync(existing, fs.constants.W_OK);
+  } catch {
+    return check('npx-cache', 'npx cache', 'fail', `${existing} is not writable`,
+      `Fix its ownership, or point npm elsewhere: npm config set cache <dir>`);
+  }
+
+  const uid = typeof process.getuid === 'function' ? process.getuid() : null;
+  if (uid !== null && uid !== 0 && existing === cacheDir) {
+    const foreign = [];
+    for (const dir of [cacheDir, path.join(cacheDir, '_npx'), path.join(cacheDir, '_cacache')]) {
+      let entries = [];
+      try {
+        entries = [dir, ...fs.readdirSync(dir).map(entry => path.join(dir, entry))];
+      } catch {
+        continue;
+      }
+      for (const entry of entries) {
+        try {
+          if (fs.lstatSync(entry).uid !== uid) foreign.push(entry);
+        } catch {
+          // Removed while we looked
+        }
+      }
+    }
+    if (foreign.length > 0) {
+      return check('npx-cache', 'npx cache', 'fail',
+        `${foreign.length} entr${foreign.length === 1 ? 'y' : 'ies'} in ${cacheDir} belong to another user, e.g. ${foreign[0]}`,
+        `sudo chown -R $(id -u):$(id -g) "${cacheDir}"`);
+    }
+  }
+  return check('npx-cache', 'npx cache', 'pass', `${cacheDir} is writable`);
+}
+
+function checkDiskSpace(dir) {
+  if (typeof fs.statfsSync !== 'function') {
+    return check('disk', 'Free disk space', 'warn', `Cannot be checked on Node ${process.version}`);
+  }
+  let free;
+  try {
+    const stats = fs.statfsSync(dir);
+    free = stats.bavail * stats.bsize;
+  } catch (err) {
+    return check('disk', 'Free disk space', 'warn', `Cannot be checked for ${dir}: ${err.message}`);
+  }
+  if (free < MIN_FREE_SPACE) {
+    return check('disk', 'Free disk space', 'fail',
+      `${formatBytes(free)} free in ${dir}; a project needs about ${formatBytes(MIN_FREE_SPACE)}`,
+      'Free up space, or create the project elsewhere with --target');
+  }
+  if (free < LOW_FREE_SPACE) {
+    return check('disk', 'Free disk space', 'warn', `${formatBytes(free)} free in ${dir}`,
+      'Enough for one project, but the npm cache grows with every install');
+  }
+  return check('disk', 'Free disk space', 'pass', `${formatBytes(free)} free in ${dir}`);
+}
+
+async function checkRegistry(registrySource, timeout) {
+  try {
+    const registry = await loadRegistry(registrySource, timeout);
+    return check('registry', 'Registry', 'pass', `${registry.items.length} items from ${registrySource.location}`);
+  } catch (err) {
+    return check('registry', 'Registry', 'fail', err.message, `Check the --registry option or $${REGISTRY_ENV_VAR}`);
+  }
+}
+
+// npm honours the proxy variables, but the registry is loaded with Node's
+// fetch, which does not. That only matters when the registry is unreachable.
+function checkProxy(registrySource, registryCheck) {
+  const set = PROXY_VARIABLES.filter(name => process.env[name]);
+  if (set.length === 0) {
+    return check('proxy', 'Proxy', 'pass', 'No proxy variables set');
+  }
+  const described = set.map(name => `${name}=${redactProxy(process.env[name])}`).join(', ');
+  if (registrySource.kind === 'remote' && registryCheck.status === 'fail') {
+    return check('proxy', 'Proxy', 'warn', `${described} is used by npm, not for loading the registry`,
+      'Download registry.json through the proxy and pass it with --registry');
+  }
+  return check('proxy', 'Proxy', 'pass', `${described} (used by npm)`);
+}
+
+// Unfinished runs and locks in `dir` and the projects directly inside it
+function checkLeftovers(dir, now = Date.now()) {
+  const checks = [];
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const projects = [dir, ...entries.filter(entry => entry.isDirectory()).map(entry => path.join(dir, entry.name))];
+  for (const projectPath of projects) {
+    const statePath = path.join(projectPath, STATE_FILENAME);
+    if (!fs.existsSync(statePath)) continue;
+    let saved = fs.statSync(statePath).mtimeMs;
+    let failed = [];
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      saved = new Date(state.updatedAt).getTime() || saved;
+      failed = Object.keys(state.steps || {}).filter(step => state.steps[step] === 'failed');
+    } catch {
+      // Reported by the create run that finds it; the age is enough here
+    }
+    checks.push(check('state', 'Unfinished run', 'warn',
+      `${statePath}, saved ${formatAge(now - saved)} ago${failed.length > 0 ? `, ${failed.join(', ')} failed` : ''}`,
+      `Re-run the same create command to resume it, or add --reset to start over`));
+  }
+
+  // Locks of projects being created sit next to them, the others inside
+  const lockPaths = [
+    ...entries.filter(entry => entry.isFile() && /^\..+\.scaffolder\.lock$/.test(entry.name))
+      .map(entry => path.join(dir, entry.name)),
+    ...projects.map(projectPath => path.join(projectPath, LOCK_FILENAME)).filter(lockPath => fs.existsSync(lockPath)),
+  ];
+  for (const lockPath of lockPaths) {
+    const holder = readHolder(lockPath);
+    const started = holder && new Date(holder.startedAt).getTime() || fs.statSync(lockPath).mtimeMs;
+    const age = formatAge(now - started);
+    if (isStale(holder, lockPath)) {
+      checks.push(check('lock', 'Stale lock', 'warn', `${lockPath}, ${age} old; its process is gone`,
+        `The next run replaces it; or delete ${lockPath}`));
+    } else {
+      const owner = holder ? `process ${holder.pid} on ${holder.hostname}` : 'a run that is starting';
+      checks.push(check('lock', 'Lock', 'warn', `${lockPath} is held by ${owner}, started ${age} ago`,
+        'Wait for that run to finish'));
+    }
+  }
+
+  if (checks.length === 0) {
+    checks.push(check('leftovers', 'Leftover files', 'pass', `No state or lock files in ${dir}`));
+  }
+  return checks;
+}
+
+// ─── RUNNING ─────────────────────────────────────────────────────────
+
+// Every check, for `doctor`. `packageManager` is a detectPackageManager() result.
+async function runChecks({ targetDir, registrySource, packageManager, timeout }) {
+  const registryCheck = await checkRegistry(registrySource, timeout);
+  return [
+    checkNode(),
+    checkNpm(packageManager.name),
+    checkPackageManager(packageManager),
+    checkNpxCache(packageManager.name, { query: true }),
+    checkDiskSpace(targetDir),
+    registryCheck,
+    checkProxy(registrySource, registryCheck),
+    ...checkLeftovers(targetDir),
+  ].filter(Boolean);
+}
+
+// The checks a create run makes before its first step: no network and no
+// spawned commands, so they take milliseconds
+function preflightChecks({ targetDir, packageManager }) {
+  return [
+    checkNode(),
+    checkDiskSpace(targetDir),
+    checkNpxCache(packageManager),
+  ].filter(Boolean);
+}
+
+// The `doctor` command as a function. Options are those of the command
+// line, camelCased (targetDir, registry, packageManager, timeouts,
+// templatesFile), plus onEvent and log as for scaffold(). Resolves with `success`, no check
+// failed, and the `checks`.
+function doctor(options = {}) {
+  return withRun(runContext(options), async () => {
+    const targetDir = path.resolve(options.targetDir || process.cwd());
+    const config = loadConfig({ file: options.templatesFile });
+    for (const err of config.errors) {
+      log('WARN', err);
+    }
+    const { timeouts } = stepSettings(config, options);
+    const checks = await runChecks({
+      targetDir,
+      registrySource: resolveRegistrySource(options.registry),
+      packageManager: detectPackageManager({ requested: options.packageManager, cwd: targetDir }),
+      timeout: timeouts.registryLoad,
+    });
+    const success = checks.every(item => item.status !== 'fail');
+
+    for (const item of checks) {
+      emit('check', item);
+    }
+    emit('summary', { success, mode: 'doctor', checks });
+    return { success, checks };
+  });
+}
+
+const STATUS_COLORS = { pass: 'green', warn: 'yellow', fail: 'red' };
+
+function formatChecks(checks) {
+  const width = Math.max(...checks.map(c => c.title.length));
+  const lines = [];
+  for (const c of checks) {
+    const status = paint(STATUS_COLORS[c.status], c.status.toUpperCase().padEnd(4));
+    lines.push(`  ${status}  ${c.title.padEnd(width)}  ${c.message}`);
+    if (c.hint && c.status !== 'pass') {
+      lines.push(paint('dim', `  ${' '.repeat(4)}  ${' '.repeat(width)}  -> ${c.hint}`));
+    }
+  }
+  const count = status => checks.filter(c => c.status === status).length;
+  lines.push('');
+  lines.push(`  ${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  checkNode,
+  runChecks,
+  preflightChecks,
+  formatChecks,
+  doctor,
+};
@@ -1,88 +1,275 @@
 const { spawn } = require('node:child_process');
 const fs = require('node:fs');
+const os = require('node:os');
 const path = require('node:path');
-const { REGISTRY_URL, TIMEOUTS, log, formatDuration } = require('./utils');
+const {
+  REGISTRY_URL,
+  TIMEOUTS,
+  RETRIES,
+  RETRY_BASE_DELAY,
+  LOGS_DIRNAME,
+  log,
+  emit,
+  isMachineOutput,
+  commandOutputShown,
+  currentRun,
+  runAborted,
+  formatDuration,
+} = require('./utils');
+const { findItem, openRegistry } = require('./registry');
+const { detectProject, resolveAlias, rewriteDefaultAliases, inspectItemFiles } = require('./project');
+const { FRAMEWORKS } = require('./frameworks');
+const { writeItemFiles, mergeCssVars, missingDependencies } = require('./native-installer');
+const { installCommand, execCommand, dependenciesInstalled } = require('./package-manager');
+const { diagnose } = require('./diagnostics');
+const { DEFAULT_THEME, applyTheme, wrapThemeProvider } = require('./theme');
 
 // ─── GENERIC COMMAND RUNNER ──────────────────────────────────────────
 
-function runCommand(command, args, { cwd, timeout, label }) {
+// Only the end of a command's output is kept in memory for diagnosis; the
+// log file has all of it
+const OUTPUT_TAIL_LENGTH = 200_000;
+
+// How long a command may take to exit after SIGTERM before it is killed
+const KILL_GRACE_PERIOD = 5_000;
+
+// How long output may keep arriving after a command exited
+const PIPE_CLOSE_GRACE_PERIOD = 1_000;
+
+// Runs through the `runCommand` injected into the current run, if any, so a
+// caller can substitute fake commands for every step
+function runCommand(command, args, options) {
+  const { runCommand: injected } = currentRun();
+  return (injected || spawnCommand)(command, args, options);
+}
+
+// Child output is shown as it arrives and, with `logFile`, appended to that
+// file. Resolves with the exit status and the tail of stdout and stderr.
+// `timedOut` is only set when our own timer stopped the command, not when
+// something else sent it a signal; `aborted` when the run's signal did.
+function spawnCommand(command, args, { cwd, timeout, label, logFile }) {
+  const { signal } = currentRun();
+  if (signal && signal.aborted) {
+    return Promise.resolve({ code: null, signal: null, timedOut: false, aborted: true, output: '', logFile: logFile || null });
+  }
+
   return new Promise((resolve, reject) => {
     log('INFO', `Running: ${command} ${args.join(' ')}`);
     log('INFO', `  cwd: ${cwd}, timeout: ${formatDuration(timeout)}`);
 
+    let logStream = null;
+    if (logFile) {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      logStream = fs.createWriteStream(logFile, { flags: 'a' });
+      logStream.write(`\n# ${new Date().toISOString()} ${label || command}\n$ ${command} ${args.join(' ')}\n# cwd: ${cwd}\n\n`);
+    }
+
     const child = spawn(command, args, {
       cwd,
-      stdio: 'inherit',
-      timeout,
-      killSignal: 'SIGTERM',
+      stdio: ['inherit', 'pipe', 'pipe'],
     });
 
-    child.on('close', (code, signal) => {
-      const timedOut = signal === 'SIGTERM' && code === null;
-      resolve({ code, signal, timedOut });
+    let timedOut = false;
+    let aborted = false;
+    let killTimer = null;
+    const stop = () => {
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+    };
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeout);
+    const onAbort = () => {
+      aborted = true;
+      stop();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let output = '';
+    const shown = commandOutputShown();
+    const tee = target => chunk => {
+      if (shown) target.write(chunk);
+      if (logStream) logStream.write(chunk);
+      output = (output + chunk.toString()).slice(-OUTPUT_TAIL_LENGTH);
+    };
+    // Child output must not mix with JSON on stdout
+    child.stdout.on('data', tee(isMachineOutput() ? process.stderr : process.stdout));
+    child.stderr.on('data', tee(process.stderr));
+
+    // Processes the command started in the background (or left behind when
+    // it was killed) can hold its output pipes open long after it exited
+    child.on('exit', () => {
+      setTimeout(() => {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }, timedOut ? 0 : PIPE_CLOSE_GRACE_PERIOD).unref();
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      const result = { code, signal: exitSignal, timedOut, aborted, output, logFile: logFile || null };
+      if (!logStream) return resolve(result);
+      logStream.end(`\n# exit ${timedOut ? 'timeout' : aborted ? 'aborted' : exitSignal || code}\n`, () => resolve(result));
     });
 
     child.on('error', (err) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (logStream) logStream.end(`\n# failed to spawn: ${err.message}\n`);
       reject(new Error(`Failed to spawn "${command}": ${err.message}`));
     });
   });
 }
 
-// ─── STEP 1: VITE PROJECT CREATION ──────────────────────────────────
+function failureMessage(what, result, timeout) {
+  if (result.timedOut) return `${what} timed out after ${formatDuration(timeout)}`;
+  if (result.aborted) return `${what} was aborted`;
+  if (result.signal) return `${what} was stopped by ${result.signal}`;
+  return `${what} failed with exit code ${result.code}`;
+}
 
-async function createViteProject(projectName, targetDir, timeout = TIMEOUTS.viteCreate) {
-  log('INFO', `Creating Vite project "${projectName}" in ${targetDir}...`);
+// A failed command as a step result: the error, where its output went and
+// the known failures it matches. Only those can make a failure transient.
+function commandFailure(error, result, context) {
+  const diagnoses = diagnose(result.output, context);
+  return {
+    success: false,
+    error,
+    logFile: result.logFile,
+    diagnoses,
+    transient: diagnoses.some(diagnosis => diagnosis.transient),
+  };
+}
 
-  try {
-    const result = await runCommand(
-      'npx',
-      ['create-vite@latest', projectName, '--template', 'react-ts'],
-      { cwd: targetDir, timeout, label: 'Vite project creation' }
-    );
+// ─── RETRIES ─────────────────────────────────────────────────────────
 
-    if (result.timedOut) {
-      return { success: false, error: `Vite creation timed out after ${formatDuration(timeout)}` };
-    }
-    if (result.code !== 0) {
-      return { success: false, error: `Vite creation failed with exit code ${result.code}` };
-    }
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-    const projectPath = path.join(targetDir, projectName);
-    if (!fs.existsSync(path.join(projectPath, 'package.json'))) {
-      return { success: false, error: 'Vite created but package.json not found' };
+// Runs `attempt(n)` until its result succeeds, fails for a reason that is
+// not transient, has been retried `retries` times or the run is aborted,
+// backing off exponentially in between
+async function withRetries(what, retries, attempt) {
+  for (let n = 0; ; n++) {
+    const result = await attempt(n);
+    if (result.success || !result.transient || n >= retries || runAborted()) {
+      return result;
     }
 
-    log('SUCCESS', 'Vite project created.');
-    return { success: true };
-  } catch (err) {
-    return { success: false, error: err.message };
+    const delay = RETRY_BASE_DELAY * 2 ** n;
+    const reason = result.diagnoses.filter(d => d.transient).map(d => d.title).join(', ');
+    log('WARN', `${what} failed (${reason}). Retrying in ${formatDuration(delay)} (${n + 1} of ${retries})...`);
+    emit('retry', { what, attempt: n + 1, retries, delayMs: delay, reason });
+    await sleep(delay);
   }
 }
 
-// ─── STEP 2: NPM INSTALL ────────────────────────────────────────────
+// ─── STEP LOGS ───────────────────────────────────────────────────────
+
+function stepLogFile(projectPath, step) {
+  return path.join(projectPath, LOGS_DIRNAME, `${step}.log`);
+}
+
+function removeLogs(projectPath) {
+  fs.rmSync(path.join(projectPath, LOGS_DIRNAME), { recursive: true, force: true });
+}
+
+// ─── STEP 1: PROJECT CREATION ───────────────────────────────────────
+
+// [command, args] that creates `projectName` for the given framework
+function createCommand(projectName, { framework = 'vite', packageManager = 'npm' } = {}) {
+  const [pkg, args] = FRAMEWORKS[framework].create(projectName, packageManager);
+  return execCommand(packageManager, pkg, args);
+}
 
-async function npmInstall(projectPath, timeout = TIMEOUTS.npmInstall) {
-  log('INFO', 'Installing npm dependencies...');
+// The project directory must not exist before the create tool runs, so its
+// output is logged to a temporary file that moves into the project after
+async function createProject(projectName, targetDir, {
+  framework = 'vite',
+  packageManager = 'npm',
+  timeout = TIMEOUTS.viteCreate,
+  retries = RETRIES.viteCreate,
+} = {}) {
+  const { label } = FRAMEWORKS[framework];
+  log('INFO', `Creating ${label} project "${projectName}" in ${targetDir}...`);
+
+  const projectPath = path.join(targetDir, projectName);
+  const tmpLogFile = path.join(os.tmpdir(), `scaffolder-${projectName}-${process.pid}`, 'viteCreate.log');
+  const existed = fs.existsSync(projectPath);
 
   try {
-    const result = await runCommand(
-      'npm',
-      ['install'],
-      { cwd: projectPath, timeout, label: 'npm install' }
-    );
+    const [command, args] = createCommand(projectName, { framework, packageManager });
+    const result = await withRetries('Project creation', retries, async (attempt) => {
+      // The create tools refuse to write into what a failed attempt left
+      if (attempt > 0 && !existed) {
+        fs.rmSync(projectPath, { recursive: true, force: true });
+      }
+      const run = await runCommand(
+        command,
+        args,
+        { cwd: targetDir, timeout, label: 'Project creation', logFile: tmpLogFile }
+      );
 
-    if (result.timedOut) {
-      return { success: false, error: `npm install timed out after ${formatDuration(timeout)}` };
-    }
-    if (result.code !== 0) {
-      return { success: false, error: `npm install failed with exit code ${result.code}` };
+      if (run.timedOut || run.code !== 0) {
+        return commandFailure(failureMessage('Project creation', run, timeout), run);
+      }
+      if (!fs.existsSync(path.join(projectPath, 'package.json'))) {
+        return commandFailure('Project created but package.json not found', run);
+      }
+      return { success: true };
+    });
+    if (!result.success) return result;
+
+    // An injected runCommand may not have written a log
+    const logFile = stepLogFile(projectPath, 'viteCreate');
+    if (fs.existsSync(tmpLogFile)) {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fs.copyFileSync(tmpLogFile, logFile);
+      fs.rmSync(path.dirname(tmpLogFile), { recursive: true, force: true });
     }
 
-    if (!fs.existsSync(path.join(projectPath, 'node_modules'))) {
-      return { success: false, error: 'npm install completed but node_modules not found' };
-    }
+    log('SUCCESS', `${label} project created.`);
+    return { success: true, logFile };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
 
-    log('SUCCESS', 'npm dependencies installed.');
+// ─── STEP 2: DEPENDENCY INSTALL ─────────────────────────────────────
+
+async function npmInstall(projectPath, packages = [], {
+  packageManager = 'npm',
+  timeout = TIMEOUTS.npmInstall,
+  retries = RETRIES.npmInstall,
+  logFile = stepLogFile(projectPath, 'npmInstall'),
+} = {}) {
+  log('INFO', `Installing dependencies with ${packageManager}...`);
+  if (packages.length > 0) {
+    log('INFO', `  Extra packages: ${packages.join(', ')}`);
+  }
+
+  try {
+    const [command, args] = installCommand(packageManager, packages);
+    const result = await withRetries(`${packageManager} install`, retries, async () => {
+      const run = await runCommand(
+        command,
+        args,
+        { cwd: projectPath, timeout, label: `${packageManager} install`, logFile }
+      );
+
+      if (run.timedOut || run.code !== 0) {
+        return commandFailure(failureMessage(`${packageManager} install`, run, timeout), run);
+      }
+      if (!dependenciesInstalled(projectPath)) {
+        return commandFailure(`${packageManager} install completed but react could not be found in node_modules`, run);
+      }
+      return { success: true };
+    });
+    if (!result.success) return result;
+
+    log('SUCCESS', 'Dependencies installed.');
     return { success: true };
   } catch (err) {
     return { success: false, error: err.message };
@@ -91,25 +278,64 @@ async function npmInstall(projectPath, timeout = TIMEOUTS.npmInstall) {
 
 // ─── STEP 3: SHADCN INIT ────────────────────────────────────────────
 
-async function initShadcn(projectPath, timeout = TIMEOUTS.shadcnInit) {
-  log('INFO', 'Initializing shadcn/ui...');
+function initCommand(projectPath, { packageManager = 'npm', baseColor = 'neutral' } = {}) {
+  return execCommand(packageManager, 'shadcn@latest', [
+    'init', '--yes', '--defaults', '--base-color', baseColor, '--force', '--cwd', projectPath,
+  ]);
+}
 
-  try {
-    const result = await runCommand(
-      'npx',
-      ['shadcn@latest', 'init', '--yes', '--defaults', '--force', '--cwd', projectPath],
-      { cwd: projectPath, timeout, label: 'shadcn init' }
-    );
+// `shadcn init --force` rewrites the stylesheet, so the radius and theme
+// variables are applied after every init
+function applyThemeSettings(projectPath, theme) {
+  if (theme.radius === null && !theme.cssVars) return { success: true };
 
-    if (result.timedOut) {
-      return { success: false, error: `shadcn init timed out after ${formatDuration(timeout)}` };
+  log('INFO', `Applying ${theme.name ? `theme "${theme.name}"` : 'theme settings'}...`);
+  try {
+    const project = detectProject(projectPath);
+    if (!project.valid) {
+      return { success: false, error: `Cannot apply the theme: ${project.errors.join('; ')}` };
     }
-    if (result.code !== 0) {
-      return { success: false, error: `shadcn init failed with exit code ${result.code}` };
+    const result = applyTheme(project, theme);
+    for (const warning of result.warnings) {
+      log('WARN', warning);
     }
+    log('SUCCESS', `Theme written to ${result.file}.`);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: `Cannot apply the theme: ${err.message}` };
+  }
+}
+
+async function initShadcn(projectPath, {
+  packageManager = 'npm',
+  theme = DEFAULT_THEME,
+  timeout = TIMEOUTS.shadcnInit,
+  retries = RETRIES.shadcnInit,
+  logFile = stepLogFile(projectPath, 'shadcnInit'),
+} = {}) {
+  log('INFO', 'Initializing shadcn/ui...');
+
+  try {
+    const [command, args] = initCommand(projectPath, { packageManager, baseColor: theme.baseColor });
+    const result = await withRetries('shadcn init', retries, async () => {
+      const run = await runCommand(
+        command,
+        args,
+        { cwd: projectPath, timeout, label: 'shadcn init', logFile }
+      );
+
+      if (run.timedOut || run.code !== 0) {
+        return commandFailure(failureMessage('shadcn init', run, timeout), run);
+      }
+      if (!fs.existsSync(path.join(projectPath, 'components.json'))) {
+        return commandFailure('shadcn init completed but components.json not found', run);
+      }
+      return { success: true };
+    });
+    if (!result.success) return result;
 
     log('SUCCESS', 'shadcn/ui initialized.');
-    return { success: true };
+    return applyThemeSettings(projectPath, theme);
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -117,114 +343,378 @@ async function initShadcn(projectPath, timeout = TIMEOUTS.shadcnInit) {
 
 // ─── STEP 4: INSTALL COMPONENTS ─────────────────────────────────────
 
-async function installComponents(projectPath, components, timeout = TIMEOUTS.componentInstall) {
+// Native install first when requested, `npx shadcn add` as the fallback.
+// `timings` records how long each path took so they can be compared. A local
+// `registrySource` is served over HTTP only once the shadcn CLI needs it.
+async function installComponents(projectPath, components, {
+  registrySource = { kind: 'remote', location: REGISTRY_URL },
+  registry = null,
+  installer = 'npx',
+  packageManager = 'npm',
+  overwrite = true,
+  timeout = TIMEOUTS.componentInstall,
+  individualTimeout = TIMEOUTS.individualInstall,
+  retries = RETRIES.componentInstall,
+  logFile = stepLogFile(projectPath, 'componentInstall'),
+  onComponent = () => {},
+} = {}) {
+  // One result per component, as it happens, so callers can persist progress
+  const report = (name, status, via, error) => {
+    emit('component', { name, status, installer: via, ...(error ? { error } : {}) });
+    onComponent(name, status);
+  };
+
   if (components.length === 0) {
-    return { success: true, installed: [], failed: [] };
+    return { success: true, installed: [], failed: [], timings: {}, diagnoses: [], logFile: null };
+  }
+
+  const timings = {};
+  const startTime = Date.now();
+  let nativeDiagnoses = [];
+
+  if (installer === 'native' && registry) {
+    const nativeResult = await installComponentsNative(projectPath, components, registry, { packageManager, overwrite, timeout, retries, logFile });
+    timings.native = Date.now() - startTime;
+
+    if (nativeResult.success) {
+      for (const name of components) {
+        report(name, 'installed', 'native');
+      }
+      log('SUCCESS', `All ${components.length} component(s) installed natively in ${formatDuration(timings.native)}.`);
+      return { success: true, installed: [...components], failed: [], timings, diagnoses: [], logFile };
+    }
+
+    if (runAborted()) {
+      return { success: false, error: nativeResult.error, installed: [], failed: [], timings, diagnoses: [], logFile };
+    }
+    log('WARN', `Native install failed: ${nativeResult.error}`);
+    nativeDiagnoses = nativeResult.diagnoses || [];
+    for (const diagnosis of nativeDiagnoses) {
+      log('WARN', `  -> ${diagnosis.title}: ${diagnosis.remediation}`);
+    }
+    log('WARN', 'Falling back to the shadcn CLI...');
   }
 
+  let served;
+  try {
+    served = await openRegistry(registrySource);
+  } catch (err) {
+    const error = `Could not open registry ${registrySource.location}: ${err.message}`;
+    log('ERROR', error);
+    for (const name of components) {
+      report(name, 'failed', 'npx', error);
+    }
+    return { success: false, error, installed: [], failed: [...components], timings, diagnoses: nativeDiagnoses, logFile };
+  }
+
+  // The fallback gets a budget of its own: it most often runs because the
+  // native dependency install used up the first one
+  const npxStart = Date.now();
+  let npxResult;
+  try {
+    npxResult = await installComponentsNpx(projectPath, components, {
+      registryUrl: served.url,
+      packageManager,
+      overwrite,
+      timeout,
+      individualTimeout,
+      retries,
+      logFile,
+      report,
+    });
+  } finally {
+    await served.close();
+  }
+  timings.npx = Date.now() - npxStart;
+  log('INFO', `shadcn CLI install path took ${formatDuration(timings.npx)}.`);
+
+  // What broke the native install likely explains a failed fallback too
+  const diagnoses = npxResult.success ? npxResult.diagnoses : [
+    ...nativeDiagnoses.filter(diagnosis => !npxResult.diagnoses.some(d => d.id === diagnosis.id)),
+    ...npxResult.diagnoses,
+  ];
+  return { ...npxResult, diagnoses, timings, logFile };
+}
+
+async function installComponentsNative(projectPath, components, registry, { packageManager, overwrite, timeout, retries, logFile }) {
+  log('INFO', `Writing ${components.length} component(s) from registry...`);
+  log('INFO', `  Components: ${components.join(', ')}`);
+
+  const project = detectProject(projectPath);
+  if (!project.valid) {
+    return { success: false, error: project.errors.join('; ') };
+  }
+
+  const unknown = components.filter(name => !findItem(registry, name));
+  if (unknown.length > 0) {
+    return { success: false, error: `Not in registry: ${unknown.join(', ')}` };
+  }
+  const items = components.map(name => findItem(registry, name));
+
+  // Registry indexes may list files without their contents
+  const incomplete = items.filter(item => (item.files || []).some(file => typeof file.content !== 'string'));
+  if (incomplete.length > 0) {
+    return { success: false, error: `Registry has no file contents for: ${incomplete.map(item => item.name).join(', ')}` };
+  }
+
+  try {
+    const files = writeItemFiles(project, items, { overwrite });
+    for (const relPath of files.written) {
+      log('INFO', `  wrote ${relPath}`);
+    }
+    for (const relPath of files.skipped) {
+      log('WARN', `  skipped ${relPath} (differs from the registry; use --overwrite to replace)`);
+    }
+
+    const css = mergeCssVars(project, items);
+    if (css.added.length > 0) {
+      log('INFO', `  added ${css.added.length} CSS variable(s) to ${css.file}`);
+    }
+
+    const packages = missingDependencies(project, items);
+    if (packages.length > 0) {
+      log('INFO', `  Installing dependencies: ${packages.join(', ')}`);
+      const [command, args] = installCommand(packageManager, packages);
+      const result = await withRetries(`${packageManager} install`, retries, async () => {
+        const run = await runCommand(
+          command,
+          args,
+          { cwd: projectPath, timeout, label: 'Component dependencies', logFile }
+        );
+        if (run.timedOut || run.code !== 0) {
+          return commandFailure(failureMessage(`${packageManager} install`, run, timeout), run);
+        }
+        return { success: true };
+      });
+      if (!result.success) return result;
+    }
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  return { success: true };
+}
+
+function addCommand(projectPath, components, { packageManager = 'npm', registryUrl = REGISTRY_URL, overwrite = true } = {}) {
+  return execCommand(packageManager, 'shadcn@latest', [
+    'add',
+    '--registry', registryUrl,
+    '--yes', ...(overwrite ? ['--overwrite'] : []),
+    '--cwd', projectPath,
+    ...components,
+  ]);
+}
+
+async function installComponentsNpx(projectPath, components, {
+  registryUrl,
+  packageManager,
+  overwrite,
+  timeout,
+  individualTimeout,
+  retries,
+  logFile,
+  report,
+}) {
   log('INFO', `Installing ${components.length} component(s) from registry...`);
   log('INFO', `  Components: ${components.join(', ')}`);
+  log('INFO', `  Registry: ${registryUrl}`);
 
   const installed = [];
   const failed = [];
   const startTime = Date.now();
 
+  // Known causes of the individual failures, one entry per cause
+  const diagnoses = [];
+  const addDiagnoses = (name, found) => {
+    for (const diagnosis of found) {
+      const known = diagnoses.find(d => d.id === diagnosis.id);
+      if (known) {
+        known.components.push(name);
+      } else {
+        diagnoses.push({ ...diagnosis, components: [name] });
+      }
+    }
+  };
+
   // --- Attempt batch install ---
   try {
     const batchResult = await runCommand(
-      'npx',
-      [
-        'shadcn@latest', 'add',
-        '--registry', REGISTRY_URL,
-        '--yes', '--overwrite',
-        '--cwd', projectPath,
-        ...components,
-      ],
-      { cwd: projectPath, timeout, label: 'Component batch install' }
+      ...addCommand(projectPath, components, { packageManager, registryUrl, overwrite }),
+      { cwd: projectPath, timeout, label: 'Component batch install', logFile }
     );
 
     if (batchResult.code === 0) {
       installed.push(...components);
+      for (const name of components) {
+        report(name, 'installed', 'npx');
+      }
       log('SUCCESS', `All ${components.length} component(s) installed via batch.`);
-      return { success: true, installed, failed };
+      return { success: true, installed, failed, diagnoses };
     }
 
+    if (batchResult.aborted) {
+      return { success: false, error: 'Component install was aborted', installed, failed, diagnoses };
+    }
     log('WARN', 'Batch install failed. Falling back to individual installs...');
   } catch (err) {
     log('WARN', `Batch install error: ${err.message}. Falling back...`);
   }
 
   // --- Individual fallback ---
+  // An aborted run leaves the remaining components pending, not failed
   for (const name of components) {
-    const elapsed = Date.now() - startTime;
-    const remaining = timeout - elapsed;
-
-    if (remaining <= 5000) {
-      log('WARN', 'Timeout budget exhausted. Skipping remaining components.');
-      failed.push(name);
-      continue;
-    }
-
-    const perComponentTimeout = Math.min(60_000, remaining);
-
+    if (runAborted()) break;
     try {
       log('INFO', `  Installing "${name}" individually...`);
-      const result = await runCommand(
-        'npx',
-        [
-          'shadcn@latest', 'add',
-          '--registry', REGISTRY_URL,
-          '--yes', '--overwrite',
-          '--cwd', projectPath,
-          name,
-        ],
-        { cwd: projectPath, timeout: perComponentTimeout, label: `Install ${name}` }
-      );
-
-      if (result.code === 0) {
+      const result = await withRetries(`Install of "${name}"`, retries, async () => {
+        const remaining = timeout - (Date.now() - startTime);
+        if (remaining <= 5000) {
+          return { success: false, error: `"${name}" skipped, timeout budget exhausted` };
+        }
+
+        const perComponentTimeout = Math.min(individualTimeout, remaining);
+        const run = await runCommand(
+          ...addCommand(projectPath, [name], { packageManager, registryUrl, overwrite }),
+          { cwd: projectPath, timeout: perComponentTimeout, label: `Install ${name}`, logFile }
+        );
+        if (run.timedOut || run.code !== 0) {
+          return commandFailure(failureMessage(`"${name}"`, run, perComponentTimeout), run, { component: name });
+        }
+        return { success: true };
+      });
+
+      if (runAborted()) break;
+      if (result.success) {
         installed.push(name);
+        report(name, 'installed', 'npx');
         log('SUCCESS', `  "${name}" installed.`);
       } else {
         failed.push(name);
-        log('WARN', `  "${name}" failed (exit code ${result.code}).`);
+        addDiagnoses(name, result.diagnoses || []);
+        report(name, 'failed', 'npx', result.error);
+        log('WARN', `  ${result.error}.`);
       }
     } catch (err) {
       failed.push(name);
+      report(name, 'failed', 'npx', err.message);
       log('WARN', `  "${name}" error: ${err.message}`);
     }
   }
 
-  return { success: failed.length === 0, installed, failed };
+  return { success: failed.length === 0, installed, failed, diagnoses };
+}
+
+// ─── STEP 5: STARTER FILES ──────────────────────────────────────────
+
+const USE_CLIENT_PATTERN = /^["']use client["'];?/;
+
+// Starter imports follow the project's components.json aliases, and with
+// React Server Components every starter is a client component: they all
+// render interactive shadcn/ui components or use hooks.
+function starterContent(project, relPath, content) {
+  if (!project.valid) return content;
+  let result = rewriteDefaultAliases(project, content);
+  if (project.config.rsc && relPath.endsWith('.tsx') && !USE_CLIENT_PATTERN.test(result)) {
+    result = `"use client"\n\n${result}`;
+  }
+  return result;
 }
 
-// ─── STEP 5: VERIFICATION ───────────────────────────────────────────
+// With `themeProvider`, the app root is also wrapped in the ThemeProvider
+// starter of --mode-toggle
+function writeStarterFiles(projectPath, files, { themeProvider = false } = {}) {
+  const entries = Object.entries(files);
+  if (entries.length === 0) {
+    return { success: true, written: [] };
+  }
+
+  log('INFO', `Writing ${entries.length} starter file(s)...`);
+
+  const project = detectProject(projectPath);
+  const written = [];
+  try {
+    for (const [relPath, source] of entries) {
+      const dest = path.join(projectPath, relPath);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, starterContent(project, relPath, fs.readFileSync(source, 'utf8')), 'utf8');
+      written.push(relPath);
+      log('INFO', `  ${relPath}`);
+    }
+  } catch (err) {
+    return { success: false, written, error: `Could not write starter files: ${err.message}` };
+  }
 
-function verifyProject(projectPath, expectedComponents) {
+  if (themeProvider && project.valid) {
+    const result = wrapThemeProvider(project);
+    if (result.wrapped) {
+      log('INFO', `  ${result.file} (wrapped in ThemeProvider)`);
+    } else if (result.warning) {
+      log('WARN', result.warning);
+    }
+  }
+
+  log('SUCCESS', 'Starter files written.');
+  return { success: true, written };
+}
+
+// ─── STEP 6: VERIFICATION ───────────────────────────────────────────
+
+function verifyProject(projectPath, expectedComponents, registry = null, expectedFiles = [], framework = 'vite') {
   const missing = [];
   const warnings = [];
+  const definition = FRAMEWORKS[framework];
 
-  // Blocking checks
-  for (const relPath of ['package.json', 'node_modules', 'src', 'vite.config.ts']) {
+  // Starter files are part of the template, so their absence is blocking
+  for (const relPath of expectedFiles) {
     if (!fs.existsSync(path.join(projectPath, relPath))) {
       missing.push(relPath);
     }
   }
 
-  // Non-blocking checks
-  for (const relPath of ['components.json', path.join('src', 'lib', 'utils.ts'), path.join('src', 'components', 'ui')]) {
+  // Blocking checks
+  for (const relPath of ['package.json', ...definition.requiredPaths]) {
     if (!fs.existsSync(path.join(projectPath, relPath))) {
-      warnings.push(`Expected not found: ${relPath}`);
+      missing.push(relPath);
     }
   }
+  if (!definition.configFiles.some(file => fs.existsSync(path.join(projectPath, file)))) {
+    missing.push(definition.configFiles.join(' / '));
+  }
+  if (!dependenciesInstalled(projectPath)) {
+    missing.push('node_modules');
+  }
 
-  // Component file checks (non-blocking)
-  const uiDir = path.join(projectPath, 'src', 'components', 'ui');
-  if (fs.existsSync(uiDir)) {
-    for (const name of expectedComponents) {
-      const componentFile = path.join(uiDir, `${name}.tsx`);
-      if (!fs.existsSync(componentFile)) {
-        warnings.push(`Component file not found: src/components/ui/${name}.tsx`);
-      }
+  // Non-blocking checks. Everything below depends on components.json.
+  const project = detectProject(projectPath);
+  if (!project.valid) {
+    warnings.push(...project.errors);
+    return { valid: missing.length === 0, missing, warnings };
+  }
+
+  const utilsPath = `${resolveAlias(project, project.aliases.utils)}.ts`;
+  if (!fs.existsSync(utilsPath)) {
+    warnings.push(`Expected not found: ${path.relative(projectPath, utilsPath)}`);
+  }
+
+  if (definition.rsc && !project.config.rsc) {
+    warnings.push(`components.json has "rsc": false, but ${definition.label} components need "use client"`);
+  }
+
+  // Component file checks (non-blocking). Paths come from components.json,
+  // so they hold for src/- and app/-based layouts alike.
+  const items = registry
+    ? expectedComponents.map(name => findItem(registry, name)).filter(Boolean)
+    : [];
+  for (const file of inspectItemFiles(project, items)) {
+    const relPath = path.relative(projectPath, file.path);
+    if (file.status === 'missing') {
+      warnings.push(`Component file not found: ${relPath}`);
+    } else if (
+      project.config.rsc &&
+      USE_CLIENT_PATTERN.test(file.expected) &&
+      !USE_CLIENT_PATTERN.test(fs.readFileSync(file.path, 'utf8'))
+    ) {
+      warnings.push(`${relPath} is missing the "use client" directive`);
     }
   }
 
@@ -233,9 +723,18 @@ function verifyProject(projectPath, expectedComponents) {
 
 // ─── CLEANUP ─────────────────────────────────────────────────────────
 
-function cleanup(projectPath) {
+// With `keepLogs`, step logs are moved to a temporary directory first so a
+// failed run can still point at them. Returns that directory, if any.
+function cleanup(projectPath, { keepLogs = false } = {}) {
   log('INFO', `Cleaning up ${projectPath}...`);
+  let logDir = null;
   try {
+    const logs = path.join(projectPath, LOGS_DIRNAME);
+    if (keepLogs && fs.existsSync(logs)) {
+      logDir = fs.mkdtempSync(path.join(os.tmpdir(), `scaffolder-${path.basename(projectPath)}-`));
+      fs.cpSync(logs, logDir, { recursive: true });
+      log('INFO', `Logs kept in ${logDir}`);
+    }
     if (fs.existsSync(projectPath)) {
       fs.rmSync(projectPath, { recursive: true, force: true });
       log('INFO', 'Cleanup complete.');
@@ -243,14 +742,22 @@ function cleanup(projectPath) {
   } catch (err) {
     log('ERROR', `Cleanup failed: ${err.message}. Manual removal may be needed.`);
   }
+  return logDir;
 }
 
 module.exports = {
   runCommand,
-  createViteProject,
+  failureMessage,
+  stepLogFile,
+  removeLogs,
+  createCommand,
+  createProject,
   npmInstall,
+  initCommand,
   initShadcn,
+  addCommand,
   installComponents,
+  writeStarterFiles,
   verifyProject,
   cleanup,
 };
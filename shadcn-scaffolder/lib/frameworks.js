@@ -0,0 +1,98 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// create-vite's root tsconfig.json only holds project references; older
+// templates have a single tsconfig.json
+function viteTsconfig(projectDir) {
+  const single = fs.existsSync(path.join(projectDir, 'tsconfig.json')) &&
+    !fs.existsSync(path.join(projectDir, 'tsconfig.app.json'));
+  return single ? 'tsconfig.json' : 'tsconfig.app.json';
+}
+
+// Project layouts the scaffolder can create. Starter files are written
+// against the Vite layout (src/App.tsx, src/components/...) and moved to
+// `entry` and `sourceDir` for the other frameworks. `root` is the line
+// --mode-toggle wraps in a ThemeProvider. `typecheck` and `build` are the
+// local binaries `--verify=deep` runs, as [bin, args] lists.
+const FRAMEWORKS = {
+  vite: {
+    label: 'Vite + React + TypeScript',
+    configFiles: ['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs'],
+    requiredPaths: ['src'],
+    sourceDir: 'src',
+    entry: 'src/App.tsx',
+    importAlias: { prefix: '@/', dir: 'src' },
+    root: { file: 'src/main.tsx', element: '<App />' },
+    rsc: false,
+    create: projectName => ['create-vite@latest', [projectName, '--template', 'react-ts']],
+    typecheck: projectDir => [['tsc', ['--noEmit', '--pretty', 'false', '-p', viteTsconfig(projectDir)]]],
+    build: ['vite', ['build']],
+  },
+  next: {
+    label: 'Next.js (App Router)',
+    configFiles: ['next.config.ts', 'next.config.mjs', 'next.config.js'],
+    requiredPaths: ['app'],
+    sourceDir: '.',
+    entry: 'app/page.tsx',
+    importAlias: { prefix: '@/', dir: '.' },
+    root: { file: 'app/layout.tsx', element: '{children}' },
+    rsc: true,
+    create: (projectName, packageManager) => ['create-next-app@latest', [
+      projectName,
+      '--typescript', '--tailwind', '--eslint', '--app',
+      '--no-src-dir', '--import-alias', '@/*',
+      `--use-${packageManager}`, '--skip-install', '--yes',
+    ]],
+    typecheck: () => [['tsc', ['--noEmit', '--pretty', 'false']]],
+    build: ['next', ['build']],
+  },
+  'react-router': {
+    label: 'React Router (framework mode)',
+    configFiles: ['react-router.config.ts', 'react-router.config.js'],
+    requiredPaths: ['app'],
+    sourceDir: 'app',
+    entry: 'app/routes/home.tsx',
+    importAlias: { prefix: '~/', dir: 'app' },
+    root: { file: 'app/root.tsx', element: '{children}' },
+    rsc: false,
+    create: projectName => ['create-react-router@latest', [projectName, '--yes', '--no-install', '--no-git-init']],
+    // Route modules import generated ./+types/* files
+    typecheck: () => [['react-router', ['typegen']], ['tsc', ['--noEmit', '--pretty', 'false']]],
+    build: ['react-router', ['build']],
+  },
+};
+
+const FRAMEWORK_NAMES = Object.keys(FRAMEWORKS);
+
+// React Router projects also have a vite.config.ts, so they are checked first
+const DETECTION_ORDER = ['next', 'react-router', 'vite'];
+
+// Name of the framework whose config file is present in `projectDir`
+function detectFramework(projectDir) {
+  return DETECTION_ORDER.find(name =>
+    FRAMEWORKS[name].configFiles.some(file => fs.existsSync(path.join(projectDir, file)))) || null;
+}
+
+// "src/App.tsx" -> "app/page.tsx", "src/components/x.tsx" -> "components/x.tsx"
+function starterPath(framework, relPath) {
+  const { entry, sourceDir } = FRAMEWORKS[framework];
+  const normalized = relPath.split(path.sep).join('/');
+  if (normalized === FRAMEWORKS.vite.entry) return entry;
+  if (normalized.startsWith('src/')) return path.posix.join(sourceDir, normalized.slice('src/'.length));
+  return normalized;
+}
+
+function mapStarterFiles(framework, files) {
+  const mapped = {};
+  for (const [relPath, source] of Object.entries(files)) {
+    mapped[starterPath(framework, relPath)] = source;
+  }
+  return mapped;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  FRAMEWORK_NAMES,
+  detectFramework,
+  mapStarterFiles,
+};
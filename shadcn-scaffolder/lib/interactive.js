@@ -0,0 +1,260 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const readline = require('node:readline');
+const { MAX_CUSTOM_COMPONENTS, EXIT_CODES, paint } = require('./utils');
+const { validateProjectName, validateTargetDir, validateComponents } = require('./validator');
+const { PACKAGE_MANAGER_NAMES, detectPackageManager } = require('./package-manager');
+
+// Guided `create` for a terminal run without a project name. Asks for what
+// the command line would otherwise say and returns it as parsed arguments.
+
+const SEARCH_RESULTS = 15;
+
+// Items that can be asked for by name; themes are applied with --theme
+const PICKABLE_TYPES = new Set(['registry:ui', 'registry:block', 'registry:component', 'registry:hook', 'registry:lib']);
+
+// One readline for every question: its line iterator buffers input that
+// arrives ahead of the question, such as pasted or piped answers
+let session = null;
+
+function createPrompt() {
+  if (session) return session;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = rl[Symbol.asyncIterator]();
+  // Ctrl+C and Ctrl+D end the questions, not just the current line
+  rl.on('SIGINT', () => rl.close());
+
+  session = {
+    ask: async (question, fallback) => {
+      const hint = fallback ? paint('dim', ` (${fallback})`) : '';
+      rl.setPrompt(`${question}${hint}: `);
+      rl.prompt();
+      const { value, done } = await lines.next();
+      if (done) {
+        console.log('\nCancelled.');
+        process.exit(EXIT_CODES.FAILURE);
+      }
+      return value.trim() || fallback || '';
+    },
+    close: () => {
+      rl.close();
+      session = null;
+    },
+  };
+  return session;
+}
+
+function printError(message) {
+  console.log(`  ${paint('red', message)}`);
+}
+
+// ─── QUESTIONS ───────────────────────────────────────────────────────
+
+async function askProjectName(prompt, fallback) {
+  for (;;) {
+    const name = await prompt.ask('Project name', fallback);
+    const error = validateProjectName(name);
+    if (!error) return name;
+    printError(error);
+  }
+}
+
+async function askTemplate(prompt, templates, fallback) {
+  const names = [...Object.keys(templates), 'custom'];
+  console.log('\nTemplates:');
+  names.forEach((name, i) => {
+    const description = name === 'custom'
+      ? `Pick up to ${MAX_CUSTOM_COMPONENTS} components from the registry`
+      : templates[name].description;
+    console.log(`  ${String(i + 1).padStart(2)}. ${name.padEnd(10)} ${paint('dim', description)}`);
+  });
+
+  for (;;) {
+    const answer = await prompt.ask('Template (name or number)', fallback);
+    const template = /^\d+$/.test(answer) ? names[Number(answer) - 1] : answer;
+    if (names.includes(template)) return template;
+    printError(`Unknown template "${answer}". Choose one of: ${names.join(', ')}`);
+  }
+}
+
+function describeItem(item) {
+  const uses = (item.registryDependencies || []).length > 0
+    ? paint('dim', ` uses ${item.registryDependencies.join(', ')}`)
+    : '';
+  const about = item.description || item.title || '';
+  return `${item.name.padEnd(22)} ${paint('dim', about.length > 60 ? `${about.slice(0, 57)}...` : about)}${uses}`;
+}
+
+function printSelection(selected, registry) {
+  if (selected.length === 0) {
+    console.log(paint('dim', '  Nothing selected yet.'));
+    return;
+  }
+  const { resolvedComponents } = validateComponents(selected, registry);
+  const added = resolvedComponents.filter(name => !selected.includes(name));
+  console.log(`  Selected (${selected.length}/${MAX_CUSTOM_COMPONENTS}): ${selected.join(', ')}`);
+  if (added.length > 0) {
+    console.log(paint('dim', `  Plus registry dependencies: ${added.join(', ')}`));
+  }
+}
+
+// Search, then pick by number; names toggle directly and "-name" removes
+async function askComponents(prompt, registry, initial = []) {
+  const items = registry.items.filter(item => PICKABLE_TYPES.has(item.type));
+  const selected = initial.filter(name => items.some(item => item.name === name));
+  let results = [];
+
+  console.log('\nComponents: type a search term, then the numbers of the results to pick.');
+  console.log(paint('dim', 'A full name toggles that component, "-name" removes it, an empty line finishes.'));
+  printSelection(selected, registry);
+
+  const toggle = (name) => {
+    const index = selected.indexOf(name);
+    if (index !== -1) {
+      selected.splice(index, 1);
+    } else if (selected.length >= MAX_CUSTOM_COMPONENTS) {
+      printError(`At most ${MAX_CUSTOM_COMPONENTS} components. Remove one first, or use a template.`);
+    } else {
+      selected.push(name);
+    }
+  };
+
+  for (;;) {
+    const answer = (await prompt.ask('Search or pick')).toLowerCase();
+
+    if (answer === '') {
+      if (selected.length > 0) return selected;
+      printError('Pick at least one component.');
+    } else if (answer.startsWith('-')) {
+      const name = answer.slice(1).trim();
+      if (selected.includes(name)) toggle(name);
+      else printError(`"${name}" is not selected.`);
+      printSelection(selected, registry);
+    } else if (/^\d+(?:[\s,]+\d+)*$/.test(answer)) {
+      const picks = answer.split(/[\s,]+/).map(Number);
+      const invalid = picks.filter(n => !results[n - 1]);
+      if (invalid.length > 0) {
+        printError(results.length > 0 ? `Pick numbers from 1 to ${results.length}.` : 'Search first, then pick by number.');
+        continue;
+      }
+      for (const n of picks) toggle(results[n - 1].name);
+      printSelection(selected, registry);
+    } else if (items.some(item => item.name === answer)) {
+      toggle(answer);
+      printSelection(selected, registry);
+    } else {
+      results = items
+        .filter(item => [item.name, item.title, item.description].some(text => text && text.toLowerCase().includes(answer)))
+        .sort((a, b) => Number(!a.name.includes(answer)) - Number(!b.name.includes(answer)) || a.name.localeCompare(b.name))
+        .slice(0, SEARCH_RESULTS);
+      if (results.length === 0) {
+        printError(`No components match "${answer}".`);
+        continue;
+      }
+      results.forEach((item, i) => {
+        const mark = selected.includes(item.name) ? paint('green', '*') : ' ';
+        console.log(`  ${mark}${String(i + 1).padStart(2)}. ${describeItem(item)}`);
+      });
+    }
+  }
+}
+
+async function askTargetDir(prompt, fallback) {
+  for (;;) {
+    const answer = await prompt.ask('Target directory', fallback);
+    const targetDir = path.resolve(answer.replace(/^~(?=$|\/)/, os.homedir()));
+    const error = validateTargetDir(targetDir);
+    if (!error) return targetDir;
+    printError(error);
+  }
+}
+
+async function askPackageManager(prompt, fallback) {
+  for (;;) {
+    const answer = await prompt.ask(`Package manager (${PACKAGE_MANAGER_NAMES.join(', ')})`, fallback);
+    if (PACKAGE_MANAGER_NAMES.includes(answer)) return answer;
+    printError(`Choose one of: ${PACKAGE_MANAGER_NAMES.join(', ')}`);
+  }
+}
+
+// ─── FLOW ────────────────────────────────────────────────────────────
+
+// Fills in projectName, template, components, targetDir and packageManager,
+// starting from what `args` already has. Each answer is checked with the
+// rules validateInputs applies, so a bad one is asked again on the spot.
+async function promptCreateOptions(args, { templates, registry }) {
+  const prompt = createPrompt();
+  console.log(paint('cyan', 'Create a project with shadcn/ui components. Ctrl+C cancels.\n'));
+
+  const answers = {
+    projectName: args.projectName,
+    template: args.template,
+    components: args.components,
+    targetDir: args.targetDir,
+    packageManager: args.packageManager,
+  };
+
+  answers.projectName = await askProjectName(prompt, answers.projectName);
+  answers.template = await askTemplate(prompt, templates, answers.template);
+  answers.components = answers.template === 'custom'
+    ? await askComponents(prompt, registry, answers.components)
+    : [];
+  if (answers.template !== 'custom') {
+    const { resolvedComponents } = validateComponents(templates[answers.template].components, registry, { limit: Infinity });
+    console.log(paint('dim', `  Installs: ${resolvedComponents.join(', ')}`));
+  }
+  console.log('');
+  answers.targetDir = await askTargetDir(prompt, answers.targetDir);
+  answers.packageManager = await askPackageManager(prompt, answers.packageManager
+    || detectPackageManager({ cwd: answers.targetDir }).name);
+
+  // Guided runs start new projects; resuming one takes its original options
+  while (fs.existsSync(path.join(answers.targetDir, answers.projectName))) {
+    printError(`${path.join(answers.targetDir, answers.projectName)} already exists. Choose a different name.`);
+    answers.projectName = await askProjectName(prompt);
+  }
+
+  return answers;
+}
+
+// The last question: closes the prompt so the run owns the terminal again
+async function confirm(question) {
+  const prompt = createPrompt();
+  const answer = (await prompt.ask(`${question} [Y/n]`)).toLowerCase();
+  prompt.close();
+  return answer === '' || answer === 'y' || answer === 'yes';
+}
+
+// ─── EQUIVALENT COMMAND ──────────────────────────────────────────────
+
+function quote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+// The command line that repeats a guided run without questions: the answers
+// plus the options that were passed alongside them
+function commandLine(answers, passedArgs) {
+  const parts = ['node', 'shadcn-scaffolder/index.js', answers.projectName];
+  if (answers.template !== 'minimal') parts.push('--template', answers.template);
+  if (answers.template === 'custom') parts.push('--components', answers.components.join(','));
+  if (answers.targetDir !== process.cwd()) parts.push('--target', answers.targetDir);
+  parts.push('--package-manager', answers.packageManager);
+
+  const answered = new Set(['-t', '--template', '-c', '--components', '--target', '--package-manager']);
+  for (let i = 0; i < passedArgs.length; i++) {
+    const [flag] = passedArgs[i].split('=');
+    if (!answered.has(flag)) {
+      parts.push(passedArgs[i]);
+    } else if (!passedArgs[i].includes('=')) {
+      i++;
+    }
+  }
+  return parts.map(quote).join(' ');
+}
+
+module.exports = {
+  promptCreateOptions,
+  confirm,
+  commandLine,
+};
@@ -0,0 +1,163 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const LOCK_FILENAME = '.scaffolder.lock';
+
+// A lock file that cannot be parsed is being written, or was cut short.
+// Within this time of its last change it counts as held.
+const UNREADABLE_LOCK_GRACE = 10_000;
+
+// An existing project holds its lock inside, so a read-only parent does not
+// matter. A create run locks before the directory exists, so its lock sits
+// next to it, and is honoured by runs that lock the project from inside.
+function lockFilePath(projectPath) {
+  return fs.existsSync(projectPath)
+    ? path.join(projectPath, LOCK_FILENAME)
+    : parentLockPath(projectPath);
+}
+
+function parentLockPath(projectPath) {
+  return path.join(path.dirname(projectPath), `.${path.basename(projectPath)}${LOCK_FILENAME}`);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+function readHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A lock is stale when its process is gone. Locks taken on another host (a
+// shared network drive) cannot be checked and are never treated as stale.
+function isStale(holder, lockPath) {
+  if (!holder || !Number.isInteger(holder.pid)) {
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > UNREADABLE_LOCK_GRACE;
+    } catch {
+      return true;
+    }
+  }
+  if (holder.hostname !== os.hostname()) return false;
+  return !isProcessAlive(holder.pid);
+}
+
+// Creates the lock file with its content in one step, so a reader never finds
+// it empty: written to a temporary file and hard-linked into place, which
+// fails with EEXIST like an exclusive create. Filesystems without hard links
+// fall back to the exclusive create.
+function createLockFile(lockPath, content) {
+  const tmpPath = `${lockPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf8');
+  try {
+    fs.linkSync(tmpPath, lockPath);
+  } catch (err) {
+    if (!['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'].includes(err.code)) throw err;
+    fs.writeFileSync(lockPath, content, { encoding: 'utf8', flag: 'wx' });
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+// Returns { acquired: true, lockPath, release }, { acquired: false, lockPath,
+// holder } when another run has it, or { acquired: false, lockPath, error }
+// when the lock file cannot be written. `outside` locks next to an existing
+// directory, for a run that is about to remove it.
+function acquireLock(projectPath, { command = process.argv.slice(2).join(' '), outside = false } = {}) {
+  const lockPath = outside ? parentLockPath(projectPath) : lockFilePath(projectPath);
+  const content = JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    startedAt: new Date().toISOString(),
+    command,
+  }, null, 2);
+
+  // A create run that locked before the directory existed still holds it
+  const parentPath = parentLockPath(projectPath);
+  if (lockPath !== parentPath && fs.existsSync(parentPath)) {
+    const holder = readHolder(parentPath);
+    if (!isStale(holder, parentPath)) {
+      return { acquired: false, lockPath: parentPath, holder };
+    }
+    try {
+      fs.rmSync(parentPath, { force: true });
+    } catch {
+      // A read-only parent keeps it; being stale, it blocks nothing
+    }
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      createLockFile(lockPath, content);
+    } catch (err) {
+      if (err.code !== 'EEXIST') return { acquired: false, lockPath, error: err };
+
+      const holder = readHolder(lockPath);
+      if (!isStale(holder, lockPath)) {
+        return { acquired: false, lockPath, holder };
+      }
+      try {
+        fs.rmSync(lockPath, { force: true });
+      } catch (rmErr) {
+        return { acquired: false, lockPath, error: rmErr };
+      }
+      continue;
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      process.removeListener('exit', release);
+      const holder = readHolder(lockPath);
+      if (holder && holder.pid === process.pid) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    };
+    // process.exit() skips finally blocks but still fires 'exit'
+    process.on('exit', release);
+    return { acquired: true, lockPath, release };
+  }
+
+  return { acquired: false, lockPath, holder: readHolder(lockPath) };
+}
+
+function describeLockHolder(lock) {
+  return lock.holder
+    ? `process ${lock.holder.pid} on ${lock.holder.hostname}, started ${lock.holder.startedAt}`
+    : 'an unknown process';
+}
+
+// Why a lock was not acquired, as [error, hint] for the log
+function lockFailure(lock, projectPath) {
+  if (lock.error) {
+    return [
+      `Cannot lock ${projectPath}: writing ${lock.lockPath} failed (${lock.error.code || lock.error.message})`,
+      `Check that ${path.dirname(lock.lockPath)} is writable`,
+    ];
+  }
+  return [
+    `Another scaffolder run is working on ${projectPath} (${describeLockHolder(lock)}).`,
+    `If that run is gone, delete ${lock.lockPath}`,
+  ];
+}
+
+module.exports = {
+  LOCK_FILENAME,
+  lockFilePath,
+  readHolder,
+  isStale,
+  acquireLock,
+  lockFailure,
+};
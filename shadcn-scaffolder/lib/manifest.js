@@ -0,0 +1,185 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { MANIFEST_FILENAME } = require('./utils');
+const { inspectItemFiles } = require('./project');
+const { merge3 } = require('./merge');
+
+// Which registry items a project has and what each file looked like when
+// the registry wrote it. The `base` copy is what `update` merges against:
+// changes since then on the project side are local edits, changes on the
+// registry side are upstream fixes. Meant to be committed with the project.
+
+const MANIFEST_VERSION = 1;
+
+function manifestPath(projectPath) {
+  return path.join(projectPath, MANIFEST_FILENAME);
+}
+
+function contentHash(content) {
+  return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+function readManifest(projectPath) {
+  const filePath = manifestPath(projectPath);
+  if (!fs.existsSync(filePath)) {
+    return { version: MANIFEST_VERSION, registry: null, items: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${MANIFEST_FILENAME} has version ${manifest.version}; this scaffolder reads version ${MANIFEST_VERSION}`);
+  }
+  return manifest;
+}
+
+function writeManifest(projectPath, manifest) {
+  const items = Object.fromEntries(Object.entries(manifest.items).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(manifestPath(projectPath), `${JSON.stringify({ ...manifest, items }, null, 2)}\n`, 'utf8');
+}
+
+// The manifest entry of an item whose files all match `expected` contents
+function itemEntry(files) {
+  return {
+    installedAt: new Date().toISOString(),
+    files: Object.fromEntries(files.map(file => [file.relPath, {
+      hash: contentHash(file.expected),
+      base: file.expected,
+    }])),
+  };
+}
+
+// Records the items whose files on disk are exactly what the registry
+// writes. Items with missing or edited files keep their previous entry, if
+// any: their base is unknown. Returns the names recorded.
+function recordItems(project, items, registryLocation) {
+  const manifest = readManifest(project.projectDir);
+  const recorded = [];
+
+  for (const item of items) {
+    const files = inspectItemFiles(project, [item]);
+    if (files.length === 0 || files.some(file => file.status !== 'identical')) continue;
+    manifest.items[item.name] = itemEntry(files.map(file => ({
+      ...file,
+      relPath: path.relative(project.projectDir, file.path),
+    })));
+    recorded.push(item.name);
+  }
+
+  if (recorded.length > 0) {
+    manifest.registry = registryLocation;
+    writeManifest(project.projectDir, manifest);
+  }
+  return recorded;
+}
+
+function forgetItems(projectPath, names) {
+  const manifest = readManifest(projectPath);
+  const forgotten = names.filter(name => name in manifest.items);
+  if (forgotten.length === 0) return [];
+  for (const name of forgotten) {
+    delete manifest.items[name];
+  }
+  writeManifest(projectPath, manifest);
+  return forgotten;
+}
+
+// ─── STATUS ──────────────────────────────────────────────────────────
+
+// Every file of an item, compared three ways: the recorded base, the file
+// on disk and what the registry would write now. `status` is one of
+//   current    - unchanged on both sides
+//   outdated   - the registry changed, the project did not
+//   modified   - the project changed, the registry did not
+//   diverged   - both changed
+//   added      - new in the registry, not on disk
+//   untracked  - on disk but not in the manifest, so there is no base
+//   missing    - recorded but deleted from the project
+function itemFileStatus(project, manifest, item) {
+  const entry = manifest.items[item.name];
+  return inspectItemFiles(project, [item]).map((file) => {
+    const relPath = path.relative(project.projectDir, file.path);
+    const local = fs.existsSync(file.path) ? fs.readFileSync(file.path, 'utf8') : null;
+    const recorded = entry && entry.files[relPath];
+    const base = recorded ? recorded.base : null;
+
+    let status;
+    if (local === null) status = recorded ? 'missing' : 'added';
+    else if (!recorded) status = local === file.expected ? 'current' : 'untracked';
+    else if (local === file.expected) status = 'current';
+    else if (contentHash(local) === recorded.hash) status = 'outdated';
+    else if (contentHash(file.expected) === recorded.hash) status = 'modified';
+    else status = 'diverged';
+
+    return { relPath, path: file.path, local, base, expected: file.expected, status };
+  });
+}
+
+// ─── UPDATE ──────────────────────────────────────────────────────────
+
+// What `update` does with a file, by status
+function updateFile(file) {
+  switch (file.status) {
+    case 'outdated':
+    case 'added':
+      return { action: file.status === 'added' ? 'created' : 'updated', content: file.expected };
+    case 'diverged': {
+      const merged = merge3(file.base, file.local, file.expected);
+      return { action: merged.conflicts > 0 ? 'conflict' : 'merged', content: merged.content, conflicts: merged.conflicts };
+    }
+    case 'untracked':
+    case 'missing':
+      return { action: 'skipped' };
+    default:
+      return { action: 'unchanged' };
+  }
+}
+
+// Brings the items' files up to the registry version, keeping local edits.
+// Files changed on both sides are merged; overlapping changes are written
+// with conflict markers. Files without a base, or deleted locally, are left
+// alone. The new registry version becomes the base of every file handled.
+function updateItems(project, items, registryLocation) {
+  const manifest = readManifest(project.projectDir);
+  const results = [];
+
+  for (const item of items) {
+    const previous = manifest.items[item.name];
+    const files = {};
+
+    for (const file of itemFileStatus(project, manifest, item)) {
+      const { action, content, conflicts = 0 } = updateFile(file);
+      if (content !== undefined) {
+        fs.mkdirSync(path.dirname(file.path), { recursive: true });
+        fs.writeFileSync(file.path, content, 'utf8');
+      }
+      if (action !== 'skipped') {
+        files[file.relPath] = { hash: contentHash(file.expected), base: file.expected };
+      } else if (previous && previous.files[file.relPath]) {
+        files[file.relPath] = previous.files[file.relPath];
+      }
+      results.push({ item: item.name, file: file.relPath, status: file.status, action, conflicts });
+    }
+
+    if (Object.keys(files).length > 0) {
+      manifest.items[item.name] = {
+        installedAt: previous ? previous.installedAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        files,
+      };
+    }
+  }
+
+  manifest.registry = registryLocation;
+  writeManifest(project.projectDir, manifest);
+  return results;
+}
+
+module.exports = {
+  manifestPath,
+  readManifest,
+  recordItems,
+  forgetItems,
+  itemFileStatus,
+  updateItems,
+};
@@ -0,0 +1,197 @@
+// Line diffs for `diff` and the three-way merge behind `update`. Files are
+// small (registry components), so a plain LCS table is fast enough.
+
+// ─── LINE MATCHING ───────────────────────────────────────────────────
+
+// For every line of `a`, the index of the line of `b` it is matched with in
+// a longest common subsequence, or -1
+function matchLines(a, b) {
+  const match = new Int32Array(a.length).fill(-1);
+
+  // Common prefix and suffix are matched without the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    match[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    match[endA] = endB;
+  }
+
+  // lcs[i * width + j]: length of the LCS of a[start + i..] and b[start + j..]
+  const rows = endA - start;
+  const width = endB - start + 1;
+  const lcs = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = width - 2; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < width - 1) {
+    if (a[start + i] === b[start + j]) {
+      match[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return match;
+}
+
+// ─── UNIFIED DIFF ────────────────────────────────────────────────────
+
+// Lines for display. A missing final newline is part of the last line, so
+// it shows up as a change like `diff -u` does.
+function displayLines(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += '\n\\ No newline at end of file';
+  }
+  return lines;
+}
+
+// [type, line] pairs: ' ' in both, '-' only in `a`, '+' only in `b`
+function editScript(a, b) {
+  const match = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (match[i] === -1) {
+      ops.push(['-', a[i]]);
+      continue;
+    }
+    while (j < match[i]) ops.push(['+', b[j++]]);
+    ops.push([' ', a[i]]);
+    j++;
+  }
+  while (j < b.length) ops.push(['+', b[j++]]);
+  return ops;
+}
+
+// `diff -u` of two file contents, or '' when they are the same
+function unifiedDiff(from, to, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  if (from === to) return '';
+  const ops = editScript(displayLines(from), displayLines(to));
+
+  // Hunks are runs of changes with up to 2 * context unchanged lines inside
+  const hunks = [];
+  let lastChange = -Infinity;
+  ops.forEach(([type], index) => {
+    if (type === ' ') return;
+    if (index - lastChange > 2 * context + 1 || hunks.length === 0) {
+      hunks.push({ first: index, last: index });
+    } else {
+      hunks[hunks.length - 1].last = index;
+    }
+    lastChange = index;
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const first = Math.max(0, hunk.first - context);
+    const last = Math.min(ops.length - 1, hunk.last + context);
+
+    // Line numbers of the hunk's first line on each side
+    let fromLine = 1;
+    let toLine = 1;
+    for (const [type] of ops.slice(0, first)) {
+      if (type !== '+') fromLine++;
+      if (type !== '-') toLine++;
+    }
+    const lines = ops.slice(first, last + 1);
+    const fromCount = lines.filter(([type]) => type !== '+').length;
+    const toCount = lines.filter(([type]) => type !== '-').length;
+
+    out.push(`@@ -${fromCount === 0 ? fromLine - 1 : fromLine},${fromCount} +${toCount === 0 ? toLine - 1 : toLine},${toCount} @@`);
+    for (const [type, line] of lines) {
+      out.push(`${type}${line}`);
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// ─── THREE-WAY MERGE ─────────────────────────────────────────────────
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+// diff3 merge of two descendants of `base`. Regions changed on one side
+// take that side; regions changed the same way on both sides are taken
+// once; regions changed differently become a conflict, written with
+// git-style markers. Returns the merged content and the conflict count.
+function merge3(base, local, remote, { localLabel = 'local', baseLabel = 'base', remoteLabel = 'registry' } = {}) {
+  const b = base.split('\n');
+  const l = local.split('\n');
+  const r = remote.split('\n');
+  const toLocal = matchLines(b, l);
+  const toRemote = matchLines(b, r);
+
+  const out = [];
+  let conflicts = 0;
+  let i = 0;
+  let li = 0;
+  let ri = 0;
+
+  while (i < b.length || li < l.length || ri < r.length) {
+    // Next base line that is kept on both sides
+    let j = i;
+    while (j < b.length && (toLocal[j] === -1 || toRemote[j] === -1)) j++;
+
+    if (j === i && j < b.length && toLocal[j] === li && toRemote[j] === ri) {
+      out.push(b[i]);
+      i++;
+      li++;
+      ri++;
+      continue;
+    }
+
+    const lEnd = j < b.length ? toLocal[j] : l.length;
+    const rEnd = j < b.length ? toRemote[j] : r.length;
+    const baseChunk = b.slice(i, j);
+    const localChunk = l.slice(li, lEnd);
+    const remoteChunk = r.slice(ri, rEnd);
+
+    if (sameLines(localChunk, baseChunk)) {
+      out.push(...remoteChunk);
+    } else if (sameLines(remoteChunk, baseChunk) || sameLines(localChunk, remoteChunk)) {
+      out.push(...localChunk);
+    } else {
+      conflicts++;
+      out.push(
+        `<<<<<<< ${localLabel}`,
+        ...localChunk,
+        `||||||| ${baseLabel}`,
+        ...baseChunk,
+        '=======',
+        ...remoteChunk,
+        `>>>>>>> ${remoteLabel}`
+      );
+    }
+    i = j;
+    li = lEnd;
+    ri = rEnd;
+  }
+
+  return { content: out.join('\n'), conflicts };
+}
+
+module.exports = {
+  unifiedDiff,
+  merge3,
+};
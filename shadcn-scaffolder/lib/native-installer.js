@@ -0,0 +1,130 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { inspectItemFiles, readJson } = require('./project');
+const { parseDependencySpec } = require('./sources');
+
+// Writes registry items straight into a project, without `npx shadcn add`.
+// Running `npm install` for the collected dependencies is left to the caller.
+
+// ─── FILES ───────────────────────────────────────────────────────────
+
+function writeItemFiles(project, items, { overwrite = true } = {}) {
+  const written = [];
+  const skipped = [];
+  const unchanged = [];
+
+  for (const file of inspectItemFiles(project, items)) {
+    const relPath = path.relative(project.projectDir, file.path);
+    if (file.status === 'identical') {
+      unchanged.push(relPath);
+      continue;
+    }
+    if (file.status === 'modified' && !overwrite) {
+      skipped.push(relPath);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(file.path), { recursive: true });
+    fs.writeFileSync(file.path, file.expected, 'utf8');
+    written.push(relPath);
+  }
+
+  return { written, skipped, unchanged };
+}
+
+// ─── CSS VARIABLES ──────────────────────────────────────────────────
+
+// Legacy registries store colors as bare HSL channels ("240 5.9% 10%").
+// Tailwind v4 stylesheets expect complete color values.
+function cssValue(value, tailwindV4) {
+  return tailwindV4 && /^[\d.]+ [\d.]+% [\d.]+%$/.test(value) ? `hsl(${value})` : value;
+}
+
+// Insert declarations that are not already present into `selector { ... }`,
+// appending the block when the stylesheet has none.
+function mergeBlock(css, selector, declarations) {
+  const missing = declarations.filter(([name]) => !new RegExp(`--${name}\\s*:`).test(css));
+  if (missing.length === 0) return { css, added: [] };
+
+  const lines = missing.map(([name, value]) => `  --${name}: ${value};`).join('\n');
+  const escaped = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = css.match(new RegExp(`(^|\\n)${escaped}\\s*\\{[^}]*\\}`));
+
+  if (!match) {
+    return { css: `${css.trimEnd()}\n\n${selector} {\n${lines}\n}\n`, added: missing.map(([name]) => name) };
+  }
+
+  const end = match.index + match[0].length - 1;
+  const before = css.slice(0, end).replace(/\s*$/, '');
+  return {
+    css: `${before}\n${lines}\n${css.slice(end)}`,
+    added: missing.map(([name]) => name),
+  };
+}
+
+function mergeCssVars(project, items) {
+  const cssFile = project.config.tailwind && project.config.tailwind.css;
+  if (!cssFile) return { file: null, added: [] };
+
+  const cssPath = path.join(project.projectDir, cssFile);
+  if (!fs.existsSync(cssPath)) return { file: null, added: [] };
+
+  let css = fs.readFileSync(cssPath, 'utf8');
+  const tailwindV4 = /@theme\s+inline/.test(css) || !project.config.tailwind.config;
+  const added = [];
+
+  for (const item of items) {
+    const cssVars = item.cssVars || {};
+    const blocks = [
+      [':root', cssVars.light],
+      ['.dark', cssVars.dark],
+      ['@theme inline', cssVars.theme],
+    ];
+
+    for (const [selector, vars] of blocks) {
+      if (!vars) continue;
+      const declarations = Object.entries(vars).map(([name, value]) => [name, cssValue(value, tailwindV4)]);
+      const result = mergeBlock(css, selector, declarations);
+      css = result.css;
+      added.push(...result.added);
+    }
+
+    // Expose new color variables as Tailwind utilities (bg-sidebar-border, ...)
+    if (tailwindV4 && cssVars.light) {
+      const colors = Object.keys(cssVars.light).map(name => [`color-${name}`, `var(--${name})`]);
+      css = mergeBlock(css, '@theme inline', colors).css;
+    }
+  }
+
+  if (added.length > 0) {
+    fs.writeFileSync(cssPath, css, 'utf8');
+  }
+
+  return { file: cssFile, added: [...new Set(added)] };
+}
+
+// ─── DEPENDENCIES ───────────────────────────────────────────────────
+
+// Dependency specs of the items that package.json does not already list
+function missingDependencies(project, items) {
+  const pkg = readJson(path.join(project.projectDir, 'package.json'));
+  const present = new Set([
+    ...Object.keys(pkg.dependencies || {}),
+    ...Object.keys(pkg.devDependencies || {}),
+  ]);
+
+  const specs = new Map();
+  for (const item of items) {
+    for (const spec of item.dependencies || []) {
+      const { name } = parseDependencySpec(spec);
+      if (!present.has(name) && !specs.has(name)) specs.set(name, spec);
+    }
+  }
+  return [...specs.values()];
+}
+
+module.exports = {
+  cssValue,
+  writeItemFiles,
+  mergeCssVars,
+  missingDependencies,
+};
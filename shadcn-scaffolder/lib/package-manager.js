@@ -0,0 +1,151 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Lockfiles in order of preference when a directory has more than one
+const PACKAGE_MANAGERS = {
+  pnpm: { lockfiles: ['pnpm-lock.yaml'] },
+  yarn: { lockfiles: ['yarn.lock'] },
+  bun:  { lockfiles: ['bun.lock', 'bun.lockb'] },
+  npm:  { lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'] },
+};
+
+const PACKAGE_MANAGER_NAMES = Object.keys(PACKAGE_MANAGERS);
+
+// ─── DETECTION ───────────────────────────────────────────────────────
+
+// "pnpm/9.1.0 npm/? node/v20.11.0 linux x64" -> "pnpm"
+function fromUserAgent(userAgent) {
+  if (!userAgent) return null;
+  const name = userAgent.split(' ')[0].split('/')[0];
+  return PACKAGE_MANAGERS[name] ? name : null;
+}
+
+// Nearest lockfile at or above `dir`, stopping at the repository root so a
+// stray lockfile in a home directory does not decide for unrelated projects.
+function fromLockfile(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    for (const [name, { lockfiles }] of Object.entries(PACKAGE_MANAGERS)) {
+      const lockfile = lockfiles.find(file => fs.existsSync(path.join(current, file)));
+      if (lockfile) return { name, lockfile: path.join(current, lockfile) };
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current || fs.existsSync(path.join(current, '.git'))) return null;
+    current = parent;
+  }
+}
+
+// An explicit choice wins, then a lockfile, then the tool that launched us
+// (`pnpm dlx`, `bunx`, ...), then npm.
+function detectPackageManager({ requested, cwd = process.cwd(), userAgent = process.env.npm_config_user_agent } = {}) {
+  if (requested) {
+    return { name: requested, reason: '--package-manager' };
+  }
+
+  const lock = fromLockfile(cwd);
+  if (lock) {
+    return { name: lock.name, reason: path.basename(lock.lockfile) };
+  }
+
+  const agent = fromUserAgent(userAgent);
+  if (agent) {
+    return { name: agent, reason: 'user agent' };
+  }
+
+  return { name: 'npm', reason: 'default' };
+}
+
+// ─── COMMANDS ────────────────────────────────────────────────────────
+
+// [command, args] to install the project's dependencies plus `packages`
+function installCommand(name, packages = []) {
+  if (name === 'npm') return ['npm', ['install', ...packages]];
+  return packages.length > 0 ? [name, ['add', ...packages]] : [name, ['install']];
+}
+
+// [command, args] to remove `packages` from package.json and node_modules
+function uninstallCommand(name, packages) {
+  return [name, [name === 'npm' ? 'uninstall' : 'remove', ...packages]];
+}
+
+// [command, args] to run a package binary without installing it. Yarn 1 has
+// no `dlx`, so yarn projects use npx for one-off binaries.
+function execCommand(name, pkg, args = []) {
+  switch (name) {
+    case 'pnpm': return ['pnpm', ['dlx', pkg, ...args]];
+    case 'bun':  return ['bunx', ['--bun', pkg, ...args]];
+    default:     return ['npx', [pkg, ...args]];
+  }
+}
+
+// [command, args] to run a binary installed in the project. Unlike
+// execCommand this never downloads anything.
+function binCommand(name, bin, args = []) {
+  switch (name) {
+    case 'pnpm': return ['pnpm', ['exec', bin, ...args]];
+    case 'yarn': return ['yarn', [bin, ...args]];
+    case 'bun':  return ['bun', ['run', bin, ...args]];
+    default:     return ['npx', ['--no-install', bin, ...args]];
+  }
+}
+
+// Shell command for a package.json script, as shown to the user
+function runScriptCommand(name, script) {
+  return name === 'npm' || name === 'bun' ? `${name} run ${script}` : `${name} ${script}`;
+}
+
+function formatCommand([command, args]) {
+  return [command, ...args].join(' ');
+}
+
+// ─── INSTALL CHECK ───────────────────────────────────────────────────
+
+// The first directory at or above `dir` that holds a pnpm workspace or a
+// package.json with `workspaces`, or null outside a workspace
+function workspaceRoot(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    if (fs.existsSync(path.join(current, 'pnpm-workspace.yaml'))) return current;
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(current, 'package.json'), 'utf8'));
+      if (pkg.workspaces) return current;
+    } catch {
+      // No package.json here, or not one we can read
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+// npm and bun put packages in node_modules, pnpm symlinks them there from
+// node_modules/.pnpm, and workspaces may hoist them up to the workspace
+// root. Yarn Plug'n'Play has no node_modules at all, only a .pnp.cjs
+// loader. Outside a workspace only the project itself counts, so a stray
+// node_modules further up does not pass for an install.
+function dependenciesInstalled(projectPath, probe = 'react') {
+  let current = path.resolve(projectPath);
+  const root = workspaceRoot(current) || current;
+  while (true) {
+    if (fs.existsSync(path.join(current, 'node_modules', probe, 'package.json'))) return true;
+    if (fs.existsSync(path.join(current, '.pnp.cjs'))) return true;
+
+    const parent = path.dirname(current);
+    if (current === root || parent === current) return false;
+    current = parent;
+  }
+}
+
+module.exports = {
+  PACKAGE_MANAGER_NAMES,
+  detectPackageManager,
+  installCommand,
+  uninstallCommand,
+  execCommand,
+  binCommand,
+  runScriptCommand,
+  formatCommand,
+  dependenciesInstalled,
+};
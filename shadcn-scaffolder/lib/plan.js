@@ -0,0 +1,227 @@
+const path = require('node:path');
+const { TIMEOUTS, RETRIES, MANIFEST_FILENAME, formatDuration } = require('./utils');
+const { findItem } = require('./registry');
+const { FRAMEWORKS } = require('./frameworks');
+const { plannedProject, resolveAlias, targetPath } = require('./project');
+const { parseDependencySpec } = require('./sources');
+const { installCommand, binCommand, formatCommand } = require('./package-manager');
+const { DEFAULT_THEME, describeTheme } = require('./theme');
+const {
+  createCommand,
+  initCommand,
+  addCommand,
+} = require('./executor');
+
+// Local registries are served on a port picked at install time
+const SERVED_REGISTRY_URL = 'http://127.0.0.1:<port>/registry.json';
+
+const PLAN_VERSION = 1;
+
+// ─── BUILDING ────────────────────────────────────────────────────────
+
+function command([cmd, args], cwd, timeout) {
+  return { command: cmd, args, cwd, timeout };
+}
+
+// Dependency specs of the template and every resolved item, one per package
+function plannedPackages(templatePackages, items) {
+  const specs = new Map();
+  for (const spec of [...templatePackages, ...items.flatMap(item => item.dependencies || [])]) {
+    const { name } = parseDependencySpec(spec);
+    if (!specs.has(name)) specs.set(name, spec);
+  }
+  return [...specs.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, spec]) => spec);
+}
+
+// Everything a create run would do, built with the same command builders
+// the executor uses. `steps` is the saved state of a resumed run, if any.
+function buildPlan({
+  projectName,
+  projectPath,
+  targetDir,
+  template,
+  framework,
+  packageManager,
+  installer,
+  registry,
+  registrySource,
+  requestedComponents,
+  components,
+  packages = [],
+  starterFiles = {},
+  steps = {},
+  timeouts = TIMEOUTS,
+  retries = RETRIES,
+  verify = 'basic',
+  theme = DEFAULT_THEME,
+}) {
+  const definition = FRAMEWORKS[framework];
+  const project = plannedProject(projectPath, framework);
+  const relative = filePath => path.relative(projectPath, filePath).split(path.sep).join('/');
+  const registryUrl = registrySource.kind === 'local' ? SERVED_REGISTRY_URL : registrySource.location;
+  const pm = packageManager;
+
+  const items = components.map(name => findItem(registry, name)).filter(Boolean);
+  const itemPackages = plannedPackages([], items);
+  const componentFiles = items.flatMap(item => (item.files || []).map(file => relative(targetPath(project, file))));
+
+  const componentCommands = [];
+  const componentFallback = [];
+  if (installer === 'native') {
+    if (itemPackages.length > 0) {
+      componentCommands.push(command(installCommand(pm, itemPackages), projectPath, timeouts.componentInstall));
+    }
+    componentFallback.push(command(
+      addCommand(projectPath, components, { packageManager: pm, registryUrl }), projectPath, timeouts.componentInstall));
+  } else {
+    componentCommands.push(command(
+      addCommand(projectPath, components, { packageManager: pm, registryUrl }), projectPath, timeouts.componentInstall));
+  }
+  for (const name of components) {
+    componentFallback.push(command(
+      addCommand(projectPath, [name], { packageManager: pm, registryUrl }), projectPath, timeouts.individualInstall));
+  }
+
+  const planSteps = [
+    {
+      id: 'viteCreate',
+      label: 'Project creation',
+      commands: [command(createCommand(projectName, { framework, packageManager: pm }), targetDir, timeouts.viteCreate)],
+      files: ['package.json', definition.configFiles[0]],
+    },
+    {
+      id: 'npmInstall',
+      label: 'Dependency install',
+      commands: [command(installCommand(pm, packages), projectPath, timeouts.npmInstall)],
+      files: [],
+    },
+    {
+      id: 'shadcnInit',
+      label: 'shadcn/ui init',
+      commands: [command(
+        initCommand(projectPath, { packageManager: pm, baseColor: theme.baseColor }), projectPath, timeouts.shadcnInit)],
+      files: ['components.json', `${relative(resolveAlias(project, project.aliases.utils))}.ts`],
+    },
+    {
+      id: 'componentInstall',
+      label: installer === 'native' ? 'Component installation (native)' : 'Component installation',
+      commands: componentCommands,
+      fallback: componentFallback,
+      files: [...componentFiles, MANIFEST_FILENAME],
+    },
+    {
+      id: 'starterFiles',
+      label: 'Starter files',
+      commands: [],
+      files: Object.keys(starterFiles),
+    },
+    {
+      id: 'verification',
+      label: verify === 'deep' ? 'Project verification (deep)' : 'Project verification',
+      commands: verify === 'deep'
+        ? [
+          ...definition.typecheck(projectPath).map(([bin, args]) =>
+            command(binCommand(pm, bin, args), projectPath, timeouts.typecheck)),
+          command(binCommand(pm, ...definition.build), projectPath, timeouts.build),
+        ]
+        : [],
+      files: [],
+    },
+  ].map(step => ({
+    ...step,
+    retries: retries[step.id] || 0,
+    status: steps[step.id] === 'done' ? 'done' : 'pending',
+  }));
+
+  const files = [...new Set(planSteps
+    .filter(step => step.status !== 'done')
+    .flatMap(step => step.files))].sort();
+
+  return {
+    version: PLAN_VERSION,
+    project: {
+      name: projectName,
+      path: projectPath,
+      framework,
+      template,
+      packageManager: pm,
+      installer,
+      verify,
+      registry: registrySource.location,
+      theme: {
+        baseColor: theme.baseColor,
+        radius: theme.radius,
+        name: theme.name,
+        modeToggle: theme.modeToggle,
+      },
+    },
+    components: {
+      requested: requestedComponents,
+      resolved: components,
+    },
+    steps: planSteps,
+    files,
+    packages: plannedPackages(packages, items),
+  };
+}
+
+// ─── FORMATTING ──────────────────────────────────────────────────────
+
+function formatPlan(plan, { title = 'DRY RUN — nothing will be executed' } = {}) {
+  const hr = '='.repeat(55);
+  const lines = [];
+  const { project } = plan;
+
+  lines.push(hr, `  ${title}`, hr);
+  lines.push(`  Project:    ${project.name}`);
+  lines.push(`  Path:       ${project.path}`);
+  lines.push(`  Framework:  ${FRAMEWORKS[project.framework].label}`);
+  lines.push(`  Template:   ${project.template}`);
+  lines.push(`  Registry:   ${project.registry}`);
+  lines.push(`  Manager:    ${project.packageManager}`);
+  lines.push(`  Installer:  ${project.installer}`);
+  lines.push(`  Theme:      ${describeTheme(project.theme)}`);
+  lines.push('');
+  lines.push(`  Components (${plan.components.resolved.length}): ${plan.components.resolved.join(', ')}`);
+
+  plan.steps.forEach((step, index) => {
+    lines.push('');
+    lines.push(`  ${index + 1}. ${step.label}${step.status === 'done' ? ' (already done, skipped)' : ''}`);
+    for (const cmd of step.commands) {
+      lines.push(`     $ ${formatCommand([cmd.command, cmd.args])}`);
+      lines.push(`       cwd: ${cmd.cwd}, timeout: ${formatDuration(cmd.timeout)}`);
+    }
+    const hasFallback = step.fallback && step.fallback.length > 0;
+    if (hasFallback) {
+      lines.push(`     on failure, ${step.fallback.length} fallback command(s), e.g.:`);
+      lines.push(`     $ ${formatCommand([step.fallback[0].command, step.fallback[0].args])}`);
+    }
+    if (step.retries > 0 && step.commands.length > 0) {
+      const subject = hasFallback ? 'single-component installs are retried' : 'retried';
+      lines.push(`     ${subject} up to ${step.retries} time(s) on transient failures`);
+    }
+    if (step.files.length > 0) {
+      lines.push(`     writes ${step.files.length} file(s)`);
+    }
+  });
+
+  lines.push('');
+  lines.push(`  Files (${plan.files.length}):`);
+  for (const file of plan.files) {
+    lines.push(`    + ${file}`);
+  }
+
+  lines.push('');
+  lines.push(`  Packages (${plan.packages.length}):`);
+  for (const spec of plan.packages) {
+    lines.push(`    + ${spec}`);
+  }
+  lines.push(hr);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildPlan,
+  formatPlan,
+};
@@ -0,0 +1,253 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { FRAMEWORKS, detectFramework } = require('./frameworks');
+
+const TSCONFIGS = ['tsconfig.json', 'tsconfig.app.json'];
+
+// Defaults written by `shadcn init` for a Vite project
+const DEFAULT_ALIASES = {
+  components: '@/components',
+  utils: '@/lib/utils',
+  ui: '@/components/ui',
+  lib: '@/lib',
+  hooks: '@/hooks',
+};
+
+// Registry file type -> components.json alias its files are written under
+const FILE_TYPE_ALIASES = {
+  'registry:ui':        'ui',
+  'registry:component': 'components',
+  'registry:block':     'components',
+  'registry:hook':      'hooks',
+  'registry:lib':       'lib',
+};
+
+const REGISTRY_IMPORT_PATTERN = /(["'])@\/registry\/[^/"']+\/(ui|hooks|lib|components|blocks)\/([^"']+)\1/g;
+
+// ─── JSON WITH COMMENTS ─────────────────────────────────────────────
+
+// tsconfig files allow comments and trailing commas
+function parseJsonc(text) {
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      out += text.slice(i, j + 1);
+      i = j + 1;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return JSON.parse(out.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function readJson(filePath) {
+  return parseJsonc(fs.readFileSync(filePath, 'utf8'));
+}
+
+// ─── DETECTION ───────────────────────────────────────────────────────
+
+// An existing Vite, Next.js or React Router project that `shadcn init` has
+// already been run in
+function detectProject(projectDir) {
+  const errors = [];
+
+  if (!fs.existsSync(projectDir) || !fs.statSync(projectDir).isDirectory()) {
+    return { valid: false, errors: [`Project directory does not exist: ${projectDir}`] };
+  }
+  if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+    errors.push(`No package.json in ${projectDir}`);
+  }
+  const framework = detectFramework(projectDir);
+  if (!framework) {
+    const labels = Object.values(FRAMEWORKS).map(definition => definition.label).join(', ');
+    errors.push(`Unsupported project in ${projectDir}: expected one of ${labels}`);
+  }
+
+  const componentsJsonPath = path.join(projectDir, 'components.json');
+  let config = null;
+  if (!fs.existsSync(componentsJsonPath)) {
+    errors.push(`No components.json in ${projectDir}. Run: npx shadcn@latest init`);
+  } else {
+    try {
+      config = readJson(componentsJsonPath);
+    } catch (err) {
+      errors.push(`components.json is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  return {
+    valid: true,
+    errors,
+    projectDir,
+    framework,
+    config,
+    aliases: { ...DEFAULT_ALIASES, ...(config.aliases || {}) },
+    paths: readPathAliases(projectDir),
+  };
+}
+
+// The project `shadcn init` is expected to produce for a framework, for
+// describing where files will go before the project exists
+function plannedProject(projectDir, framework) {
+  const { importAlias, rsc } = FRAMEWORKS[framework];
+  const aliases = {};
+  for (const [key, alias] of Object.entries(DEFAULT_ALIASES)) {
+    aliases[key] = alias.replace(/^@\//, importAlias.prefix);
+  }
+  return {
+    valid: true,
+    errors: [],
+    projectDir,
+    framework,
+    config: { rsc },
+    aliases,
+    paths: [[importAlias.prefix, path.join(projectDir, importAlias.dir) + path.sep]],
+  };
+}
+
+// compilerOptions.paths from the first tsconfig that declares any, as
+// [prefix, target directory] pairs, e.g. ['@/', '<project>/src/']
+function readPathAliases(projectDir) {
+  for (const name of TSCONFIGS) {
+    const filePath = path.join(projectDir, name);
+    if (!fs.existsSync(filePath)) continue;
+
+    let compilerOptions;
+    try {
+      compilerOptions = readJson(filePath).compilerOptions || {};
+    } catch {
+      continue;
+    }
+    if (!compilerOptions.paths) continue;
+
+    const baseDir = path.resolve(projectDir, compilerOptions.baseUrl || '.');
+    return Object.entries(compilerOptions.paths)
+      .filter(([key, targets]) => key.endsWith('/*') && targets.length > 0)
+      .map(([key, targets]) => [key.slice(0, -1), path.join(baseDir, targets[0].replace(/\*$/, ''))]);
+  }
+
+  return [['@/', path.join(projectDir, 'src') + path.sep]];
+}
+
+// "@/components/ui" -> "<project>/src/components/ui"
+function resolveAlias(project, alias) {
+  for (const [prefix, target] of project.paths) {
+    if (alias.startsWith(prefix)) {
+      return path.join(target, alias.slice(prefix.length));
+    }
+  }
+  return path.join(project.projectDir, alias);
+}
+
+// ─── ITEM FILES ──────────────────────────────────────────────────────
+
+// Absolute path a registry file is written to in this project
+function targetPath(project, file) {
+  if (file.target) {
+    return path.join(project.projectDir, file.target.replace(/^~\//, ''));
+  }
+  const alias = project.aliases[FILE_TYPE_ALIASES[file.type] || 'components'];
+  return path.join(resolveAlias(project, alias), path.posix.basename(file.path));
+}
+
+// Starter files import through the default aliases ("@/components/ui/...");
+// point them at the project's own, e.g. "~/components/ui/..." in React Router.
+function rewriteDefaultAliases(project, content) {
+  const keys = Object.keys(DEFAULT_ALIASES).sort((a, b) => DEFAULT_ALIASES[b].length - DEFAULT_ALIASES[a].length);
+  return content.replace(/(["'])(@\/[^"']+)\1/g, (match, quote, specifier) => {
+    for (const key of keys) {
+      const alias = DEFAULT_ALIASES[key];
+      if (specifier === alias || specifier.startsWith(`${alias}/`)) {
+        return `${quote}${project.aliases[key]}${specifier.slice(alias.length)}${quote}`;
+      }
+    }
+    return match;
+  });
+}
+
+// Rewrite registry-internal imports to the project's aliases and drop the
+// "use client" directive for projects without React Server Components, the
+// same way `shadcn add` does.
+function transformContent(project, content) {
+  const { aliases } = project;
+  let result = content.replace(REGISTRY_IMPORT_PATTERN, (match, quote, section, rest) => {
+    if (section === 'lib' && rest === 'utils') return `${quote}${aliases.utils}${quote}`;
+    const alias = { ui: aliases.ui, hooks: aliases.hooks, lib: aliases.lib }[section] || aliases.components;
+    return `${quote}${alias}/${rest}${quote}`;
+  });
+
+  result = result.replace(/(["'])@\/lib\/utils\1/g, `$1${aliases.utils}$1`);
+
+  if (!project.config.rsc) {
+    result = result.replace(/^["']use client["'];?\s*\n/, '');
+  }
+
+  return result;
+}
+
+// For every file of every item: where it goes, what `shadcn add` would write
+// there, and whether the file on disk is missing, identical or different.
+function inspectItemFiles(project, items) {
+  const files = [];
+  for (const item of items) {
+    for (const file of item.files || []) {
+      const filePath = targetPath(project, file);
+      const expected = transformContent(project, file.content || '');
+      let status = 'missing';
+      if (fs.existsSync(filePath)) {
+        status = fs.readFileSync(filePath, 'utf8') === expected ? 'identical' : 'modified';
+      }
+      files.push({ item: item.name, path: filePath, expected, status });
+    }
+  }
+  return files;
+}
+
+// ─── SNAPSHOTS ───────────────────────────────────────────────────────
+
+function snapshotFiles(filePaths) {
+  const snapshot = new Map();
+  for (const filePath of filePaths) {
+    snapshot.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+  }
+  return snapshot;
+}
+
+// Compare a snapshot against the files' current contents
+function diffSnapshot(before, projectDir) {
+  const added = [];
+  const overwritten = [];
+  for (const [filePath, previous] of before) {
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const relPath = path.relative(projectDir, filePath);
+    if (previous === null && current !== null) added.push(relPath);
+    else if (previous !== null && current !== null && previous !== current) overwritten.push(relPath);
+  }
+  return { added, overwritten };
+}
+
+module.exports = {
+  parseJsonc,
+  readJson,
+  detectProject,
+  plannedProject,
+  resolveAlias,
+  targetPath,
+  transformContent,
+  rewriteDefaultAliases,
+  inspectItemFiles,
+  snapshotFiles,
+  diffSnapshot,
+};
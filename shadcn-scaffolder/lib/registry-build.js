@@ -0,0 +1,192 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { collectDependencies, parseDependencySpec } = require('./sources');
+
+const META_FILENAME = 'meta.json';
+
+// Source directory under registry/ -> item and file type
+const SECTION_TYPES = {
+  ui:         'registry:ui',
+  hooks:      'registry:hook',
+  lib:        'registry:lib',
+  components: 'registry:component',
+  blocks:     'registry:block',
+  themes:     'registry:theme',
+};
+
+// Types of the individual files inside a multi-file item
+const FILE_TYPES = {
+  'registry:block': 'registry:component',
+};
+
+const SOURCE_EXTENSIONS = new Set(['.ts', '.tsx', '.css', '.json']);
+
+// ─── SOURCE DISCOVERY ───────────────────────────────────────────────
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && SOURCE_EXTENSIONS.has(path.extname(entry.name)))
+    .map(entry => entry.name)
+    .sort();
+}
+
+// Every file directly inside a section is an item of its own; every
+// subdirectory is a single item made of all the files it contains.
+function discoverItems(registryDir) {
+  const items = [];
+
+  for (const [section, type] of Object.entries(SECTION_TYPES)) {
+    const sectionDir = path.join(registryDir, section);
+    if (!fs.existsSync(sectionDir)) continue;
+
+    for (const entry of fs.readdirSync(sectionDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        const files = listFiles(path.join(sectionDir, entry.name))
+          .map(name => path.posix.join(section, entry.name, name));
+        if (files.length > 0) {
+          items.push({ name: entry.name, type, files });
+        }
+      } else if (entry.isFile() && SOURCE_EXTENSIONS.has(path.extname(entry.name))) {
+        const name = path.basename(entry.name, path.extname(entry.name));
+        items.push({ name, type, files: [path.posix.join(section, entry.name)] });
+      }
+    }
+  }
+
+  return items.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+function loadMeta(registryDir) {
+  const metaPath = path.join(registryDir, META_FILENAME);
+  if (!fs.existsSync(metaPath)) return { items: {}, versions: {} };
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  return { items: {}, versions: {}, ...meta };
+}
+
+// ─── BUILD ───────────────────────────────────────────────────────────
+
+function withVersion(name, versions) {
+  return versions[name] ? `${name}@${versions[name]}` : name;
+}
+
+// A theme has no source files: its JSON file holds the item's title,
+// description and cssVars
+function buildTheme(registryDir, discovered, meta) {
+  const [relPath] = discovered.files;
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(path.join(registryDir, relPath), 'utf8'));
+  } catch (err) {
+    throw new Error(`${relPath} is not valid JSON: ${err.message}`);
+  }
+  return { name: discovered.name, type: discovered.type, ...definition, ...meta.items[discovered.name] };
+}
+
+function buildItem(registryDir, discovered, meta) {
+  if (discovered.type === 'registry:theme') return buildTheme(registryDir, discovered, meta);
+
+  const { dependencies: extraDependencies, registryDependencies: extraRegistryDependencies, ...extra } =
+    meta.items[discovered.name] || {};
+
+  const files = discovered.files.map(relPath => ({
+    path: relPath,
+    type: FILE_TYPES[discovered.type] || discovered.type,
+    content: fs.readFileSync(path.join(registryDir, relPath), 'utf8'),
+  }));
+
+  const collected = collectDependencies(files.map(file => file.content));
+
+  const dependencies = [...new Set([
+    ...collected.dependencies,
+    ...(extraDependencies || []).map(spec => parseDependencySpec(spec).name),
+  ])].map(name => withVersion(name, meta.versions));
+
+  const registryDependencies = [...new Set([
+    ...collected.registryDependencies.filter(name => name !== discovered.name),
+    ...(extraRegistryDependencies || []),
+  ])];
+
+  const item = { name: discovered.name, type: discovered.type };
+  if (extra.title) item.title = extra.title;
+  if (extra.description) item.description = extra.description;
+  if (dependencies.length > 0) item.dependencies = dependencies;
+  if (registryDependencies.length > 0) item.registryDependencies = registryDependencies;
+  item.files = files;
+
+  for (const [key, value] of Object.entries(extra)) {
+    if (!(key in item)) item[key] = value;
+  }
+
+  return item;
+}
+
+function buildRegistry(registryDir) {
+  const meta = loadMeta(registryDir);
+  const discovered = discoverItems(registryDir);
+
+  const unknown = Object.keys(meta.items).filter(name => !discovered.some(item => item.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`${META_FILENAME} describes items with no source files: ${unknown.join(', ')}`);
+  }
+
+  const registry = {};
+  for (const key of ['$schema', 'name', 'homepage']) {
+    if (meta[key]) registry[key] = meta[key];
+  }
+  registry.items = discovered.map(item => buildItem(registryDir, item, meta));
+  return registry;
+}
+
+function serializeRegistry(registry) {
+  return JSON.stringify(registry, null, 2) + '\n';
+}
+
+// ─── DRIFT DETECTION ────────────────────────────────────────────────
+
+// Compare two registries item by item; returns human-readable differences
+function diffRegistries(expected, actual) {
+  const differences = [];
+
+  for (const key of ['$schema', 'name', 'homepage']) {
+    if (expected[key] !== actual[key]) {
+      differences.push(`"${key}" is ${JSON.stringify(actual[key])}, expected ${JSON.stringify(expected[key])}`);
+    }
+  }
+
+  const actualItems = new Map((actual.items || []).map(item => [item.name, item]));
+  const expectedItems = new Map(expected.items.map(item => [item.name, item]));
+
+  for (const [name, item] of expectedItems) {
+    if (!actualItems.has(name)) {
+      differences.push(`${name}: missing from registry.json`);
+    } else if (JSON.stringify(actualItems.get(name)) !== JSON.stringify(item)) {
+      const actualItem = actualItems.get(name);
+      const fields = [...new Set([...Object.keys(item), ...Object.keys(actualItem)])]
+        .filter(key => JSON.stringify(item[key]) !== JSON.stringify(actualItem[key]));
+      differences.push(`${name}: ${fields.length > 0 ? fields.join(', ') : 'field order'} out of date`);
+    }
+  }
+
+  for (const name of actualItems.keys()) {
+    if (!expectedItems.has(name)) {
+      differences.push(`${name}: no longer has source files`);
+    }
+  }
+
+  const expectedOrder = expected.items.map(item => item.name).join(',');
+  const actualOrder = (actual.items || []).map(item => item.name).join(',');
+  if (differences.length === 0 && expectedOrder !== actualOrder) {
+    differences.push('items are not sorted by name');
+  }
+
+  return differences;
+}
+
+module.exports = {
+  META_FILENAME,
+  SECTION_TYPES,
+  discoverItems,
+  buildRegistry,
+  serializeRegistry,
+  diffRegistries,
+};
@@ -0,0 +1,247 @@
+const { parseImports, classifyImport, parseDependencySpec } = require('./sources');
+
+const REGISTRY_SCHEMA_URL = 'https://ui.shadcn.com/schema/registry.json';
+
+const ITEM_TYPES = new Set([
+  'registry:ui',
+  'registry:hook',
+  'registry:lib',
+  'registry:component',
+  'registry:block',
+  'registry:page',
+  'registry:file',
+  'registry:theme',
+  'registry:style',
+]);
+
+// Item types that carry no source files
+const FILELESS_TYPES = new Set(['registry:theme', 'registry:style']);
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// `- **name** — ...` bullets and `| `name` | ... |` table rows, looked for
+// under headings that mention components
+const DOC_SECTION_PATTERN = /component/i;
+const DOC_PATTERNS = [
+  /^\s*[-*]\s+\*\*([a-z][a-z0-9-]*)\*\*/gm,
+  /^\|\s*`([a-z][a-z0-9-]*)`\s*\|/gm,
+];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+// ─── CHECKS ──────────────────────────────────────────────────────────
+
+function checkSchema(registry, report) {
+  if (registry.$schema !== REGISTRY_SCHEMA_URL) {
+    report('error', 'schema', null, `"$schema" must be "${REGISTRY_SCHEMA_URL}", got ${JSON.stringify(registry.$schema)}`);
+  }
+  for (const key of ['name', 'homepage']) {
+    if (typeof registry[key] !== 'string' || registry[key].length === 0) {
+      report('error', 'schema', null, `"${key}" must be a non-empty string`);
+    }
+  }
+  if (!Array.isArray(registry.items)) {
+    report('error', 'schema', null, '"items" must be an array');
+    return false;
+  }
+
+  registry.items.forEach((item, index) => {
+    if (!isObject(item)) {
+      report('error', 'schema', `items[${index}]`, 'item must be an object');
+      return;
+    }
+
+    const label = typeof item.name === 'string' ? item.name : `items[${index}]`;
+
+    if (typeof item.name !== 'string' || !NAME_PATTERN.test(item.name)) {
+      report('error', 'schema', label, `invalid name ${JSON.stringify(item.name)}`);
+    }
+    if (!ITEM_TYPES.has(item.type)) {
+      report('error', 'type', label, `unknown item type ${JSON.stringify(item.type)}`);
+    }
+    for (const key of ['dependencies', 'devDependencies', 'registryDependencies']) {
+      if (item[key] !== undefined && !isStringArray(item[key])) {
+        report('error', 'schema', label, `"${key}" must be an array of strings`);
+      }
+    }
+
+    if (!Array.isArray(item.files)) {
+      if (!FILELESS_TYPES.has(item.type)) {
+        report('error', 'schema', label, '"files" must be an array');
+      }
+      return;
+    }
+    if (item.files.length === 0 && !FILELESS_TYPES.has(item.type)) {
+      report('error', 'schema', label, 'item has no files');
+    }
+    item.files.forEach((file, fileIndex) => {
+      const fileLabel = typeof file.path === 'string' ? file.path : `files[${fileIndex}]`;
+      if (typeof file.path !== 'string' || file.path.length === 0) {
+        report('error', 'schema', label, `${fileLabel}: "path" must be a non-empty string`);
+      }
+      if (!ITEM_TYPES.has(file.type)) {
+        report('error', 'type', label, `${fileLabel}: unknown file type ${JSON.stringify(file.type)}`);
+      }
+      if (typeof file.content !== 'string') {
+        report('error', 'schema', label, `${fileLabel}: "content" must be a string`);
+      }
+    });
+  });
+
+  return true;
+}
+
+function checkDuplicates(items, report) {
+  const seen = new Set();
+  for (const item of items) {
+    if (seen.has(item.name)) {
+      report('error', 'duplicate-name', item.name, `name "${item.name}" is used by more than one item`);
+    }
+    seen.add(item.name);
+  }
+}
+
+function checkImports(items, report) {
+  const names = new Set(items.map(item => item.name));
+
+  for (const item of items) {
+    if (!Array.isArray(item.files)) continue;
+
+    const declaredPackages = new Set(
+      (isStringArray(item.dependencies) ? item.dependencies : []).map(spec => parseDependencySpec(spec).name)
+    );
+    const declaredItems = new Set(isStringArray(item.registryDependencies) ? item.registryDependencies : []);
+    const importedPackages = new Set();
+    const importedItems = new Set();
+
+    for (const file of item.files) {
+      if (typeof file.content !== 'string') continue;
+
+      for (const { specifier } of parseImports(file.content)) {
+        const target = classifyImport(specifier);
+
+        if (target.kind === 'npm') {
+          importedPackages.add(target.name);
+          if (!declaredPackages.has(target.name)) {
+            report('error', 'undeclared-dependency', item.name,
+              `${file.path} imports "${specifier}" but "${target.name}" is not in dependencies`);
+          }
+        } else if (target.kind === 'registry') {
+          if (target.section === 'lib' && target.name === 'utils') continue;
+          importedItems.add(target.name);
+          if (!names.has(target.name)) {
+            report('error', 'unresolved-import', item.name,
+              `${file.path} imports "${specifier}" but no item named "${target.name}" exists`);
+          } else if (!declaredItems.has(target.name) && target.name !== item.name) {
+            report('error', 'undeclared-registry-dependency', item.name,
+              `${file.path} imports "${specifier}" but "${target.name}" is not in registryDependencies`);
+          }
+        }
+      }
+    }
+
+    for (const name of declaredPackages) {
+      if (!importedPackages.has(name)) {
+        report('warning', 'unused-dependency', item.name, `"${name}" is in dependencies but never imported`);
+      }
+    }
+
+    for (const name of declaredItems) {
+      // URLs and namespaced names point at other registries
+      if (/[/:@]/.test(name)) continue;
+      if (!names.has(name)) {
+        report('error', 'unresolved-registry-dependency', item.name,
+          `registryDependencies lists "${name}" but no such item exists`);
+      } else if (!importedItems.has(name)) {
+        report('warning', 'unused-registry-dependency', item.name,
+          `"${name}" is in registryDependencies but never imported`);
+      }
+    }
+  }
+}
+
+// Markdown text that sits under a heading (or sub-heading of one) matching
+// DOC_SECTION_PATTERN
+function componentSections(markdown) {
+  const headings = [];
+  const sections = [];
+  let current = [];
+  let inScope = false;
+
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (!heading) {
+      if (inScope) current.push(line);
+      continue;
+    }
+
+    if (inScope) sections.push(current.join('\n'));
+    current = [];
+
+    const level = heading[1].length;
+    while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+      headings.pop();
+    }
+    headings.push({ level, text: heading[2] });
+    inScope = headings.some(h => DOC_SECTION_PATTERN.test(h.text));
+  }
+
+  if (inScope) sections.push(current.join('\n'));
+  return sections.join('\n');
+}
+
+function checkDocumented(items, docs, report) {
+  const names = new Set(items.map(item => item.name));
+
+  for (const { file, content } of docs) {
+    const documented = new Set();
+    const sections = componentSections(content);
+    for (const pattern of DOC_PATTERNS) {
+      for (const match of sections.matchAll(pattern)) {
+        documented.add(match[1]);
+      }
+    }
+    for (const name of documented) {
+      if (!names.has(name)) {
+        report('error', 'documented-missing', name, `documented in ${file} but not in the registry`);
+      }
+    }
+  }
+}
+
+// ─── ENTRY POINT ─────────────────────────────────────────────────────
+
+// docs: [{ file, content }] of markdown files that advertise components
+function lintRegistry(registry, { docs = [] } = {}) {
+  const issues = [];
+  const report = (severity, rule, item, message) => {
+    issues.push({ severity, rule, item, message });
+  };
+
+  if (!isObject(registry)) {
+    report('error', 'schema', null, 'registry must be a JSON object');
+  } else if (checkSchema(registry, report)) {
+    const items = registry.items.filter(isObject);
+    checkDuplicates(items, report);
+    checkImports(items, report);
+    checkDocumented(items, docs, report);
+  }
+
+  return {
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    issues,
+  };
+}
+
+module.exports = {
+  REGISTRY_SCHEMA_URL,
+  ITEM_TYPES,
+  lintRegistry,
+};
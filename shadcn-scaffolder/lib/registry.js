@@ -0,0 +1,184 @@
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { fileURLToPath } = require('node:url');
+const { REGISTRY_URL, REGISTRY_ENV_VAR, TIMEOUTS, log } = require('./utils');
+
+const REGISTRY_FILENAME = 'registry.json';
+
+// ─── SOURCE RESOLUTION ──────────────────────────────────────────────
+
+// Precedence: --registry option, then environment variable, then default URL.
+// Local sources may be a registry.json file or a directory containing one.
+function resolveRegistrySource(input) {
+  const value = input || process.env[REGISTRY_ENV_VAR] || REGISTRY_URL;
+
+  if (/^https?:\/\//i.test(value)) {
+    return { kind: 'remote', location: value };
+  }
+
+  let filePath = path.resolve(value.startsWith('file://') ? fileURLToPath(value) : value);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, REGISTRY_FILENAME);
+  }
+
+  return { kind: 'local', location: filePath };
+}
+
+// ─── LOADING ─────────────────────────────────────────────────────────
+
+async function loadRegistry(source, timeout = TIMEOUTS.registryLoad) {
+  let raw;
+
+  if (source.kind === 'remote') {
+    let response;
+    try {
+      response = await fetch(source.location, { signal: AbortSignal.timeout(timeout) });
+    } catch (err) {
+      throw new Error(`Could not fetch registry ${source.location}: ${err.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Could not fetch registry ${source.location}: HTTP ${response.status}`);
+    }
+    raw = await response.text();
+  } else {
+    if (!fs.existsSync(source.location)) {
+      throw new Error(`Local registry not found: ${source.location}`);
+    }
+    raw = fs.readFileSync(source.location, 'utf8');
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Registry is not valid JSON: ${source.location} (${err.message})`);
+  }
+  if (!registry || !Array.isArray(registry.items)) {
+    throw new Error(`Registry has no "items" array: ${source.location}`);
+  }
+
+  return registry;
+}
+
+// ─── LOOKUP ──────────────────────────────────────────────────────────
+
+function findItem(registry, name) {
+  return registry.items.find(item => item.name === name) || null;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// Up to three registry names close to an unknown one, best match first
+function suggestNames(registry, name) {
+  const threshold = Math.max(2, Math.floor(name.length / 3));
+  return registry.items
+    .map(item => ({ name: item.name, distance: editDistance(name, item.name) }))
+    .filter(({ name: candidate, distance }) =>
+      distance <= threshold || candidate.startsWith(name) || name.startsWith(candidate))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ name: candidate }) => candidate);
+}
+
+// Requested names followed by everything they pull in through
+// registryDependencies. Dependencies that point at other registries (URLs,
+// namespaced names) are left for the shadcn CLI to resolve.
+function resolveDependencyClosure(registry, names) {
+  const resolved = [];
+  const seen = new Set();
+  const queue = [...names];
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    const item = findItem(registry, name);
+    if (!item) continue;
+    resolved.push(name);
+
+    for (const dependency of item.registryDependencies || []) {
+      if (!seen.has(dependency)) queue.push(dependency);
+    }
+  }
+
+  return resolved;
+}
+
+// ─── LOCAL SERVER ────────────────────────────────────────────────────
+
+// `shadcn add` only speaks HTTP, so local registries are served on loopback.
+// Besides the index itself, every item is exposed as /<name>.json.
+function serveRegistry(filePath) {
+  const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const items = new Map((registry.items || []).map(item => [item.name, item]));
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const name = path.posix.basename(pathname, '.json');
+
+    let body = null;
+    if (pathname === '/' || pathname === `/${REGISTRY_FILENAME}`) {
+      body = registry;
+    } else if (items.has(name)) {
+      body = { $schema: 'https://ui.shadcn.com/schema/registry-item.json', ...items.get(name) };
+    }
+
+    if (!body) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Not found: ${pathname}` }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      const url = `http://127.0.0.1:${port}/${REGISTRY_FILENAME}`;
+      log('INFO', `Serving local registry ${filePath} at ${url}`);
+      resolve({
+        url,
+        close: () => new Promise(done => server.close(() => done())),
+      });
+    });
+  });
+}
+
+async function openRegistry(source) {
+  if (source.kind === 'remote') {
+    return { url: source.location, close: async () => {} };
+  }
+  return serveRegistry(source.location);
+}
+
+module.exports = {
+  REGISTRY_FILENAME,
+  resolveRegistrySource,
+  loadRegistry,
+  findItem,
+  suggestNames,
+  resolveDependencyClosure,
+  serveRegistry,
+  openRegistry,
+};
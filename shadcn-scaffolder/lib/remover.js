@@ -0,0 +1,119 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { inspectItemFiles, readJson } = require('./project');
+const { parseImports, classifyImport, parseDependencySpec } = require('./sources');
+
+// `remove`: which installed items depend on the ones being removed, deleting
+// their files, and which npm packages nothing uses afterwards.
+
+// Source files scanned for imports of packages about to be pruned
+const SOURCE_FILE_PATTERN = /\.(?:[cm]?[jt]sx?)$/;
+const SKIPPED_DIRS = new Set(['node_modules', 'dist', 'build', 'out']);
+
+// ─── INSTALLED ITEMS ─────────────────────────────────────────────────
+
+// Items in the manifest, plus registry items whose files are all on disk
+// (installed before the manifest existed, or by the shadcn CLI)
+function installedItems(project, registry, manifest) {
+  const installed = new Set(Object.keys(manifest.items).filter(name => registry.items.some(item => item.name === name)));
+  for (const item of registry.items) {
+    const files = inspectItemFiles(project, [item]);
+    if (files.length > 0 && files.every(file => file.status !== 'missing')) {
+      installed.add(item.name);
+    }
+  }
+  return registry.items.filter(item => installed.has(item.name));
+}
+
+// name -> installed items listing it in registryDependencies
+function reverseDependencies(installed) {
+  const dependents = new Map();
+  for (const item of installed) {
+    for (const dependency of item.registryDependencies || []) {
+      if (!dependents.has(dependency)) dependents.set(dependency, []);
+      dependents.get(dependency).push(item.name);
+    }
+  }
+  return dependents;
+}
+
+// The items to remove for `targets`. Without `cascade`, targets that other
+// installed items still depend on are `blocked` (name -> dependents) and
+// nothing is removed; with it, those dependents are removed too, and theirs.
+function planRemoval(installed, targets, { cascade = false } = {}) {
+  const dependents = reverseDependencies(installed);
+  const remove = [...targets];
+  const blocked = {};
+
+  for (let i = 0; i < remove.length; i++) {
+    const users = (dependents.get(remove[i]) || []).filter(name => !remove.includes(name));
+    if (users.length === 0) continue;
+    if (cascade) remove.push(...users);
+    else blocked[remove[i]] = users;
+  }
+
+  if (Object.keys(blocked).length > 0) return { remove: [], blocked };
+  return { remove, blocked };
+}
+
+// ─── FILES ───────────────────────────────────────────────────────────
+
+// Deletes the items' files, except those another kept item also writes.
+// `edited` lists the deleted files that differed from the registry.
+function removeItemFiles(project, items, keptItems) {
+  const kept = new Set(inspectItemFiles(project, keptItems).map(file => file.path));
+  const removed = [];
+  const edited = [];
+
+  for (const file of inspectItemFiles(project, items)) {
+    if (file.status === 'missing' || kept.has(file.path)) continue;
+    const relPath = path.relative(project.projectDir, file.path);
+    fs.rmSync(file.path);
+    removed.push(relPath);
+    if (file.status === 'modified') edited.push(relPath);
+  }
+
+  return { removed, edited };
+}
+
+// ─── PACKAGES ────────────────────────────────────────────────────────
+
+// npm packages imported anywhere in the project's own sources
+function importedPackages(projectDir) {
+  const packages = new Set();
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRS.has(entry.name)) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (SOURCE_FILE_PATTERN.test(entry.name)) {
+        for (const { specifier } of parseImports(fs.readFileSync(entryPath, 'utf8'))) {
+          const target = classifyImport(specifier);
+          if (target.kind === 'npm' || target.kind === 'peer') packages.add(target.name);
+        }
+      }
+    }
+  };
+  walk(projectDir);
+  return packages;
+}
+
+// Dependencies of the removed items that package.json lists and that no
+// kept item or project source file uses. Run after the files are deleted.
+function unusedPackages(project, removedItems, keptItems) {
+  const pkg = readJson(path.join(project.projectDir, 'package.json'));
+  const listed = new Set(Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }));
+  const names = items => new Set(items.flatMap(item => (item.dependencies || []).map(spec => parseDependencySpec(spec).name)));
+
+  const stillNeeded = names(keptItems);
+  const imported = importedPackages(project.projectDir);
+  return [...names(removedItems)].filter(name => listed.has(name) && !stillNeeded.has(name) && !imported.has(name));
+}
+
+module.exports = {
+  installedItems,
+  planRemoval,
+  removeItemFiles,
+  unusedPackages,
+};
@@ -0,0 +1,778 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  STATE_FILENAME,
+  MANIFEST_FILENAME,
+  STARTERS_DIR,
+  MODE_TOGGLE,
+  REGISTRY_ENV_VAR,
+  log,
+  emit,
+  withRun,
+  runContext,
+  runAborted,
+  currentRun,
+} = require('./utils');
+const { PROJECT_NAME_PATTERN, validateTargetDir, validateInputs, validateComponents } = require('./validator');
+const { loadConfig, stepSettings } = require('./config');
+const { resolveRegistrySource, loadRegistry, findItem } = require('./registry');
+const { detectProject } = require('./project');
+const {
+  createInitialState,
+  saveState,
+  setStep,
+  updateStep,
+  setComponentStatus,
+  pendingComponents,
+  compareInputs,
+  removeState,
+  summarizeState,
+} = require('./state');
+const { acquireLock, lockFailure } = require('./lock');
+const { PACKAGE_MANAGER_NAMES, detectPackageManager, installCommand, formatCommand } = require('./package-manager');
+const { FRAMEWORK_NAMES, mapStarterFiles } = require('./frameworks');
+const { buildPlan } = require('./plan');
+const { deepVerify } = require('./deep-verify');
+const { recordItems } = require('./manifest');
+const { preflightChecks } = require('./doctor');
+const { BASE_COLORS, DEFAULT_THEME, parseRadius, loadTheme } = require('./theme');
+const executor = require('./executor');
+
+// The `create` run as a function: scaffold(options) validates, creates the
+// project step by step and resolves with a result instead of exiting. The
+// CLI is a wrapper that turns the result into output and an exit code.
+//
+// Options are those of the command line, camelCased (projectName, template,
+// components, targetDir, registry, framework, packageManager, installer,
+// verify, timeouts, retries, baseColor, radius, theme, modeToggle, dryRun,
+// retryFailed, reset, templatesFile), plus:
+//   onEvent(event)  - every event --json writes, as objects: `step` (status
+//                     running, done or failed), `component` (installed or
+//                     failed), `retry`, `warning`, `error`, `plan`, `summary`
+//   signal          - an AbortSignal. Aborting stops the running command and
+//                     saves the state, so the same options resume the run.
+//   executors       - replacements for lib/executor.js functions: the steps
+//                     (createProject, npmInstall, initShadcn,
+//                     installComponents, writeStarterFiles, verifyProject)
+//                     or runCommand, which every command goes through
+//   confirm(plan)   - asked before anything changes; false cancels the run
+//   log             - log(level, message) takes the log lines, or false
+//                     drops them; either way command output only goes to
+//                     the step log files
+
+const INSTALLERS = ['native', 'npx'];
+
+const VERIFY_LEVELS = ['basic', 'deep'];
+
+const EXECUTOR_NAMES = [
+  'runCommand',
+  'createProject',
+  'npmInstall',
+  'initShadcn',
+  'installComponents',
+  'writeStarterFiles',
+  'verifyProject',
+];
+
+// ─── RESULT ──────────────────────────────────────────────────────────
+
+// success    every step done and every component installed
+// completed  every step done; failed components can be retried
+// aborted    stopped by the signal, with the state saved for a resume
+// cancelled  confirm() declined the plan
+// errors     why the run could not start
+// plan       for dry runs and confirm()
+// summary    the `summary` event, once the run started
+function result(fields) {
+  return {
+    success: false,
+    completed: false,
+    aborted: false,
+    cancelled: false,
+    errors: [],
+    plan: null,
+    summary: null,
+    ...fields,
+  };
+}
+
+function finish(state) {
+  const summary = summarizeState(state);
+  emit('summary', summary);
+  return result({
+    success: summary.success,
+    completed: Object.values(state.steps).every(status => status === 'done'),
+    summary,
+  });
+}
+
+// The run cannot start: `errors` have been logged
+function refuse(errors) {
+  return result({ errors });
+}
+
+function abortReason() {
+  const { signal } = currentRun();
+  return signal.reason instanceof Error ? signal.reason.message : 'Aborted';
+}
+
+// Saves an aborted run as it stands; steps that were running count as
+// failed, so the next run repeats them
+function interrupt(state, projectPath) {
+  if (!state) return result({ aborted: true });
+  state.error = abortReason();
+  for (const key of Object.keys(state.steps)) {
+    if (state.steps[key] === 'running') {
+      setStep(state, key, 'failed');
+    }
+  }
+  try {
+    saveState(projectPath, state);
+    log('INFO', 'State saved. Re-run the same command to resume.');
+  } catch {
+    // The project directory does not exist yet; there is nothing to resume
+  }
+  return result({ aborted: true, summary: summarizeState(state) });
+}
+
+// ─── OPTIONS ─────────────────────────────────────────────────────────
+
+// `executorNames` are the executors the caller can replace
+function optionErrors(options, executorNames = EXECUTOR_NAMES) {
+  const errors = [];
+  const oneOf = (name, value, allowed) => {
+    if (value !== undefined && !allowed.includes(value)) {
+      errors.push(`${name} must be one of: ${allowed.join(', ')}`);
+    }
+  };
+  oneOf('installer', options.installer, INSTALLERS);
+  oneOf('packageManager', options.packageManager, PACKAGE_MANAGER_NAMES);
+  oneOf('framework', options.framework, FRAMEWORK_NAMES);
+  oneOf('verify', options.verify, VERIFY_LEVELS);
+  oneOf('baseColor', options.baseColor, BASE_COLORS);
+  if (options.radius !== undefined && parseRadius(String(options.radius)) === null) {
+    errors.push(`radius: "${options.radius}" is not a length such as 0.5rem or 8px`);
+  }
+  const unknown = Object.keys(options.executors || {}).filter(name => !executorNames.includes(name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown executors: ${unknown.join(', ')}. Known: ${executorNames.join(', ')}`);
+  }
+  return errors;
+}
+
+// ─── THEME ───────────────────────────────────────────────────────────
+
+// The theme options requested, with `theme` loaded. Unset options stay
+// undefined; see compareInputs.
+function requestedTheme(options, registry) {
+  const item = options.theme !== undefined ? loadTheme(options.theme, registry) : {};
+  return {
+    baseColor: options.baseColor,
+    radius: options.radius === undefined ? undefined : parseRadius(String(options.radius)),
+    name: item.name,
+    cssVars: item.cssVars,
+    modeToggle: options.modeToggle,
+  };
+}
+
+// ─── MANIFEST ────────────────────────────────────────────────────────
+
+// Records the installed components that match the registry, as the base
+// for `update`. A manifest that cannot be written only costs that.
+function recordManifest(projectPath, registry, names, registryLocation) {
+  const project = detectProject(projectPath);
+  if (!project.valid || names.length === 0) return;
+  try {
+    const recorded = recordItems(project, names.map(name => findItem(registry, name)).filter(Boolean), registryLocation);
+    if (recorded.length > 0) {
+      log('INFO', `Recorded ${recorded.length} component(s) in ${MANIFEST_FILENAME}`);
+    }
+  } catch (err) {
+    log('WARN', `Could not update ${MANIFEST_FILENAME}: ${err.message}`);
+  }
+}
+
+// ─── STEP FAILURES ───────────────────────────────────────────────────
+
+// Records the known causes of a failed step in the state, with the log
+// file holding the command output
+function recordDiagnoses(state, step, diagnoses, logFile) {
+  state.diagnostics = [
+    ...(state.diagnostics || []),
+    ...diagnoses.map(diagnosis => ({ step, ...diagnosis, logFile })),
+  ];
+}
+
+// Reports a blocking step failure. Recognized failures get their specific
+// remediation instead of the generic `hints`. A fresh project is removed
+// (`removeProject`), keeping its logs in a temporary directory.
+function failStep(state, projectPath, step, stepResult, { hints = [], removeProject = false } = {}) {
+  let logFile = stepResult.logFile || null;
+  if (removeProject) {
+    const logDir = executor.cleanup(projectPath, { keepLogs: true });
+    if (logDir && logFile && logFile.startsWith(projectPath)) {
+      logFile = path.join(logDir, path.basename(logFile));
+    }
+  }
+
+  const diagnoses = stepResult.diagnoses || [];
+  recordDiagnoses(state, step, diagnoses, logFile);
+
+  log('ERROR', `BLOCKING: ${stepResult.error}`);
+  for (const diagnosis of diagnoses) {
+    log('ERROR', `  -> ${diagnosis.title}: ${diagnosis.remediation}`);
+  }
+  if (diagnoses.length === 0) {
+    for (const hint of hints) {
+      log('ERROR', `  -> ${hint}`);
+    }
+  }
+  if (logFile) {
+    log('ERROR', `  -> Full output: ${logFile}`);
+  }
+
+  if (fs.existsSync(projectPath)) {
+    updateStep(state, projectPath, step, 'failed', { error: stepResult.error });
+  } else {
+    setStep(state, step, 'failed', { error: stepResult.error });
+  }
+  return finish(state);
+}
+
+// ─── DEEP VERIFICATION ───────────────────────────────────────────────
+
+// [component or null, problems] in first-seen order
+function groupProblems(problems) {
+  const groups = new Map();
+  for (const problem of problems) {
+    if (!groups.has(problem.component)) groups.set(problem.component, []);
+    groups.get(problem.component).push(problem);
+  }
+  return [...groups];
+}
+
+// Runs --verify=deep for `components` and records its problems and known
+// failure causes in the state. Returns the problems.
+async function runDeepVerification(state, projectPath, registry, components, { packageManager, timeouts }) {
+  const project = detectProject(projectPath);
+  if (!project.valid) {
+    state.verificationProblems = project.errors.map(message => ({ component: null, check: 'project', message }));
+  } else {
+    const items = components.map(name => findItem(registry, name)).filter(Boolean);
+    const verified = await deepVerify(project, items, { packageManager, timeouts });
+    state.verificationProblems = verified.problems;
+    if (verified.problems.length > 0) {
+      recordDiagnoses(state, 'verification', verified.diagnoses, verified.logFile);
+    }
+  }
+
+  for (const [component, entries] of groupProblems(state.verificationProblems)) {
+    for (const problem of entries) {
+      log('ERROR', `  ${component || 'project'}: ${problem.check}: ${problem.message}`);
+    }
+  }
+  if (state.verificationProblems.length === 0) {
+    log('SUCCESS', 'Deep verification passed.');
+  }
+  return state.verificationProblems;
+}
+
+// ─── SCAFFOLD ────────────────────────────────────────────────────────
+
+function scaffold(options = {}) {
+  const { executors = {} } = options;
+  return withRun(runContext(options), async () => {
+    const errors = optionErrors(options);
+    if (errors.length > 0) {
+      for (const err of errors) {
+        log('ERROR', err);
+      }
+      return refuse(errors);
+    }
+
+    const locks = [];
+    try {
+      return await runScaffold(options, { ...executor, ...executors }, (projectPath, lockOptions) => {
+        const lock = acquireLock(projectPath, lockOptions);
+        if (lock.acquired) locks.push(lock);
+        return lock;
+      });
+    } finally {
+      for (const lock of locks) lock.release();
+    }
+  });
+}
+
+// `lockProject(projectPath, options)` takes a project lock (see acquireLock),
+// released by scaffold()
+async function runScaffold(options, steps, lockProject) {
+  const {
+    projectName,
+    template = 'minimal',
+    components = [],
+    targetDir = process.cwd(),
+    installer = 'native',
+    verify = 'basic',
+    dryRun = false,
+    retryFailed = false,
+    reset = false,
+    confirm,
+  } = options;
+  const registrySource = resolveRegistrySource(options.registry);
+
+  // Step 2: Validate
+  const templateConfig = loadConfig({ file: options.templatesFile });
+  if (templateConfig.errors.length > 0) {
+    log('ERROR', 'Invalid configuration:');
+    for (const err of templateConfig.errors) {
+      log('ERROR', `  ${err}`);
+    }
+    return refuse(templateConfig.errors);
+  }
+  const { templates } = templateConfig;
+  for (const file of templateConfig.files) {
+    log('INFO', `Loaded configuration from ${file}`);
+  }
+  const { timeouts, retries } = stepSettings(templateConfig, options);
+
+  log('INFO', `Loading registry ${registrySource.location}...`);
+  let registry;
+  try {
+    registry = await loadRegistry(registrySource, timeouts.registryLoad);
+  } catch (err) {
+    log('ERROR', err.message);
+    log('ERROR', `  -> Check the --registry option or $${REGISTRY_ENV_VAR}`);
+    return refuse([err.message]);
+  }
+  if (runAborted()) return interrupt(null);
+
+  // Only one run per project directory; a dry run changes nothing. Invalid
+  // names and target directories are not locked: validateInputs below
+  // reports them.
+  const lockable = !dryRun && PROJECT_NAME_PATTERN.test(projectName) && !validateTargetDir(targetDir);
+  if (lockable) {
+    const lock = lockProject(path.join(targetDir, projectName));
+    if (!lock.acquired) {
+      const [error, hint] = lockFailure(lock, path.join(targetDir, projectName));
+      log('ERROR', error);
+      log('ERROR', `  -> ${hint}`);
+      return refuse([error]);
+    }
+  }
+
+  // Only directories with a state file were created by the scaffolder and
+  // are safe to remove
+  if (reset && lockable) {
+    const resetPath = path.join(targetDir, projectName);
+    if (fs.existsSync(path.join(resetPath, STATE_FILENAME))) {
+      // The lock is inside the directory: hold one next to it first
+      const lock = lockProject(resetPath, { outside: true });
+      if (!lock.acquired) {
+        const [error, hint] = lockFailure(lock, resetPath);
+        log('ERROR', error);
+        log('ERROR', `  -> ${hint}`);
+        return refuse([error]);
+      }
+      log('WARN', `--reset: removing ${resetPath} and its saved state`);
+      executor.cleanup(resetPath);
+    } else {
+      log('INFO', '--reset: no saved state to discard');
+    }
+  }
+
+  log('INFO', `Validating inputs for project "${projectName}"...`);
+
+  const validation = validateInputs({ projectName, template, components, targetDir, registry, templates });
+
+  if (!validation.valid) {
+    for (const err of validation.errors) {
+      log('ERROR', err);
+    }
+    return refuse(validation.errors);
+  }
+
+  const { projectPath, requestedComponents } = validation;
+  // A dry run with --reset plans a fresh run without touching the old one
+  const existingState = reset ? null : validation.existingState;
+
+  // A resumed run keeps the theme it was started with
+  let themeOptions;
+  try {
+    themeOptions = requestedTheme(options, registry);
+  } catch (err) {
+    log('ERROR', err.message);
+    return refuse([err.message]);
+  }
+  const theme = existingState
+    ? { ...DEFAULT_THEME, ...existingState.theme }
+    : {
+      ...DEFAULT_THEME,
+      ...Object.fromEntries(Object.entries(themeOptions).filter(([, value]) => value !== undefined)),
+    };
+
+  // Components the mode toggle needs on top of the resolved ones, in order
+  let resolvedComponents = validation.resolvedComponents;
+  if (theme.modeToggle) {
+    const modeToggle = validateComponents(MODE_TOGGLE.components, registry, { limit: Infinity });
+    if (modeToggle.errors.length > 0) {
+      for (const err of modeToggle.errors) {
+        log('ERROR', `--mode-toggle: ${err}`);
+      }
+      return refuse(modeToggle.errors.map(err => `--mode-toggle: ${err}`));
+    }
+    resolvedComponents = [...new Set([...resolvedComponents, ...modeToggle.resolvedComponents])];
+  }
+
+  const addedDependencies = validation.resolvedComponents.filter(name => !requestedComponents.includes(name));
+  const modeToggleComponents = resolvedComponents.filter(name => !validation.resolvedComponents.includes(name));
+  log('INFO', `Resolved ${resolvedComponents.length} component(s): ${resolvedComponents.join(', ')}`);
+  if (addedDependencies.length > 0) {
+    log('INFO', `  Including registry dependencies: ${addedDependencies.join(', ')}`);
+  }
+  if (modeToggleComponents.length > 0) {
+    log('INFO', `  Including for --mode-toggle: ${modeToggleComponents.join(', ')}`);
+  }
+
+  // A resumed run must be the same run: a different template or component
+  // list would otherwise resume silently with the saved one
+  if (existingState) {
+    const differences = compareInputs(existingState, {
+      template,
+      framework: options.framework,
+      requestedComponents,
+      components: resolvedComponents,
+      theme: themeOptions,
+    });
+    if (differences.length > 0) {
+      log('ERROR', `${projectPath} has a saved run with different inputs:`);
+      for (const difference of differences) {
+        log('ERROR', `  ${difference}`);
+      }
+      log('ERROR', '  -> Re-run with the original options to resume, or add --reset to start over.');
+      return refuse(differences);
+    }
+  }
+  if (retryFailed && !existingState) {
+    const error = `--retry-failed: no saved run in ${projectPath}`;
+    log('ERROR', error);
+    return refuse([error]);
+  }
+
+  const framework = existingState ? existingState.framework : options.framework || 'vite';
+
+  // A resumed run keeps the package manager its lockfile was created with
+  // unless one is passed explicitly
+  const packageManager = options.packageManager || !existingState || !existingState.packageManager
+    ? detectPackageManager({ requested: options.packageManager, cwd: targetDir })
+    : { name: existingState.packageManager, reason: 'saved state' };
+  log('INFO', `Using ${packageManager.name} (${packageManager.reason})`);
+  const pm = packageManager.name;
+
+  const modeToggleFiles = Object.fromEntries(Object.entries(MODE_TOGGLE.files)
+    .map(([dest, source]) => [dest, path.join(STARTERS_DIR, source)]));
+  const starterFiles = existingState
+    ? existingState.starterFiles || {}
+    : mapStarterFiles(framework, {
+      ...(templates[template] ? templates[template].files : {}),
+      ...(theme.modeToggle ? modeToggleFiles : {}),
+    });
+  const packages = existingState
+    ? existingState.packages || []
+    : [...new Set([
+      ...(templates[template] ? templates[template].packages : []),
+      ...(theme.modeToggle ? MODE_TOGGLE.packages : []),
+    ])];
+
+  if (dryRun || confirm) {
+    const plan = buildPlan({
+      projectName,
+      projectPath,
+      targetDir,
+      template,
+      framework,
+      packageManager: pm,
+      installer,
+      registry,
+      registrySource,
+      requestedComponents,
+      components: existingState ? existingState.components : resolvedComponents,
+      packages,
+      starterFiles,
+      steps: existingState ? existingState.steps : {},
+      timeouts,
+      retries,
+      verify,
+      theme,
+    });
+    emit('plan', { plan });
+    if (dryRun) {
+      return result({ success: true, plan });
+    }
+    if (!(await confirm(plan))) {
+      return result({ cancelled: true, plan });
+    }
+  }
+
+  // The quick `doctor` checks, so a full disk or an npx cache owned by root
+  // stops the run before step 4a rather than halfway through an install
+  const preflight = preflightChecks({ targetDir, packageManager: pm });
+  for (const check of preflight.filter(c => c.status === 'warn')) {
+    log('WARN', `${check.title}: ${check.message}`);
+  }
+  const blockers = preflight.filter(c => c.status === 'fail');
+  if (blockers.length > 0) {
+    for (const check of blockers) {
+      log('ERROR', `${check.title}: ${check.message}`);
+      log('ERROR', `  -> ${check.hint}`);
+    }
+    return refuse(blockers.map(check => `${check.title}: ${check.message}`));
+  }
+
+  // Step 3: Create or load state
+  let state;
+
+  if (existingState) {
+    state = existingState;
+    state.freshCreation = false;
+    log('INFO', 'Resuming from previous state...');
+
+    if (retryFailed) {
+      const failed = state.failedComponents;
+      if (failed.length === 0) {
+        log('INFO', 'No failed components to retry.');
+      } else {
+        log('INFO', `Retrying ${failed.length} failed component(s): ${failed.join(', ')}`);
+        setComponentStatus(state, failed, 'pending');
+        state.steps.componentInstall = 'pending';
+        state.steps.verification = 'pending';
+        state.error = null;
+      }
+    }
+
+    for (const [step, status] of Object.entries(state.steps)) {
+      if (status === 'done') {
+        log('INFO', `  Skipping ${step} (already completed)`);
+      }
+    }
+  } else {
+    state = createInitialState({
+      projectName,
+      projectPath,
+      template,
+      requestedComponents,
+      components: resolvedComponents,
+      packages,
+      starterFiles,
+      registry: registrySource.location,
+      framework,
+      theme,
+    });
+  }
+
+  // Record the registry and package manager used by this run, which may
+  // differ from the ones a resumed run started with
+  state.registry = registrySource.location;
+  state.packageManager = pm;
+
+  // Step 4a: Create project
+  if (state.steps.viteCreate !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    // Cannot save state yet — project dir doesn't exist
+    setStep(state, 'viteCreate', 'running');
+    const createResult = await steps.createProject(projectName, targetDir, {
+      framework,
+      packageManager: pm,
+      timeout: timeouts.viteCreate,
+      retries: retries.viteCreate,
+    });
+    if (runAborted()) return interrupt(state, projectPath);
+
+    if (!createResult.success) {
+      return failStep(state, projectPath, 'viteCreate', createResult, {
+        hints: [
+          `Check ${pm} installation: ${pm} --version`,
+          `Manual fallback: ${formatCommand(executor.createCommand(projectName, { framework, packageManager: pm }))}`,
+        ],
+        removeProject: true,
+      });
+    }
+
+    // Project dir now exists — save state for the first time
+    updateStep(state, projectPath, 'viteCreate', 'done');
+  }
+
+  // Step 4b: npm install
+  if (state.steps.npmInstall !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    updateStep(state, projectPath, 'npmInstall', 'running');
+
+    const npmResult = await steps.npmInstall(projectPath, state.packages || [], {
+      packageManager: pm,
+      timeout: timeouts.npmInstall,
+      retries: retries.npmInstall,
+    });
+    if (runAborted()) return interrupt(state, projectPath);
+
+    if (!npmResult.success) {
+      return failStep(state, projectPath, 'npmInstall', npmResult, {
+        hints: [`Try manually: cd ${projectPath} && ${formatCommand(installCommand(pm, state.packages || []))}`],
+        removeProject: state.freshCreation,
+      });
+    }
+
+    updateStep(state, projectPath, 'npmInstall', 'done');
+  }
+
+  // Step 4c: shadcn init
+  if (state.steps.shadcnInit !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    updateStep(state, projectPath, 'shadcnInit', 'running');
+
+    const initResult = await steps.initShadcn(projectPath, {
+      packageManager: pm,
+      theme,
+      timeout: timeouts.shadcnInit,
+      retries: retries.shadcnInit,
+    });
+    if (runAborted()) return interrupt(state, projectPath);
+
+    if (!initResult.success) {
+      return failStep(state, projectPath, 'shadcnInit', initResult, {
+        hints: [`Try manually: ${formatCommand(executor.initCommand(projectPath, { packageManager: pm, baseColor: theme.baseColor }))}`],
+        removeProject: state.freshCreation,
+      });
+    }
+
+    updateStep(state, projectPath, 'shadcnInit', 'done');
+  }
+
+  // Step 4d: Install components
+  if (state.steps.componentInstall !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    updateStep(state, projectPath, 'componentInstall', 'running');
+
+    // Components installed by an earlier attempt are not installed again
+    const toInstall = pendingComponents(state);
+    if (toInstall.length < state.components.length) {
+      log('INFO', `Skipping ${state.components.length - toInstall.length} component(s) already installed or failed`);
+    }
+
+    const installResult = await steps.installComponents(projectPath, toInstall, {
+      registrySource,
+      registry,
+      installer,
+      packageManager: pm,
+      timeout: timeouts.componentInstall,
+      individualTimeout: timeouts.individualInstall,
+      retries: retries.componentInstall,
+      onComponent: (name, status) => {
+        setComponentStatus(state, [name], status);
+        saveState(projectPath, state);
+      },
+    });
+    if (runAborted()) return interrupt(state, projectPath);
+
+    recordDiagnoses(state, 'componentInstall', installResult.diagnoses, installResult.logFile);
+    recordManifest(projectPath, registry, state.installedComponents, registrySource.location);
+    updateStep(state, projectPath, 'componentInstall', 'done', {
+      installTimings: installResult.timings,
+    });
+
+    if (installResult.failed.length > 0) {
+      log('WARN', `${installResult.failed.length} component(s) failed to install.`);
+    }
+  }
+
+  // Step 4e: Starter files
+  if (state.steps.starterFiles !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    updateStep(state, projectPath, 'starterFiles', 'running');
+
+    const starterResult = await steps.writeStarterFiles(projectPath, state.starterFiles || {}, {
+      themeProvider: theme.modeToggle,
+    });
+
+    if (!starterResult.success) {
+      log('ERROR', `BLOCKING: ${starterResult.error}`);
+      updateStep(state, projectPath, 'starterFiles', 'failed', { error: starterResult.error });
+      return finish(state);
+    }
+
+    updateStep(state, projectPath, 'starterFiles', 'done');
+  }
+
+  // Step 4f: Verify
+  if (state.steps.verification !== 'done') {
+    if (runAborted()) return interrupt(state, projectPath);
+    updateStep(state, projectPath, 'verification', 'running');
+    state.verificationProblems = [];
+    log('INFO', 'Verifying project structure...');
+
+    const verifyResult = await steps.verifyProject(
+      projectPath,
+      state.installedComponents,
+      registry,
+      Object.keys(state.starterFiles || {}),
+      framework
+    );
+
+    if (!verifyResult.valid) {
+      log('ERROR', 'BLOCKING: Project structure verification failed.');
+      for (const item of verifyResult.missing) {
+        log('ERROR', `  Missing: ${item}`);
+      }
+      updateStep(state, projectPath, 'verification', 'failed', {
+        error: `Verification failed. Missing: ${verifyResult.missing.join(', ')}`,
+      });
+      return finish(state);
+    }
+
+    for (const warning of verifyResult.warnings) {
+      log('WARN', warning);
+    }
+
+    if (verify === 'deep') {
+      const problems = await runDeepVerification(state, projectPath, registry, state.installedComponents, {
+        packageManager: pm,
+        timeouts,
+      });
+      if (runAborted()) return interrupt(state, projectPath);
+      if (problems.length > 0) {
+        log('ERROR', `BLOCKING: Deep verification found ${problems.length} problem(s).`);
+        log('ERROR', '  -> Fix them and re-run the same command to verify again');
+        updateStep(state, projectPath, 'verification', 'failed', {
+          error: `Deep verification found ${problems.length} problem(s)`,
+        });
+        return finish(state);
+      }
+    }
+
+    updateStep(state, projectPath, 'verification', 'done');
+  }
+
+  // Step 5: Success. The state is kept while components are still failing so
+  // that --retry-failed can pick them up.
+  if (state.failedComponents.length > 0) {
+    log('WARN', 'Project created with some component installation failures.');
+    log('WARN', '  -> Retry them with the same command plus --retry-failed');
+    log('WARN', `  -> Install output: ${executor.stepLogFile(projectPath, 'componentInstall')}`);
+    saveState(projectPath, state);
+  } else {
+    log('SUCCESS', 'Project scaffolded successfully!');
+    removeState(projectPath);
+    executor.removeLogs(projectPath);
+  }
+
+  return finish(state);
+}
+
+module.exports = {
+  INSTALLERS,
+  VERIFY_LEVELS,
+  scaffold,
+  optionErrors,
+  recordManifest,
+  recordDiagnoses,
+  groupProblems,
+  runDeepVerification,
+};
@@ -0,0 +1,85 @@
+// ─── IMPORT PARSING ─────────────────────────────────────────────────
+
+// Matches static `import ... from "x"`, `export ... from "x"`, side-effect
+// `import "x"` and dynamic `import("x")`. Registry sources are formatted by
+// prettier, so a statement-level regex is sufficient here.
+const IMPORT_PATTERN =
+  /(?:^|\n)\s*(import|export)\s+(type\s+)?([\w*{}\s,$]+?)\s+from\s+["']([^"']+)["']|(?:^|\n)\s*import\s+["']([^"']+)["']|\bimport\(\s*["']([^"']+)["']\s*\)/g;
+
+const REGISTRY_IMPORT_PATTERN = /^@\/registry\/[^/]+\/(ui|hooks|lib|components|blocks)\/([^/]+)$/;
+
+// Provided by the React runtime the project already has
+const PEER_PACKAGES = new Set(['react', 'react-dom']);
+
+function parseImports(source) {
+  const imports = [];
+  for (const match of source.matchAll(IMPORT_PATTERN)) {
+    const specifier = match[4] || match[5] || match[6];
+    imports.push({ specifier, typeOnly: Boolean(match[2]) });
+  }
+  return imports;
+}
+
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+// Returns one of:
+//   { kind: 'registry', section, name }  @/registry/<style>/ui/button
+//   { kind: 'alias' }                    @/lib/utils, ~/components/...
+//   { kind: 'relative' }                 ./foo
+//   { kind: 'builtin' }                  node:fs
+//   { kind: 'peer', name }               react
+//   { kind: 'npm', name }                lucide-react, @radix-ui/react-slot/x
+function classifyImport(specifier) {
+  const registryMatch = specifier.match(REGISTRY_IMPORT_PATTERN);
+  if (registryMatch) {
+    return { kind: 'registry', section: registryMatch[1], name: registryMatch[2] };
+  }
+  if (specifier.startsWith('@/') || specifier.startsWith('~/')) return { kind: 'alias' };
+  if (specifier.startsWith('.')) return { kind: 'relative' };
+  if (specifier.startsWith('node:')) return { kind: 'builtin' };
+
+  const name = packageName(specifier);
+  return { kind: PEER_PACKAGES.has(name) ? 'peer' : 'npm', name };
+}
+
+// Collect the npm packages and registry items a set of sources depends on,
+// in order of first appearance. `lib/utils` is installed by `shadcn init`
+// and is therefore not a registry dependency.
+function collectDependencies(sources) {
+  const dependencies = new Set();
+  const registryDependencies = new Set();
+
+  for (const source of sources) {
+    for (const { specifier } of parseImports(source)) {
+      const target = classifyImport(specifier);
+      if (target.kind === 'npm') {
+        dependencies.add(target.name);
+      } else if (target.kind === 'registry' && !(target.section === 'lib' && target.name === 'utils')) {
+        registryDependencies.add(target.name);
+      }
+    }
+  }
+
+  return {
+    dependencies: [...dependencies],
+    registryDependencies: [...registryDependencies],
+  };
+}
+
+// "recharts@2.15.4" -> { name: "recharts", version: "2.15.4" }
+function parseDependencySpec(spec) {
+  const at = spec.indexOf('@', 1);
+  if (at === -1) return { name: spec, version: null };
+  return { name: spec.slice(0, at), version: spec.slice(at + 1) };
+}
+
+module.exports = {
+  parseImports,
+  packageName,
+  classifyImport,
+  collectDependencies,
+  parseDependencySpec,
+};
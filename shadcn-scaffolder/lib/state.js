@@ -1,18 +1,40 @@
 const fs = require('node:fs');
 const path = require('node:path');
-const { STATE_FILENAME } = require('./utils');
+const { REGISTRY_URL, STATE_FILENAME, emit } = require('./utils');
+const { DEFAULT_THEME, describeTheme } = require('./theme');
+
+const STATE_VERSION = 2;
 
 function stateFilePath(projectPath) {
   return path.join(projectPath, STATE_FILENAME);
 }
 
-function createInitialState({ projectName, projectPath, template, components }) {
+function createInitialState({
+  projectName,
+  projectPath,
+  template,
+  requestedComponents,
+  components,
+  packages = [],
+  starterFiles = {},
+  registry,
+  packageManager = 'npm',
+  framework = 'vite',
+  theme = DEFAULT_THEME,
+}) {
   return {
-    version: 1,
+    version: STATE_VERSION,
     projectName,
     projectPath,
     template,
+    requestedComponents,
     components,
+    packages,
+    starterFiles,
+    registry,
+    packageManager,
+    framework,
+    theme,
     startedAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     freshCreation: true,
@@ -21,19 +43,71 @@ function createInitialState({ projectName, projectPath, template, components })
       npmInstall: 'pending',
       shadcnInit: 'pending',
       componentInstall: 'pending',
+      starterFiles: 'pending',
       verification: 'pending',
     },
+    componentStatus: Object.fromEntries(components.map(name => [name, 'pending'])),
     installedComponents: [],
     failedComponents: [],
+    diagnostics: [],
     error: null,
   };
 }
 
+// ─── MIGRATIONS ──────────────────────────────────────────────────────
+
+// MIGRATIONS[n] upgrades a version-n state to version n + 1
+const MIGRATIONS = {
+  // v2: per-component status. v1 files may also predate the framework,
+  // package manager and starter file fields, the starter files step and the
+  // components as requested, before their dependencies were added.
+  1: (state) => {
+    const { verification = 'pending', ...steps } = state.steps;
+    const installed = state.installedComponents || [];
+    const failed = state.failedComponents || [];
+    return {
+      framework: 'vite',
+      packageManager: 'npm',
+      packages: [],
+      starterFiles: {},
+      ...state,
+      version: 2,
+      requestedComponents: state.requestedComponents ?? state.components,
+      steps: { ...steps, starterFiles: steps.starterFiles || 'pending', verification },
+      installedComponents: installed,
+      failedComponents: failed,
+      componentStatus: Object.fromEntries(state.components.map(name => [
+        name,
+        installed.includes(name) ? 'installed'
+          : failed.includes(name) ? 'failed'
+          : 'pending',
+      ])),
+    };
+  },
+};
+
+function migrateState(state) {
+  let current = state;
+  while (current.version < STATE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) {
+      throw new Error(`Unsupported state file version ${current.version}`);
+    }
+    current = migrate(current);
+  }
+  if (current.version > STATE_VERSION) {
+    throw new Error(`State file version ${current.version} is newer than this scaffolder supports (${STATE_VERSION})`);
+  }
+  return current;
+}
+
+// ─── PERSISTENCE ─────────────────────────────────────────────────────
+
 function loadState(projectPath) {
   const filePath = stateFilePath(projectPath);
   if (!fs.existsSync(filePath)) return null;
   const raw = fs.readFileSync(filePath, 'utf8');
-  return JSON.parse(raw);
+  return migrateState(JSON.parse(raw));
 }
 
 function saveState(projectPath, state) {
@@ -44,15 +118,93 @@ function saveState(projectPath, state) {
   fs.renameSync(tmpPath, filePath);
 }
 
-function updateStep(state, projectPath, stepName, status, extra) {
+// ─── TRANSITIONS ─────────────────────────────────────────────────────
+
+// Step transitions without persisting, for runs that have no state file
+// (yet): `add`, or a project whose directory was never created
+function setStep(state, stepName, status, extra) {
   state.steps[stepName] = status;
   if (extra) {
     Object.assign(state, extra);
   }
+
+  // Step durations in ms, measured from the step's last "running" transition
+  state.stepStartedAt = state.stepStartedAt || {};
+  state.durations = state.durations || {};
+  if (status === 'running') {
+    state.stepStartedAt[stepName] = new Date().toISOString();
+    // A step that runs again is no longer explained by its last failure
+    state.diagnostics = (state.diagnostics || []).filter(d => d.step !== stepName);
+  } else if (state.stepStartedAt[stepName] && (status === 'done' || status === 'failed')) {
+    state.durations[stepName] = Date.now() - new Date(state.stepStartedAt[stepName]);
+  }
+
+  emit('step', {
+    step: stepName,
+    status,
+    ...(stepName in state.durations && status !== 'running' ? { durationMs: state.durations[stepName] } : {}),
+    ...(status === 'failed' && state.error ? { error: state.error } : {}),
+  });
+  return state;
+}
+
+function updateStep(state, projectPath, stepName, status, extra) {
+  setStep(state, stepName, status, extra);
   saveState(projectPath, state);
   return state;
 }
 
+// Record per-component install results and keep the summary lists in sync
+function setComponentStatus(state, names, status) {
+  for (const name of names) {
+    state.componentStatus[name] = status;
+  }
+  state.installedComponents = state.components.filter(name => state.componentStatus[name] === 'installed');
+  state.failedComponents = state.components.filter(name => state.componentStatus[name] === 'failed');
+  return state;
+}
+
+// Components the next install attempt should cover: those never tried, or
+// interrupted. --retry-failed sets failed ones back to pending first.
+function pendingComponents(state) {
+  return state.components.filter(name => !['installed', 'failed'].includes(state.componentStatus[name]));
+}
+
+const THEME_OPTIONS = {
+  baseColor: '--base-color',
+  radius: '--radius',
+  name: '--theme',
+  modeToggle: '--mode-toggle',
+};
+
+// Differences between the saved inputs of a resumable run and this run's.
+// Like --framework, theme settings are only compared when passed again.
+// Inputs a state file does not have cannot be compared and are skipped.
+function compareInputs(state, { template, framework, requestedComponents, components, theme = {} }) {
+  const differences = [];
+  const sameList = (a, b) => a.length === b.length && a.every((name, i) => name === b[i]);
+  const saved = key => state[key] !== undefined && state[key] !== null;
+
+  if (saved('template') && state.template !== template) {
+    differences.push(`--template: saved "${state.template}", now "${template}"`);
+  }
+  if (framework && saved('framework') && state.framework !== framework) {
+    differences.push(`--framework: saved "${state.framework}", now "${framework}"`);
+  }
+  const savedTheme = { ...DEFAULT_THEME, ...state.theme };
+  for (const [key, option] of Object.entries(THEME_OPTIONS)) {
+    if (theme[key] !== undefined && theme[key] !== savedTheme[key]) {
+      differences.push(`${option}: saved ${JSON.stringify(savedTheme[key])}, now ${JSON.stringify(theme[key])}`);
+    }
+  }
+  if (saved('requestedComponents') && !sameList(state.requestedComponents, requestedComponents)) {
+    differences.push(`components: saved ${state.requestedComponents.join(',')}, now ${requestedComponents.join(',')}`);
+  } else if (saved('components') && !sameList(state.components, components)) {
+    differences.push(`resolved components: saved ${state.components.join(',')}, now ${components.join(',')}`);
+  }
+  return differences;
+}
+
 function removeState(projectPath) {
   const filePath = stateFilePath(projectPath);
   if (fs.existsSync(filePath)) {
@@ -60,10 +212,48 @@ function removeState(projectPath) {
   }
 }
 
+// ─── SUMMARY ─────────────────────────────────────────────────────────
+
+// The outcome of a run as reported to callers: the `summary` event, the
+// result of scaffold() and what the CLI prints
+function summarizeState(state) {
+  const allDone = Object.values(state.steps).every(s => s === 'done');
+  return {
+    success: allDone && state.failedComponents.length === 0,
+    mode: state.mode || 'create',
+    project: state.projectName,
+    path: state.projectPath,
+    framework: state.framework || null,
+    template: state.template || null,
+    registry: state.registry || REGISTRY_URL,
+    packageManager: state.packageManager || 'npm',
+    theme: state.theme ? describeTheme(state.theme) : null,
+    durationMs: new Date(state.updatedAt) - new Date(state.startedAt),
+    steps: state.steps,
+    stepDurationsMs: state.durations || {},
+    installed: state.installedComponents,
+    failed: state.failedComponents,
+    removed: state.removedComponents || [],
+    removedPackages: state.removedPackages || [],
+    installTimingsMs: state.installTimings || {},
+    files: state.files || null,
+    diagnostics: state.diagnostics || [],
+    verificationProblems: state.verificationProblems || [],
+    error: state.error || null,
+  };
+}
+
 module.exports = {
+  STATE_VERSION,
   createInitialState,
+  migrateState,
   loadState,
   saveState,
+  setStep,
   updateStep,
+  setComponentStatus,
+  pendingComponents,
+  compareInputs,
   removeState,
+  summarizeState,
 };
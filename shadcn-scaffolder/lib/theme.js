@@ -0,0 +1,250 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { FRAMEWORKS } = require('./frameworks');
+const { findItem } = require('./registry');
+const { cssValue } = require('./native-installer');
+
+// Base colors `shadcn init --base-color` accepts
+const BASE_COLORS = ['neutral', 'gray', 'zinc', 'stone', 'slate'];
+
+// Theme settings of a run without --base-color, --radius, --theme or
+// --mode-toggle; also what state files written before them are read as
+const DEFAULT_THEME = {
+  baseColor: 'neutral',
+  radius: null,
+  name: null,
+  cssVars: null,
+  modeToggle: false,
+};
+
+const VAR_NAME_PATTERN = /^[a-z][\w-]*$/;
+
+// ─── OPTIONS ─────────────────────────────────────────────────────────
+
+// "0.5rem", "8px", "0" or a bare number of rem -> CSS length. null when invalid.
+function parseRadius(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d*\.?\d+)(rem|px|em)?$/);
+  if (!match) return null;
+  if (Number(match[1]) === 0) return '0';
+  return `${match[1]}${match[2] || 'rem'}`;
+}
+
+// Problems with a registry:theme item, as "<where>: <problem>" messages
+function validateTheme(item, where) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [`${where}: must be a JSON object`];
+  }
+
+  const errors = [];
+  if (item.type !== 'registry:theme') {
+    errors.push(`${where}: "type" must be "registry:theme", got ${JSON.stringify(item.type)}`);
+  }
+
+  const { cssVars } = item;
+  if (!cssVars || typeof cssVars !== 'object' || !['theme', 'light', 'dark'].some(key => key in cssVars)) {
+    errors.push(`${where}: "cssVars" must have "light", "dark" or "theme" variables`);
+    return errors;
+  }
+  for (const [block, vars] of Object.entries(cssVars)) {
+    if (!['theme', 'light', 'dark'].includes(block)) {
+      errors.push(`${where}: cssVars.${block}: unknown block. Allowed: theme, light, dark`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(vars || {})) {
+      if (!VAR_NAME_PATTERN.test(name)) {
+        errors.push(`${where}: cssVars.${block}: invalid variable name "${name}" (without the leading --)`);
+      } else if (typeof value !== 'string' || value.trim() === '' || /[;{}]/.test(value)) {
+        errors.push(`${where}: cssVars.${block}.${name}: must be a CSS value`);
+      }
+    }
+  }
+  return errors;
+}
+
+function registryThemes(registry) {
+  return registry.items.filter(item => item.type === 'registry:theme').map(item => item.name);
+}
+
+// --theme takes a registry:theme JSON file or the name of a theme item in
+// the registry. Returns { name, cssVars }; throws when neither works.
+function loadTheme(value, registry) {
+  const filePath = path.resolve(value);
+  let item;
+  let where;
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    where = filePath;
+    try {
+      item = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`--theme: ${filePath} is not valid JSON (${err.message})`);
+    }
+  } else {
+    item = findItem(registry, value);
+    if (!item) {
+      const themes = registryThemes(registry);
+      throw new Error(
+        `--theme: "${value}" is neither a file nor an item in the registry. ` +
+        (themes.length > 0 ? `Themes in the registry: ${themes.join(', ')}` : 'The registry has no themes.')
+      );
+    }
+    where = `registry item "${value}"`;
+  }
+
+  const errors = validateTheme(item, where);
+  if (errors.length > 0) {
+    throw new Error(`--theme: ${errors.join('; ')}`);
+  }
+  return {
+    name: typeof item.name === 'string' ? item.name : path.basename(filePath, '.json'),
+    cssVars: item.cssVars,
+  };
+}
+
+// "zinc, theme-blue, radius 0.5rem, mode toggle"
+function describeTheme(theme) {
+  const settings = { ...DEFAULT_THEME, ...theme };
+  return [
+    settings.baseColor,
+    settings.name,
+    settings.radius !== null ? `radius ${settings.radius}` : null,
+    settings.modeToggle ? 'mode toggle' : null,
+  ].filter(Boolean).join(', ');
+}
+
+// ─── STYLESHEET ──────────────────────────────────────────────────────
+
+// Set the declarations in `selector { ... }`, replacing values the block
+// already has (unless `replace` is false) and appending the block when the
+// stylesheet has none. Only that block is looked at: a :root variable is
+// not mistaken for the .dark one.
+function setDeclarations(css, selector, declarations, { replace = true } = {}) {
+  const escaped = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = css.match(new RegExp(`(^|\\n)${escaped}\\s*\\{[^}]*\\}`));
+  if (!match) {
+    const lines = declarations.map(([name, value]) => `  --${name}: ${value};`).join('\n');
+    return `${css.trimEnd()}\n\n${selector} {\n${lines}\n}\n`;
+  }
+
+  let block = match[0];
+  const missing = [];
+  for (const [name, value] of declarations) {
+    const declaration = new RegExp(`(--${name}\\s*:\\s*)[^;}]*`);
+    if (!declaration.test(block)) {
+      missing.push(`  --${name}: ${value};`);
+    } else if (replace) {
+      block = block.replace(declaration, `$1${value}`);
+    }
+  }
+  if (missing.length > 0) {
+    block = block.replace(/\s*\}$/, `\n${missing.join('\n')}\n}`);
+  }
+
+  return css.slice(0, match.index) + block + css.slice(match.index + match[0].length);
+}
+
+// Writes the radius and the theme's light, dark and theme variables into the
+// stylesheet from components.json, replacing what `shadcn init` wrote. With
+// Tailwind v4, new colors are also mapped in `@theme inline`; a v3 config
+// file is left alone and its missing colors are returned as warnings.
+function applyTheme(project, { radius = null, cssVars = null } = {}) {
+  const cssFile = project.config.tailwind && project.config.tailwind.css;
+  const cssPath = cssFile ? path.join(project.projectDir, cssFile) : null;
+  if (!cssPath || !fs.existsSync(cssPath)) {
+    throw new Error(`Stylesheet from components.json not found: ${cssFile || '(none)'}`);
+  }
+
+  const original = fs.readFileSync(cssPath, 'utf8');
+  const tailwindV4 = /@theme\s+inline/.test(original) || !project.config.tailwind.config;
+  const vars = cssVars || {};
+  const warnings = [];
+  let css = original;
+
+  const blocks = [[':root', vars.light], ['.dark', vars.dark]];
+  if (radius !== null) blocks.unshift([':root', { radius }]);
+  for (const [selector, values] of blocks) {
+    if (!values) continue;
+    css = setDeclarations(css, selector, Object.entries(values).map(([name, value]) => [name, cssValue(value, tailwindV4)]));
+  }
+
+  const newColors = Object.keys(vars.light || {}).filter(name => !new RegExp(`--${name}\\s*:`).test(original));
+  if (tailwindV4) {
+    if (vars.theme) {
+      css = setDeclarations(css, '@theme inline', Object.entries(vars.theme));
+    }
+    if (newColors.length > 0) {
+      css = setDeclarations(css, '@theme inline',
+        newColors.map(name => [`color-${name}`, `var(--${name})`]), { replace: false });
+    }
+  } else {
+    if (vars.theme) {
+      warnings.push(`Tailwind v3: add the theme's ${Object.keys(vars.theme).join(', ')} to ${project.config.tailwind.config} by hand`);
+    }
+    if (newColors.length > 0) {
+      warnings.push(`Tailwind v3: add ${newColors.join(', ')} to theme.extend.colors in ${project.config.tailwind.config}`);
+    }
+  }
+
+  if (css !== original) {
+    fs.writeFileSync(cssPath, css, 'utf8');
+  }
+  return { file: cssFile, changed: css !== original, warnings };
+}
+
+// ─── THEME PROVIDER ──────────────────────────────────────────────────
+
+// Wraps the framework's root element in the ThemeProvider written by
+// --mode-toggle. Nothing changes when the file already uses one; returns a
+// warning instead of failing when the root element cannot be found.
+function wrapThemeProvider(project) {
+  const { file, element } = FRAMEWORKS[project.framework].root;
+  const filePath = path.join(project.projectDir, file);
+  const manual = `wrap ${element} in <ThemeProvider attribute="class" defaultTheme="system" enableSystem> by hand`;
+
+  if (!fs.existsSync(filePath)) {
+    return { file, wrapped: false, warning: `${file} not found; ${manual}` };
+  }
+  let content = fs.readFileSync(filePath, 'utf8');
+  if (content.includes('<ThemeProvider')) {
+    return { file, wrapped: false, warning: null };
+  }
+
+  const escaped = element.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const line = content.match(new RegExp(`^([ \\t]*)${escaped}[ \\t]*$`, 'm'));
+  const imports = content.match(/^import\s[\s\S]*?["'];?[ \t]*$/gm);
+  if (!line || !imports) {
+    return { file, wrapped: false, warning: `${element} not found on a line of its own in ${file}; ${manual}` };
+  }
+
+  const indent = line[1];
+  content = content.replace(line[0], [
+    `${indent}<ThemeProvider attribute="class" defaultTheme="system" enableSystem disableTransitionOnChange>`,
+    `${indent}  ${element}`,
+    `${indent}</ThemeProvider>`,
+  ].join('\n'));
+
+  // Follow the style of the file's own imports
+  const lastImport = imports[imports.length - 1];
+  const quote = lastImport.trimEnd().replace(/;$/, '').endsWith("'") ? "'" : '"';
+  const semicolon = /;\s*$/.test(lastImport) ? ';' : '';
+  const importLine = `import { ThemeProvider } from ${quote}${project.aliases.components}/theme-provider${quote}${semicolon}`;
+  const end = content.indexOf(lastImport) + lastImport.length;
+  content = `${content.slice(0, end)}\n${importLine}${content.slice(end)}`;
+
+  // next-themes sets the class on <html> before React hydrates
+  content = content.replace(/<html\b(?![^>]*suppressHydrationWarning)([^>]*)>/, '<html$1 suppressHydrationWarning>');
+
+  fs.writeFileSync(filePath, content, 'utf8');
+  return { file, wrapped: true, warning: null };
+}
+
+module.exports = {
+  BASE_COLORS,
+  DEFAULT_THEME,
+  parseRadius,
+  validateTheme,
+  loadTheme,
+  describeTheme,
+  applyTheme,
+  wrapThemeProvider,
+};
@@ -1,14 +1,23 @@
 const path = require('node:path');
+const { AsyncLocalStorage } = require('node:async_hooks');
 
 // ─── CONSTANTS ───────────────────────────────────────────────────────
 
 const REGISTRY_URL =
   'https://raw.githubusercontent.com/CBDB-Code/UI_Shadcn/main/registry.json';
 
+const REGISTRY_ENV_VAR = 'SHADCN_SCAFFOLDER_REGISTRY';
+
+// Built-in starter sources live here; `files` maps project path -> source
+const STARTERS_DIR = path.join(__dirname, '..', 'templates');
+
 const TEMPLATES = {
   minimal: {
     description: 'Basic UI primitives (4 components)',
     components: ['button', 'card', 'badge', 'input'],
+    files: {
+      'src/App.tsx': 'minimal/App.tsx',
+    },
   },
   form: {
     description: 'Form-focused layout (10 components)',
@@ -16,6 +25,10 @@ const TEMPLATES = {
       'button', 'card', 'input', 'label', 'form',
       'select', 'checkbox', 'radio-group', 'textarea', 'switch',
     ],
+    files: {
+      'src/App.tsx': 'form/App.tsx',
+      'src/components/profile-form.tsx': 'form/profile-form.tsx',
+    },
   },
   dashboard: {
     description: 'Full dashboard with charts and navigation (12 components)',
@@ -23,20 +36,80 @@ const TEMPLATES = {
       'button', 'card', 'badge', 'input', 'tabs', 'table',
       'chart', 'sidebar', 'dropdown-menu', 'avatar', 'separator', 'skeleton',
     ],
+    files: {
+      'src/App.tsx': 'dashboard/App.tsx',
+      'src/components/app-sidebar.tsx': 'dashboard/app-sidebar.tsx',
+      'src/components/revenue-chart.tsx': 'dashboard/revenue-chart.tsx',
+      'src/components/orders-table.tsx': 'dashboard/orders-table.tsx',
+    },
+  },
+  // The dashboard with the data-visualization blocks opted in
+  analytics: {
+    description: 'Dashboard plus the health-matrix, sankey-chart and analytics-dashboard blocks',
+    extends: 'dashboard',
+    components: ['health-matrix', 'sankey-chart', 'analytics-dashboard'],
+    files: {
+      'src/App.tsx': 'analytics/App.tsx',
+      'src/lib/sample-data.ts': 'analytics/sample-data.ts',
+    },
+  },
+};
+
+// --mode-toggle: a next-themes ThemeProvider, wrapped around the app, and
+// a light/dark/system dropdown. Added to whatever the template installs.
+const MODE_TOGGLE = {
+  components: ['button', 'dropdown-menu'],
+  packages: ['next-themes'],
+  files: {
+    'src/components/theme-provider.tsx': 'theme/theme-provider.tsx',
+    'src/components/mode-toggle.tsx': 'theme/mode-toggle.tsx',
   },
 };
 
+// Defaults in ms, overridable with --timeout and the `timeouts` config key.
+// `componentInstall` caps the native install and the shadcn CLI fallback
+// each; `individualInstall` caps each `shadcn add` of the one-at-a-time fallback;
+// `typecheck` and `build` each command of --verify=deep.
 const TIMEOUTS = {
+  registryLoad: 15_000,
   viteCreate: 120_000,
   npmInstall: 120_000,
   shadcnInit: 60_000,
   componentInstall: 300_000,
+  individualInstall: 60_000,
+  typecheck: 120_000,
+  build: 300_000,
 };
 
+// How often a step is retried after a transient failure (see
+// lib/diagnostics.js), overridable with --retries and the `retries` config
+// key. Waits RETRY_BASE_DELAY before the first retry, doubling each time.
+const RETRIES = {
+  viteCreate: 1,
+  npmInstall: 2,
+  shadcnInit: 2,
+  componentInstall: 1,
+};
+
+const RETRY_BASE_DELAY = 1_000;
+
+const MAX_CUSTOM_COMPONENTS = 20;
+
 const EXIT_CODES = { SUCCESS: 0, FAILURE: 1 };
 
+// parseArgs with `default` values arrived in 18.11
+const MIN_NODE_VERSION = '18.11.0';
+
 const STATE_FILENAME = '.scaffolder-state.json';
 
+// Per-step command output, kept in the project until the run succeeds
+const LOGS_DIRNAME = '.scaffolder-logs';
+
+const CONFIG_FILENAME = '.scaffolderrc.json';
+
+// Installed registry items with the hash and base copy of every file
+const MANIFEST_FILENAME = 'components.manifest.json';
+
 // ─── LOGGING ─────────────────────────────────────────────────────────
 
 const COLORS = {
@@ -48,21 +121,121 @@ const COLORS = {
   dim:    '\x1b[2m',
 };
 
-const LOG_PREFIXES = {
-  INFO:    `${COLORS.cyan}[INFO]${COLORS.reset}`,
-  WARN:    `${COLORS.yellow}[WARN]${COLORS.reset}`,
-  ERROR:   `${COLORS.red}[ERROR]${COLORS.reset}`,
-  SUCCESS: `${COLORS.green}[SUCCESS]${COLORS.reset}`,
+const LOG_COLORS = {
+  INFO:    'cyan',
+  WARN:    'yellow',
+  ERROR:   'red',
+  SUCCESS: 'green',
+};
+
+// Levels that are also emitted as events in machine-readable mode
+const LOG_EVENTS = {
+  WARN:  'warning',
+  ERROR: 'error',
+};
+
+const output = {
+  machine: false,
+  logStream: process.stdout,
+  events: null,
 };
 
+// https://no-color.org: any non-empty NO_COLOR disables colors
+function supportsColor(stream) {
+  return Boolean(stream.isTTY) && !process.env.NO_COLOR;
+}
+
+function paint(color, text, stream = process.stdout) {
+  return supportsColor(stream) ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+}
+
+// In machine-readable mode stdout carries only JSON: logs and the output of
+// spawned commands move to stderr, and `emit` writes NDJSON events.
+function configureOutput({ machine = false, events = false } = {}) {
+  output.machine = machine;
+  output.logStream = machine ? process.stderr : process.stdout;
+  output.events = events ? process.stdout : null;
+}
+
+function isMachineOutput() {
+  return output.machine;
+}
+
+function eventsEnabled() {
+  return output.events !== null;
+}
+
+// Events go to the NDJSON stream and to the listener of the current run
+function emit(type, data = {}) {
+  const { onEvent } = currentRun();
+  if (!output.events && !onEvent) return;
+  const event = { type, time: new Date().toISOString(), ...data };
+  if (output.events) output.events.write(`${JSON.stringify(event)}\n`);
+  if (onEvent) onEvent(event);
+}
+
+// A run with its own `log` hands the lines to it, or drops them when it is
+// false; otherwise they go to the log stream
 function log(level, message) {
-  const prefix = LOG_PREFIXES[level] || `[${level}]`;
-  const ts = COLORS.dim + new Date().toISOString().slice(11, 19) + COLORS.reset;
-  console.log(`${prefix} ${ts} ${message}`);
+  const { log: logTo } = currentRun();
+  if (logTo === undefined) {
+    const stream = output.logStream;
+    const prefix = LOG_COLORS[level] ? paint(LOG_COLORS[level], `[${level}]`, stream) : `[${level}]`;
+    const ts = paint('dim', new Date().toISOString().slice(11, 19), stream);
+    stream.write(`${prefix} ${ts} ${message}\n`);
+  } else if (logTo) {
+    logTo(level, message);
+  }
+
+  if (LOG_EVENTS[level]) {
+    emit(LOG_EVENTS[level], { message });
+  }
+}
+
+// ─── RUN CONTEXT ─────────────────────────────────────────────────────
+
+// What a programmatic run passes to everything it calls without threading
+// it through every function: `onEvent`, the `signal` that aborts it, an
+// injected `runCommand` and `log`. Concurrent runs each see their own.
+const runs = new AsyncLocalStorage();
+
+function withRun(context, fn) {
+  return runs.run(context, fn);
+}
+
+// The run context of an API call, taken from its options
+function runContext({ onEvent, signal, executors = {}, log: logTo }) {
+  return { onEvent, signal, runCommand: executors.runCommand, log: logTo };
+}
+
+function currentRun() {
+  return runs.getStore() || {};
+}
+
+// Whether spawned commands may write to the terminal: not when the run
+// takes its logs elsewhere
+function commandOutputShown() {
+  return currentRun().log === undefined;
+}
+
+function runAborted() {
+  const { signal } = currentRun();
+  return Boolean(signal && signal.aborted);
 }
 
 // ─── HELPERS ─────────────────────────────────────────────────────────
 
+// "1500ms", "90s", "5m" or a number of seconds -> ms. null when invalid.
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.round(value * 1000) : null;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/);
+  if (!match) return null;
+  const ms = Math.round(Number(match[1]) * { ms: 1, s: 1000, m: 60_000 }[match[2] || 's']);
+  return ms > 0 ? ms : null;
+}
+
 function formatDuration(ms) {
   const totalSeconds = Math.round(ms / 1000);
   const minutes = Math.floor(totalSeconds / 60);
@@ -73,10 +246,31 @@ function formatDuration(ms) {
 
 module.exports = {
   REGISTRY_URL,
+  REGISTRY_ENV_VAR,
+  STARTERS_DIR,
   TEMPLATES,
+  MODE_TOGGLE,
   TIMEOUTS,
+  RETRIES,
+  RETRY_BASE_DELAY,
+  MAX_CUSTOM_COMPONENTS,
   EXIT_CODES,
+  MIN_NODE_VERSION,
   STATE_FILENAME,
+  LOGS_DIRNAME,
+  CONFIG_FILENAME,
+  MANIFEST_FILENAME,
   log,
+  paint,
+  configureOutput,
+  isMachineOutput,
+  eventsEnabled,
+  emit,
+  withRun,
+  runContext,
+  commandOutputShown,
+  currentRun,
+  runAborted,
+  parseDuration,
   formatDuration,
 };
@@ -1,23 +1,98 @@
 const fs = require('node:fs');
 const path = require('node:path');
-const { TEMPLATES, STATE_FILENAME, log } = require('./utils');
+const { TEMPLATES, STATE_FILENAME, MAX_CUSTOM_COMPONENTS, log } = require('./utils');
+const { findItem, suggestNames, resolveDependencyClosure } = require('./registry');
+const { loadState } = require('./state');
 
-function validateInputs({ projectName, template, components, targetDir }) {
+const COMPONENT_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const PROJECT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9._-]*$/;
+
+// Check explicitly requested component names and expand their
+// registryDependencies. The limit applies to what was asked for, not the closure.
+function validateComponents(components, registry, { limit = MAX_CUSTOM_COMPONENTS } = {}) {
+  const errors = [];
+
+  if (!Array.isArray(components) || components.length === 0) {
+    errors.push('At least one component is required.');
+    return { errors, requestedComponents: [], resolvedComponents: [] };
+  }
+  if (components.length > limit) {
+    errors.push(`Too many components (${components.length}). Maximum is ${limit}.`);
+    return { errors, requestedComponents: [], resolvedComponents: [] };
+  }
+
+  for (const name of components) {
+    if (!COMPONENT_NAME_PATTERN.test(name)) {
+      errors.push(`Invalid component name "${name}". Use lowercase letters, digits, hyphens.`);
+    }
+  }
+  const unique = new Set(components);
+  if (unique.size !== components.length) {
+    errors.push('Duplicate component names detected. Remove duplicates.');
+  }
+
+  const requestedComponents = [...unique];
+  let resolvedComponents = requestedComponents;
+
+  if (registry) {
+    for (const name of requestedComponents) {
+      if (findItem(registry, name) || !COMPONENT_NAME_PATTERN.test(name)) continue;
+      const suggestions = suggestNames(registry, name);
+      errors.push(
+        `Unknown component "${name}" in registry.` +
+        (suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '')
+      );
+    }
+    if (requestedComponents.every(name => findItem(registry, name))) {
+      resolvedComponents = resolveDependencyClosure(registry, requestedComponents);
+    }
+  }
+
+  return { errors, requestedComponents, resolvedComponents };
+}
+
+// The rules for single inputs, shared with the interactive prompts. Each
+// returns an error message or null.
+
+function validateProjectName(projectName) {
+  if (!projectName || typeof projectName !== 'string') {
+    return 'Project name is required.';
+  }
+  if (!PROJECT_NAME_PATTERN.test(projectName)) {
+    return `Invalid project name "${projectName}". ` +
+      'Must start with a letter, contain only letters, digits, dots, hyphens, underscores.';
+  }
+  return null;
+}
+
+function validateTargetDir(targetDir) {
+  const resolvedTargetDir = path.resolve(targetDir);
+  if (!fs.existsSync(resolvedTargetDir)) {
+    return `Target directory does not exist: ${resolvedTargetDir}`;
+  }
+  try {
+    if (!fs.statSync(resolvedTargetDir).isDirectory()) {
+      return `Target path is not a directory: ${resolvedTargetDir}`;
+    }
+    fs.accessSync(resolvedTargetDir, fs.constants.W_OK);
+  } catch {
+    return `Target directory is not writable: ${resolvedTargetDir}`;
+  }
+  return null;
+}
+
+function validateInputs({ projectName, template, components, targetDir, registry, templates = TEMPLATES }) {
   const errors = [];
   let existingState = null;
 
   // 1. Project name
-  if (!projectName || typeof projectName !== 'string') {
-    errors.push('Project name is required.');
-  } else if (!/^[a-zA-Z][a-zA-Z0-9._-]*$/.test(projectName)) {
-    errors.push(
-      `Invalid project name "${projectName}". ` +
-      'Must start with a letter, contain only letters, digits, dots, hyphens, underscores.'
-    );
+  const nameError = validateProjectName(projectName);
+  if (nameError) {
+    errors.push(nameError);
   }
 
   // 2. Template
-  const validTemplates = [...Object.keys(TEMPLATES), 'custom'];
+  const validTemplates = [...Object.keys(templates), 'custom'];
   if (!validTemplates.includes(template)) {
     errors.push(
       `Invalid template "${template}". Must be one of: ${validTemplates.join(', ')}`
@@ -25,42 +100,29 @@ function validateInputs({ projectName, template, components, targetDir }) {
   }
 
   // 3. Resolve components
+  let requestedComponents = [];
   let resolvedComponents = [];
   if (template === 'custom') {
     if (!Array.isArray(components) || components.length === 0) {
       errors.push('Custom template requires at least one component via --components.');
-    } else if (components.length > 20) {
-      errors.push(`Too many components (${components.length}). Maximum is 20.`);
     } else {
-      for (const name of components) {
-        if (!/^[a-z][a-z0-9-]*$/.test(name)) {
-          errors.push(`Invalid component name "${name}". Use lowercase letters, digits, hyphens.`);
-        }
-      }
-      const unique = new Set(components);
-      if (unique.size !== components.length) {
-        errors.push('Duplicate component names detected. Remove duplicates.');
-      }
-      resolvedComponents = [...unique];
+      const result = validateComponents(components, registry);
+      errors.push(...result.errors);
+      requestedComponents = result.requestedComponents;
+      resolvedComponents = result.resolvedComponents;
     }
-  } else if (TEMPLATES[template]) {
-    resolvedComponents = [...TEMPLATES[template].components];
+  } else if (templates[template]) {
+    const result = validateComponents(templates[template].components, registry, { limit: Infinity });
+    errors.push(...result.errors);
+    requestedComponents = result.requestedComponents;
+    resolvedComponents = result.resolvedComponents;
   }
 
   // 4. Target directory
   const resolvedTargetDir = path.resolve(targetDir);
-  if (!fs.existsSync(resolvedTargetDir)) {
-    errors.push(`Target directory does not exist: ${resolvedTargetDir}`);
-  } else {
-    try {
-      const stat = fs.statSync(resolvedTargetDir);
-      if (!stat.isDirectory()) {
-        errors.push(`Target path is not a directory: ${resolvedTargetDir}`);
-      }
-      fs.accessSync(resolvedTargetDir, fs.constants.W_OK);
-    } catch {
-      errors.push(`Target directory is not writable: ${resolvedTargetDir}`);
-    }
+  const targetError = validateTargetDir(targetDir);
+  if (targetError) {
+    errors.push(targetError);
   }
 
   // 5. Project path existence check
@@ -70,12 +132,12 @@ function validateInputs({ projectName, template, components, targetDir }) {
     const stateFilePath = path.join(projectPath, STATE_FILENAME);
     if (fs.existsSync(stateFilePath)) {
       try {
-        const raw = fs.readFileSync(stateFilePath, 'utf8');
-        existingState = JSON.parse(raw);
+        existingState = loadState(projectPath);
         log('INFO', `Found existing state file. Will attempt to resume.`);
-      } catch {
+      } catch (err) {
         errors.push(
-          `State file exists but is corrupted: ${stateFilePath}. Delete it to start fresh.`
+          `State file cannot be resumed: ${stateFilePath} (${err.message}). ` +
+          'Re-run with --reset to start fresh.'
         );
       }
     } else {
@@ -90,9 +152,16 @@ function validateInputs({ projectName, template, components, targetDir }) {
     valid: errors.length === 0,
     errors,
     projectPath,
+    requestedComponents,
     resolvedComponents,
     existingState,
   };
 }
 
-module.exports = { validateInputs };
+module.exports = {
+  PROJECT_NAME_PATTERN,
+  validateProjectName,
+  validateTargetDir,
+  validateInputs,
+  validateComponents,
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('node:util');
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+
+const { EXIT_CODES, log } = require('./lib/utils');
+const { lintRegistry } = require('./lib/registry-lint');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const DEFAULT_DOCS = ['REGISTRY_README.md', 'SKILL.md'].map(name => path.join(REPO_ROOT, name));
+
+function printUsage() {
+  console.log(`
+lint-registry - Check registry.json for broken items before publishing
+
+USAGE
+  node shadcn-scaffolder/lint-registry.js [registry.json] [options]
+
+OPTIONS
+  --docs <file>       Markdown file advertising components; repeatable
+                       (default: REGISTRY_README.md and SKILL.md)
+  --format <format>   text | json (default: text)
+  --strict            Treat warnings as errors
+  -h, --help          Show this help message
+
+RULES
+  schema, type                      Invalid $schema, fields or item/file types
+  duplicate-name                    Two items share a name
+  unresolved-import                 @/registry/... import with no matching item
+  undeclared-registry-dependency    Internal import missing from registryDependencies
+  unresolved-registry-dependency    registryDependencies entry with no matching item
+  undeclared-dependency             npm import missing from dependencies
+  unused-dependency (warning)       Declared npm dependency that is never imported
+  unused-registry-dependency (warning)
+  documented-missing                Component named in the docs but absent
+
+Exits 1 when any error (or, with --strict, any warning) is reported.
+`);
+}
+
+function main() {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        docs:   { type: 'string', multiple: true },
+        format: { type: 'string', default: 'text' },
+        strict: { type: 'boolean', default: false },
+        help:   { type: 'boolean', short: 'h', default: false },
+      },
+      allowPositionals: true,
+      strict: true,
+    }));
+  } catch (err) {
+    log('ERROR', `Invalid arguments: ${err.message}`);
+    printUsage();
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  if (values.help) {
+    printUsage();
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  if (!['text', 'json'].includes(values.format)) {
+    log('ERROR', `Invalid format "${values.format}". Must be one of: text, json`);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  const registryFile = path.resolve(positionals[0] || path.join(REPO_ROOT, 'registry.json'));
+  const docs = (values.docs || DEFAULT_DOCS)
+    .filter(file => fs.existsSync(file))
+    .map(file => ({ file: path.relative(process.cwd(), file), content: fs.readFileSync(file, 'utf8') }));
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+  } catch (err) {
+    const result = {
+      registry: registryFile,
+      errors: 1,
+      warnings: 0,
+      issues: [{ severity: 'error', rule: 'schema', item: null, message: `Cannot read registry: ${err.message}` }],
+    };
+    report(result, values.format);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  const result = { registry: registryFile, ...lintRegistry(registry, { docs }) };
+  report(result, values.format);
+
+  const failed = result.errors > 0 || (values.strict && result.warnings > 0);
+  process.exit(failed ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS);
+}
+
+function report(result, format) {
+  if (format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  for (const issue of result.issues) {
+    const where = issue.item ? `${issue.item}: ` : '';
+    log(issue.severity === 'error' ? 'ERROR' : 'WARN', `${where}${issue.message} [${issue.rule}]`);
+  }
+
+  const totals = `${result.errors} error(s), ${result.warnings} warning(s)`;
+  if (result.errors > 0) {
+    log('ERROR', `${path.basename(result.registry)}: ${totals}`);
+  } else {
+    log('SUCCESS', `${path.basename(result.registry)}: ${totals}`);
+  }
+}
+
+main();
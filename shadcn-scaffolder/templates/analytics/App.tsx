@@ -0,0 +1,37 @@
+import { AnalyticsDashboard } from "@/components/analytics-dashboard"
+import { AppSidebar } from "@/components/app-sidebar"
+import { HealthMatrix } from "@/components/health-matrix"
+import { SankeyChart } from "@/components/sankey-chart"
+import { Separator } from "@/components/ui/separator"
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from "@/components/ui/sidebar"
+import { analytics, journeys, metrics } from "@/lib/sample-data"
+
+function App() {
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-14 shrink-0 items-center gap-2 border-b px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+          <h1 className="text-sm font-medium">Analytics</h1>
+        </header>
+        <main className="flex flex-1 flex-col gap-4 p-4">
+          <HealthMatrix metrics={metrics} columns={3} />
+          <AnalyticsDashboard data={analytics} title="Traffic overview" />
+          <SankeyChart
+            data={journeys}
+            title="Visitor journeys"
+            description="Where visitors come from and where they go next"
+          />
+        </main>
+      </SidebarInset>
+    </SidebarProvider>
+  )
+}
+
+export default App
@@ -0,0 +1,77 @@
+import type { AnalyticsPoint } from "@/components/analytics-dashboard"
+import type { HealthMetric } from "@/components/health-matrix"
+import type { SankeyData } from "@/components/sankey-chart"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const START = Date.UTC(2025, 0, 1)
+
+// 180 days of traffic with a weekly rhythm and slow growth, so every time
+// range has a previous period to compare against
+export const analytics: AnalyticsPoint[] = Array.from({ length: 180 }, (_, day) => {
+  const weekly = Math.sin((day / 7) * 2 * Math.PI) * 0.12
+  const growth = day / 600
+  const visitors = Math.round(1200 * (1 + weekly + growth))
+  const conversions = Math.round(visitors * (0.028 + weekly / 20))
+
+  return {
+    date: new Date(START + day * DAY_MS).toISOString().slice(0, 10),
+    visitors,
+    pageViews: Math.round(visitors * 2.6),
+    conversions,
+    revenue: conversions * 48,
+  }
+})
+
+export const metrics: HealthMetric[] = [
+  {
+    id: "uptime",
+    label: "Uptime",
+    value: 99.96,
+    unit: "%",
+    status: "healthy",
+    trend: 0.1,
+    sparkline: [99.9, 99.95, 99.97, 99.92, 99.96, 99.98, 99.96].map((value) => ({ value })),
+    target: { min: 99.9 },
+  },
+  {
+    id: "latency",
+    label: "p95 latency",
+    value: 412,
+    unit: "ms",
+    status: "warning",
+    trend: 8.4,
+    sparkline: [340, 355, 362, 380, 371, 398, 412].map((value) => ({ value })),
+    target: { max: 400 },
+  },
+  {
+    id: "errors",
+    label: "Error rate",
+    value: 2.3,
+    unit: "%",
+    status: "critical",
+    trend: 64.3,
+    sparkline: [0.9, 1.1, 1.0, 1.4, 1.8, 2.1, 2.3].map((value) => ({ value })),
+    target: { max: 1 },
+  },
+]
+
+export const journeys: SankeyData = {
+  nodes: [
+    { name: "Search" },
+    { name: "Social" },
+    { name: "Email" },
+    { name: "Landing page" },
+    { name: "Pricing" },
+    { name: "Sign-up" },
+    { name: "Bounced" },
+  ],
+  links: [
+    { source: 0, target: 3, value: 5400 },
+    { source: 1, target: 3, value: 2600 },
+    { source: 2, target: 4, value: 1500 },
+    { source: 3, target: 4, value: 3900 },
+    { source: 3, target: 6, value: 4100 },
+    { source: 4, target: 5, value: 2300 },
+    { source: 4, target: 6, value: 3100 },
+  ],
+}
@@ -0,0 +1,181 @@
+import * as React from "react"
+
+import { cn } from "@/lib/utils"
+
+import type { DemoProps, Variants } from "./variant-grid"
+
+// The shell only uses plain elements, so it renders whatever the registry
+// contains, including a registry without button or input.
+
+export type CatalogItem = {
+  name: string
+  title: string | null
+  description: string | null
+  dependencies: string[]
+  registryDependencies: string[]
+  variants: Variants
+  Demo: React.ComponentType<DemoProps> | null
+}
+
+type Mode = DemoProps["mode"]
+
+// A demo that throws shows its error instead of taking the page down
+class DemoBoundary extends React.Component<
+  { children: React.ReactNode },
+  { error: Error | null }
+> {
+  state = { error: null as Error | null }
+
+  static getDerivedStateFromError(error: Error) {
+    return { error }
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <pre className="text-destructive text-xs whitespace-pre-wrap">
+          {this.state.error.message}
+        </pre>
+      )
+    }
+    return this.props.children
+  }
+}
+
+function Chips({ label, values, href }: { label: string; values: string[]; href?: boolean }) {
+  if (values.length === 0) return null
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 text-xs">
+      <span className="text-muted-foreground">{label}</span>
+      {values.map((value) =>
+        href ? (
+          <a key={value} href={`#${value}`} className="bg-muted rounded px-1.5 py-0.5 font-mono hover:underline">
+            {value}
+          </a>
+        ) : (
+          <span key={value} className="bg-muted rounded px-1.5 py-0.5 font-mono">
+            {value}
+          </span>
+        )
+      )}
+    </div>
+  )
+}
+
+function Preview({ item, mode }: { item: CatalogItem; mode: Mode }) {
+  const { Demo } = item
+
+  // Wrapped so both the variables of `.dark` and the `dark:` variant apply
+  return (
+    <div className={cn(mode === "dark" && "dark")}>
+      <div
+        data-mode={mode}
+        className="bg-background text-foreground flex min-h-32 flex-col gap-4 rounded-lg border p-6"
+      >
+        <div className="text-muted-foreground text-xs uppercase">{mode}</div>
+        {Demo ? (
+          <DemoBoundary>
+            <Demo variants={item.variants} mode={mode} />
+          </DemoBoundary>
+        ) : (
+          <p className="text-muted-foreground text-sm">
+            No demo for this item yet.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ItemSection({ item }: { item: CatalogItem }) {
+  const variantSummary = Object.entries(item.variants).map(
+    ([name, groups]) =>
+      `${name}: ${Object.entries(groups)
+        .map(([group, values]) => `${group} (${values.length})`)
+        .join(", ")}`
+  )
+
+  return (
+    <section id={item.name} className="flex scroll-mt-20 flex-col gap-4 border-b py-10">
+      <header className="flex flex-col gap-2">
+        <h2 className="font-mono text-xl font-semibold">{item.name}</h2>
+        {(item.title || item.description) && (
+          <p className="text-muted-foreground text-sm">
+            {[item.title, item.description].filter(Boolean).join(" — ")}
+          </p>
+        )}
+        <Chips label="npm" values={item.dependencies} />
+        <Chips label="registry" values={item.registryDependencies} href />
+        {variantSummary.length > 0 && (
+          <div className="text-muted-foreground font-mono text-xs">
+            {variantSummary.join(" · ")}
+          </div>
+        )}
+      </header>
+      <div className="grid gap-4 xl:grid-cols-2">
+        <Preview item={item} mode="light" />
+        <Preview item={item} mode="dark" />
+      </div>
+    </section>
+  )
+}
+
+export function Catalog({ items }: { items: CatalogItem[] }) {
+  const [query, setQuery] = React.useState("")
+  // Dialogs, menus and toasts render into <body>, outside the dark preview;
+  // the page mode switches them too
+  const [pageMode, setPageMode] = React.useState<Mode>("light")
+
+  React.useEffect(() => {
+    document.documentElement.classList.toggle("dark", pageMode === "dark")
+  }, [pageMode])
+
+  const visible = items.filter((item) => item.name.includes(query.trim().toLowerCase()))
+
+  return (
+    <div className="flex min-h-svh">
+      <nav className="sticky top-0 hidden h-svh w-56 shrink-0 overflow-y-auto border-r p-4 md:block">
+        <ul className="flex flex-col gap-0.5 text-sm">
+          {visible.map((item) => (
+            <li key={item.name}>
+              <a
+                href={`#${item.name}`}
+                className="text-muted-foreground hover:text-foreground block rounded px-2 py-1 font-mono"
+              >
+                {item.name}
+              </a>
+            </li>
+          ))}
+        </ul>
+      </nav>
+      <div className="min-w-0 flex-1">
+        <header className="bg-background/95 sticky top-0 z-10 flex flex-wrap items-center gap-4 border-b px-6 py-3 backdrop-blur">
+          <h1 className="font-semibold">Registry catalog</h1>
+          <span className="text-muted-foreground text-sm tabular-nums">
+            {visible.length} of {items.length} items
+          </span>
+          <input
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            placeholder="Filter items..."
+            aria-label="Filter items"
+            className="bg-background ml-auto h-8 w-56 rounded-md border px-2 text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => setPageMode(pageMode === "light" ? "dark" : "light")}
+            className="hover:bg-muted h-8 rounded-md border px-3 text-sm"
+          >
+            Page: {pageMode}
+          </button>
+        </header>
+        <main className="px-6">
+          {visible.map((item) => (
+            <ItemSection key={item.name} item={item} />
+          ))}
+        </main>
+      </div>
+    </div>
+  )
+}
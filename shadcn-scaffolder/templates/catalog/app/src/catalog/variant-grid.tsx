@@ -0,0 +1,36 @@
+import * as React from "react"
+
+// Variant groups of each cva() definition in an item's source, e.g.
+// { buttonVariants: { variant: ["default", ...], size: ["default", ...] } }.
+// Generated from the registry, so new variants show up without a demo change.
+export type Variants = Record<string, Record<string, string[]>>
+
+// `mode` is the preview the demo renders in; each demo renders once per mode
+export type DemoProps = { variants: Variants; mode: "light" | "dark" }
+
+// Renders `render` once per value of every group of one cva() definition,
+// one row per group. Values are passed as props named after their group.
+export function VariantGrid({
+  options = {},
+  render,
+}: {
+  options?: Record<string, string[]>
+  render: (props: Record<string, string>) => React.ReactNode
+}) {
+  return (
+    <div className="flex flex-col gap-4">
+      {Object.entries(options).map(([group, values]) => (
+        <div key={group} className="flex flex-col gap-2">
+          <div className="text-muted-foreground font-mono text-xs">{group}</div>
+          <div className="flex flex-wrap items-center gap-2">
+            {values.map((value) => (
+              <div key={value} title={`${group}="${value}"`}>
+                {render({ [group]: value })}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
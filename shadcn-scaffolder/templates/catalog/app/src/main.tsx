@@ -0,0 +1,13 @@
+import { StrictMode } from "react"
+import { createRoot } from "react-dom/client"
+
+import { Catalog } from "@/catalog/catalog"
+import { ITEMS } from "@/catalog/items"
+
+import "./index.css"
+
+createRoot(document.getElementById("root")!).render(
+  <StrictMode>
+    <Catalog items={ITEMS} />
+  </StrictMode>
+)
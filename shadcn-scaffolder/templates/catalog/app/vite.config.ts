@@ -0,0 +1,19 @@
+import path from "node:path"
+import tailwindcss from "@tailwindcss/vite"
+import react from "@vitejs/plugin-react"
+import { defineConfig } from "vite"
+
+export default defineConfig({
+  // Relative asset paths, so dist/ can be served from any path
+  base: "./",
+  plugins: [react(), tailwindcss()],
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "./src"),
+    },
+  },
+  build: {
+    // One page that imports every component is expected to be large
+    chunkSizeWarningLimit: 2000,
+  },
+})
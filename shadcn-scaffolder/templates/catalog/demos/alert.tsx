@@ -0,0 +1,20 @@
+import { AlertCircleIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+
+export default function AlertDemo({ variants }: DemoProps) {
+  return (
+    <VariantGrid
+      options={variants.alertVariants}
+      render={(props) => (
+        <Alert {...props} className="w-80">
+          <AlertCircleIcon />
+          <AlertTitle>Heads up</AlertTitle>
+          <AlertDescription>Your session expires in 5 minutes.</AlertDescription>
+        </Alert>
+      )}
+    />
+  )
+}
@@ -0,0 +1,11 @@
+import { AspectRatio } from "@/components/ui/aspect-ratio"
+
+export default function AspectRatioDemo() {
+  return (
+    <div className="w-64">
+      <AspectRatio ratio={16 / 9} className="bg-muted flex items-center justify-center rounded-lg text-sm">
+        16 / 9
+      </AspectRatio>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import {
+  Avatar,
+  AvatarBadge,
+  AvatarFallback,
+  AvatarGroup,
+  AvatarGroupCount,
+} from "@/components/ui/avatar"
+
+// Fallbacks only: the catalog renders offline, without remote images
+export default function AvatarDemo() {
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      {(["sm", "default", "lg"] as const).map((size) => (
+        <Avatar key={size} size={size}>
+          <AvatarFallback>CN</AvatarFallback>
+          <AvatarBadge className="bg-green-600" />
+        </Avatar>
+      ))}
+      <AvatarGroup>
+        <Avatar>
+          <AvatarFallback>AL</AvatarFallback>
+        </Avatar>
+        <Avatar>
+          <AvatarFallback>GH</AvatarFallback>
+        </Avatar>
+        <Avatar>
+          <AvatarFallback>KJ</AvatarFallback>
+        </Avatar>
+        <AvatarGroupCount>+3</AvatarGroupCount>
+      </AvatarGroup>
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+import { BadgeCheckIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Badge } from "@/components/ui/badge"
+
+export default function BadgeDemo({ variants }: DemoProps) {
+  return (
+    <div className="flex flex-col gap-4">
+      <VariantGrid
+        options={variants.badgeVariants}
+        render={(props) => <Badge {...props}>Badge</Badge>}
+      />
+      <Badge variant="secondary">
+        <BadgeCheckIcon />
+        Verified
+      </Badge>
+    </div>
+  )
+}
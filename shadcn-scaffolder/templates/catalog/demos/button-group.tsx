@@ -0,0 +1,35 @@
+import { ChevronDownIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Button } from "@/components/ui/button"
+import {
+  ButtonGroup,
+  ButtonGroupSeparator,
+  ButtonGroupText,
+} from "@/components/ui/button-group"
+
+export default function ButtonGroupDemo({ variants }: DemoProps) {
+  return (
+    <div className="flex flex-col gap-4">
+      <VariantGrid
+        options={variants.buttonGroupVariants}
+        render={(props) => (
+          <ButtonGroup {...props}>
+            <Button variant="outline">Archive</Button>
+            <Button variant="outline">Report</Button>
+            <Button variant="outline">Snooze</Button>
+          </ButtonGroup>
+        )}
+      />
+      <ButtonGroup>
+        <ButtonGroupText>https://</ButtonGroupText>
+        <Button variant="secondary">Copy</Button>
+        <ButtonGroupSeparator />
+        <Button variant="secondary" size="icon" aria-label="More">
+          <ChevronDownIcon />
+        </Button>
+      </ButtonGroup>
+    </div>
+  )
+}
@@ -0,0 +1,30 @@
+import { ArrowRightIcon, PlusIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Button } from "@/components/ui/button"
+
+export default function ButtonDemo({ variants }: DemoProps) {
+  return (
+    <div className="flex flex-col gap-4">
+      <VariantGrid
+        options={variants.buttonVariants}
+        render={(props) =>
+          props.size?.startsWith("icon") ? (
+            <Button {...props} aria-label="Add">
+              <PlusIcon />
+            </Button>
+          ) : (
+            <Button {...props}>Button</Button>
+          )
+        }
+      />
+      <div className="flex flex-wrap gap-2">
+        <Button>
+          Continue <ArrowRightIcon />
+        </Button>
+        <Button disabled>Disabled</Button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+import * as React from "react"
+
+import { Calendar } from "@/components/ui/calendar"
+
+// A fixed month, so the previews do not change from day to day
+const MONTH = new Date(2025, 5, 1)
+
+export default function CalendarDemo() {
+  const [date, setDate] = React.useState<Date | undefined>(new Date(2025, 5, 12))
+
+  return (
+    <Calendar
+      mode="single"
+      defaultMonth={MONTH}
+      selected={date}
+      onSelect={setDate}
+      className="w-fit rounded-md border shadow-sm"
+    />
+  )
+}
@@ -0,0 +1,28 @@
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardAction,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+
+export default function CardDemo() {
+  return (
+    <Card className="w-full max-w-sm">
+      <CardHeader>
+        <CardTitle>Login to your account</CardTitle>
+        <CardDescription>Enter your email below to log in.</CardDescription>
+        <CardAction>
+          <Button variant="link">Sign up</Button>
+        </CardAction>
+      </CardHeader>
+      <CardContent className="text-sm">Card content goes here.</CardContent>
+      <CardFooter>
+        <Button className="w-full">Login</Button>
+      </CardFooter>
+    </Card>
+  )
+}
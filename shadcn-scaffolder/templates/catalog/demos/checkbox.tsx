@@ -0,0 +1,29 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Label } from "@/components/ui/label"
+
+// Ids are per preview, each demo renders twice
+export default function CheckboxDemo({ mode }: DemoProps) {
+  const id = (name: string) => `checkbox-${name}-${mode}`
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center gap-2">
+        <Checkbox id={id("terms")} />
+        <Label htmlFor={id("terms")}>Accept terms and conditions</Label>
+      </div>
+      <div className="flex items-center gap-2">
+        <Checkbox id={id("checked")} defaultChecked />
+        <Label htmlFor={id("checked")}>Checked</Label>
+      </div>
+      <div className="flex items-center gap-2">
+        <Checkbox id={id("disabled")} disabled />
+        <Label htmlFor={id("disabled")}>Disabled</Label>
+      </div>
+      <div className="flex items-center gap-2">
+        <Checkbox id={id("invalid")} aria-invalid />
+        <Label htmlFor={id("invalid")}>Invalid</Label>
+      </div>
+    </div>
+  )
+}
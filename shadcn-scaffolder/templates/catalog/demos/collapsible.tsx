@@ -0,0 +1,28 @@
+import { ChevronsUpDownIcon } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import {
+  Collapsible,
+  CollapsibleContent,
+  CollapsibleTrigger,
+} from "@/components/ui/collapsible"
+
+export default function CollapsibleDemo() {
+  return (
+    <Collapsible defaultOpen className="flex w-72 flex-col gap-2">
+      <div className="flex items-center justify-between gap-4">
+        <h4 className="text-sm font-semibold">@peduarte starred 3 repositories</h4>
+        <CollapsibleTrigger asChild>
+          <Button variant="ghost" size="icon" className="size-8" aria-label="Toggle">
+            <ChevronsUpDownIcon />
+          </Button>
+        </CollapsibleTrigger>
+      </div>
+      <div className="rounded-md border px-4 py-2 font-mono text-sm">@radix-ui/primitives</div>
+      <CollapsibleContent className="flex flex-col gap-2">
+        <div className="rounded-md border px-4 py-2 font-mono text-sm">@radix-ui/colors</div>
+        <div className="rounded-md border px-4 py-2 font-mono text-sm">@stitches/react</div>
+      </CollapsibleContent>
+    </Collapsible>
+  )
+}
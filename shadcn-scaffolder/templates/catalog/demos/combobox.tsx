@@ -0,0 +1,28 @@
+import {
+  Combobox,
+  ComboboxContent,
+  ComboboxEmpty,
+  ComboboxInput,
+  ComboboxItem,
+  ComboboxList,
+} from "@/components/ui/combobox"
+
+const FRAMEWORKS = ["Next.js", "React Router", "Astro", "Vite", "Remix"]
+
+export default function ComboboxDemo() {
+  return (
+    <Combobox items={FRAMEWORKS}>
+      <ComboboxInput placeholder="Select a framework" className="w-64" />
+      <ComboboxContent>
+        <ComboboxEmpty>No framework found.</ComboboxEmpty>
+        <ComboboxList>
+          {(item: string) => (
+            <ComboboxItem key={item} value={item}>
+              {item}
+            </ComboboxItem>
+          )}
+        </ComboboxList>
+      </ComboboxContent>
+    </Combobox>
+  )
+}
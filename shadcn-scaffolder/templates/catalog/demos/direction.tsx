@@ -0,0 +1,29 @@
+import { DirectionProvider, useDirection } from "@/components/ui/direction"
+
+function CurrentDirection() {
+  const direction = useDirection()
+
+  return (
+    <div className="flex items-center gap-2 rounded-md border p-3 text-sm">
+      <span className="bg-muted rounded px-1.5 font-mono">{direction}</span>
+      <span>Text flows from the start edge.</span>
+    </div>
+  )
+}
+
+export default function DirectionDemo() {
+  return (
+    <div className="flex flex-col gap-2">
+      <DirectionProvider dir="ltr">
+        <div dir="ltr">
+          <CurrentDirection />
+        </div>
+      </DirectionProvider>
+      <DirectionProvider dir="rtl">
+        <div dir="rtl">
+          <CurrentDirection />
+        </div>
+      </DirectionProvider>
+    </div>
+  )
+}
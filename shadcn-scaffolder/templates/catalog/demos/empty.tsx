@@ -0,0 +1,35 @@
+import { InboxIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Button } from "@/components/ui/button"
+import {
+  Empty,
+  EmptyContent,
+  EmptyDescription,
+  EmptyHeader,
+  EmptyMedia,
+  EmptyTitle,
+} from "@/components/ui/empty"
+
+export default function EmptyDemo({ variants }: DemoProps) {
+  return (
+    <VariantGrid
+      options={variants.emptyMediaVariants}
+      render={(props) => (
+        <Empty className="border">
+          <EmptyHeader>
+            <EmptyMedia {...props}>
+              <InboxIcon />
+            </EmptyMedia>
+            <EmptyTitle>No messages</EmptyTitle>
+            <EmptyDescription>New messages show up here.</EmptyDescription>
+          </EmptyHeader>
+          <EmptyContent>
+            <Button size="sm">Compose</Button>
+          </EmptyContent>
+        </Empty>
+      )}
+    />
+  )
+}
@@ -0,0 +1,42 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import {
+  Field,
+  FieldContent,
+  FieldDescription,
+  FieldError,
+  FieldGroup,
+  FieldLabel,
+  FieldLegend,
+  FieldSeparator,
+  FieldSet,
+} from "@/components/ui/field"
+import { Input } from "@/components/ui/input"
+
+export default function FieldDemo({ variants, mode }: DemoProps) {
+  return (
+    <FieldSet className="w-full max-w-md">
+      <FieldLegend>Profile</FieldLegend>
+      <FieldGroup>
+        <VariantGrid
+          options={variants.fieldVariants}
+          render={(props) => (
+            <Field {...props}>
+              <FieldContent>
+                <FieldLabel htmlFor={`name-${props.orientation}-${mode}`}>Name</FieldLabel>
+                <FieldDescription>Shown on your profile.</FieldDescription>
+              </FieldContent>
+              <Input id={`name-${props.orientation}-${mode}`} placeholder="Ada Lovelace" />
+            </Field>
+          )}
+        />
+        <FieldSeparator>Or</FieldSeparator>
+        <Field data-invalid>
+          <FieldLabel htmlFor={`email-${mode}`}>Email</FieldLabel>
+          <Input id={`email-${mode}`} aria-invalid defaultValue="ada@" />
+          <FieldError errors={[{ message: "Enter a valid email address." }]} />
+        </Field>
+      </FieldGroup>
+    </FieldSet>
+  )
+}
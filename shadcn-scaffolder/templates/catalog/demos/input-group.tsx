@@ -0,0 +1,52 @@
+import { SearchIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import {
+  InputGroup,
+  InputGroupAddon,
+  InputGroupButton,
+  InputGroupInput,
+  InputGroupText,
+  InputGroupTextarea,
+} from "@/components/ui/input-group"
+
+export default function InputGroupDemo({ variants }: DemoProps) {
+  return (
+    <div className="flex max-w-sm flex-col gap-4">
+      <VariantGrid
+        options={variants.inputGroupAddonVariants}
+        render={(props) =>
+          props.align?.startsWith("block") ? (
+            <InputGroup>
+              <InputGroupTextarea placeholder="Write a comment..." />
+              <InputGroupAddon {...props}>
+                <InputGroupText>{props.align}</InputGroupText>
+              </InputGroupAddon>
+            </InputGroup>
+          ) : (
+            <InputGroup>
+              <InputGroupInput placeholder="Search..." />
+              <InputGroupAddon {...props}>
+                <SearchIcon />
+              </InputGroupAddon>
+            </InputGroup>
+          )
+        }
+      />
+      <VariantGrid
+        options={variants.inputGroupButtonVariants}
+        render={(props) => (
+          <InputGroup>
+            <InputGroupInput placeholder="example.com" />
+            <InputGroupAddon align="inline-end">
+              <InputGroupButton {...props}>
+                {props.size?.startsWith("icon") ? <SearchIcon /> : "Go"}
+              </InputGroupButton>
+            </InputGroupAddon>
+          </InputGroup>
+        )}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,12 @@
+import { Input } from "@/components/ui/input"
+
+export default function InputDemo() {
+  return (
+    <div className="flex max-w-sm flex-col gap-2">
+      <Input type="email" placeholder="Email" aria-label="Email" />
+      <Input type="file" aria-label="File" />
+      <Input placeholder="Disabled" aria-label="Disabled" disabled />
+      <Input defaultValue="Invalid" aria-label="Invalid" aria-invalid />
+    </div>
+  )
+}
@@ -0,0 +1,52 @@
+import { BadgeCheckIcon, ChevronRightIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Button } from "@/components/ui/button"
+import {
+  Item,
+  ItemActions,
+  ItemContent,
+  ItemDescription,
+  ItemMedia,
+  ItemTitle,
+} from "@/components/ui/item"
+
+export default function ItemDemo({ variants }: DemoProps) {
+  return (
+    <div className="flex flex-col gap-4">
+      <VariantGrid
+        options={variants.itemVariants}
+        render={(props) => (
+          <Item {...props} className="w-80">
+            <ItemContent>
+              <ItemTitle>Basic item</ItemTitle>
+              <ItemDescription>A simple item with a title.</ItemDescription>
+            </ItemContent>
+            <ItemActions>
+              <Button variant="outline" size="sm">
+                Action
+              </Button>
+            </ItemActions>
+          </Item>
+        )}
+      />
+      <VariantGrid
+        options={variants.itemMediaVariants}
+        render={(props) => (
+          <Item variant="outline" size="sm" className="w-80">
+            <ItemMedia {...props}>
+              <BadgeCheckIcon />
+            </ItemMedia>
+            <ItemContent>
+              <ItemTitle>Your profile has been verified.</ItemTitle>
+            </ItemContent>
+            <ItemActions>
+              <ChevronRightIcon className="size-4" />
+            </ItemActions>
+          </Item>
+        )}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,17 @@
+import { Kbd, KbdGroup } from "@/components/ui/kbd"
+
+export default function KbdDemo() {
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm">
+      <KbdGroup>
+        <Kbd>⌘</Kbd>
+        <Kbd>⇧</Kbd>
+        <Kbd>⌥</Kbd>
+        <Kbd>⌃</Kbd>
+      </KbdGroup>
+      <span>
+        Press <Kbd>Ctrl</Kbd> + <Kbd>B</Kbd> to toggle the sidebar
+      </span>
+    </div>
+  )
+}
@@ -0,0 +1,11 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { Label } from "@/components/ui/label"
+
+export default function LabelDemo({ mode }: DemoProps) {
+  return (
+    <div className="flex items-center gap-2">
+      <input id={`label-${mode}`} type="checkbox" />
+      <Label htmlFor={`label-${mode}`}>Accept terms and conditions</Label>
+    </div>
+  )
+}
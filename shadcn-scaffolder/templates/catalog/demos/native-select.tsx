@@ -0,0 +1,24 @@
+import {
+  NativeSelect,
+  NativeSelectOptGroup,
+  NativeSelectOption,
+} from "@/components/ui/native-select"
+
+export default function NativeSelectDemo() {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {(["default", "sm"] as const).map((size) => (
+        <NativeSelect key={size} size={size} defaultValue="todo" aria-label="Status">
+          <NativeSelectOptGroup label="Open">
+            <NativeSelectOption value="todo">Todo</NativeSelectOption>
+            <NativeSelectOption value="in-progress">In progress</NativeSelectOption>
+          </NativeSelectOptGroup>
+          <NativeSelectOption value="done">Done</NativeSelectOption>
+        </NativeSelect>
+      ))}
+      <NativeSelect disabled aria-label="Disabled">
+        <NativeSelectOption>Disabled</NativeSelectOption>
+      </NativeSelect>
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import {
+  NavigationMenu,
+  NavigationMenuContent,
+  NavigationMenuItem,
+  NavigationMenuLink,
+  NavigationMenuList,
+  NavigationMenuTrigger,
+  navigationMenuTriggerStyle,
+} from "@/components/ui/navigation-menu"
+
+const LINKS = [
+  { title: "Introduction", description: "Re-usable components built with Radix UI and Tailwind CSS." },
+  { title: "Installation", description: "How to install dependencies and structure your app." },
+  { title: "Typography", description: "Styles for headings, paragraphs and lists." },
+]
+
+export default function NavigationMenuDemo() {
+  return (
+    <NavigationMenu>
+      <NavigationMenuList>
+        <NavigationMenuItem>
+          <NavigationMenuTrigger>Getting started</NavigationMenuTrigger>
+          <NavigationMenuContent>
+            <ul className="grid w-80 gap-2">
+              {LINKS.map((link) => (
+                <li key={link.title}>
+                  <NavigationMenuLink href="#navigation-menu">
+                    <div className="text-sm font-medium">{link.title}</div>
+                    <p className="text-muted-foreground line-clamp-2 text-sm">
+                      {link.description}
+                    </p>
+                  </NavigationMenuLink>
+                </li>
+              ))}
+            </ul>
+          </NavigationMenuContent>
+        </NavigationMenuItem>
+        <NavigationMenuItem>
+          <NavigationMenuTrigger>Components</NavigationMenuTrigger>
+          <NavigationMenuContent>
+            <ul className="grid w-48 gap-1">
+              {["Alert dialog", "Hover card", "Progress"].map((title) => (
+                <li key={title}>
+                  <NavigationMenuLink href="#navigation-menu">{title}</NavigationMenuLink>
+                </li>
+              ))}
+            </ul>
+          </NavigationMenuContent>
+        </NavigationMenuItem>
+        <NavigationMenuItem>
+          <NavigationMenuLink href="#navigation-menu" className={navigationMenuTriggerStyle()}>
+            Docs
+          </NavigationMenuLink>
+        </NavigationMenuItem>
+      </NavigationMenuList>
+    </NavigationMenu>
+  )
+}
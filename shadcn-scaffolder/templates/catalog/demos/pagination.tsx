@@ -0,0 +1,38 @@
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from "@/components/ui/pagination"
+
+export default function PaginationDemo() {
+  return (
+    <Pagination className="justify-start">
+      <PaginationContent>
+        <PaginationItem>
+          <PaginationPrevious href="#pagination" />
+        </PaginationItem>
+        <PaginationItem>
+          <PaginationLink href="#pagination">1</PaginationLink>
+        </PaginationItem>
+        <PaginationItem>
+          <PaginationLink href="#pagination" isActive>
+            2
+          </PaginationLink>
+        </PaginationItem>
+        <PaginationItem>
+          <PaginationLink href="#pagination">3</PaginationLink>
+        </PaginationItem>
+        <PaginationItem>
+          <PaginationEllipsis />
+        </PaginationItem>
+        <PaginationItem>
+          <PaginationNext href="#pagination" />
+        </PaginationItem>
+      </PaginationContent>
+    </Pagination>
+  )
+}
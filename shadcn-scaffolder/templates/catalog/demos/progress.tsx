@@ -0,0 +1,11 @@
+import { Progress } from "@/components/ui/progress"
+
+export default function ProgressDemo() {
+  return (
+    <div className="flex max-w-sm flex-col gap-3">
+      {[0, 33, 66, 100].map((value) => (
+        <Progress key={value} value={value} aria-label={`${value}%`} />
+      ))}
+    </div>
+  )
+}
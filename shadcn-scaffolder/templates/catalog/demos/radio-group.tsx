@@ -0,0 +1,22 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { Label } from "@/components/ui/label"
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
+
+const OPTIONS = ["Default", "Comfortable", "Compact"]
+
+export default function RadioGroupDemo({ mode }: DemoProps) {
+  return (
+    <RadioGroup defaultValue="Comfortable">
+      {OPTIONS.map((option) => (
+        <div key={option} className="flex items-center gap-3">
+          <RadioGroupItem value={option} id={`radio-${option}-${mode}`} />
+          <Label htmlFor={`radio-${option}-${mode}`}>{option}</Label>
+        </div>
+      ))}
+      <div className="flex items-center gap-3">
+        <RadioGroupItem value="disabled" id={`radio-disabled-${mode}`} disabled />
+        <Label htmlFor={`radio-disabled-${mode}`}>Disabled</Label>
+      </div>
+    </RadioGroup>
+  )
+}
@@ -0,0 +1,27 @@
+import {
+  ResizableHandle,
+  ResizablePanel,
+  ResizablePanelGroup,
+} from "@/components/ui/resizable"
+
+export default function ResizableDemo() {
+  return (
+    <ResizablePanelGroup orientation="horizontal" className="max-w-md rounded-lg border">
+      <ResizablePanel defaultSize="50%">
+        <div className="flex h-48 items-center justify-center text-sm font-semibold">One</div>
+      </ResizablePanel>
+      <ResizableHandle withHandle />
+      <ResizablePanel defaultSize="50%">
+        <ResizablePanelGroup orientation="vertical">
+          <ResizablePanel defaultSize="25%">
+            <div className="flex h-full items-center justify-center text-sm font-semibold">Two</div>
+          </ResizablePanel>
+          <ResizableHandle />
+          <ResizablePanel defaultSize="75%">
+            <div className="flex h-full items-center justify-center text-sm font-semibold">Three</div>
+          </ResizablePanel>
+        </ResizablePanelGroup>
+      </ResizablePanel>
+    </ResizablePanelGroup>
+  )
+}
@@ -0,0 +1,32 @@
+import { ScrollArea, ScrollBar } from "@/components/ui/scroll-area"
+import { Separator } from "@/components/ui/separator"
+
+const TAGS = Array.from({ length: 30 }, (_, i) => `v1.2.0-beta.${30 - i}`)
+
+export default function ScrollAreaDemo() {
+  return (
+    <div className="flex flex-wrap gap-4">
+      <ScrollArea className="h-56 w-48 rounded-md border">
+        <div className="p-4">
+          <h4 className="mb-4 text-sm font-medium">Tags</h4>
+          {TAGS.map((tag) => (
+            <div key={tag}>
+              <div className="text-sm">{tag}</div>
+              <Separator className="my-2" />
+            </div>
+          ))}
+        </div>
+      </ScrollArea>
+      <ScrollArea className="w-64 rounded-md border whitespace-nowrap">
+        <div className="flex w-max gap-4 p-4">
+          {Array.from({ length: 8 }, (_, i) => (
+            <div key={i} className="bg-muted flex size-24 items-center justify-center rounded-md text-sm">
+              {i + 1}
+            </div>
+          ))}
+        </div>
+        <ScrollBar orientation="horizontal" />
+      </ScrollArea>
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import {
+  Select,
+  SelectContent,
+  SelectGroup,
+  SelectItem,
+  SelectLabel,
+  SelectSeparator,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+
+export default function SelectDemo() {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {(["default", "sm"] as const).map((size) => (
+        <Select key={size} defaultValue="apple">
+          <SelectTrigger size={size} className="w-44">
+            <SelectValue placeholder="Select a fruit" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectGroup>
+              <SelectLabel>Fruits</SelectLabel>
+              <SelectItem value="apple">Apple</SelectItem>
+              <SelectItem value="banana">Banana</SelectItem>
+            </SelectGroup>
+            <SelectSeparator />
+            <SelectGroup>
+              <SelectLabel>Vegetables</SelectLabel>
+              <SelectItem value="carrot">Carrot</SelectItem>
+              <SelectItem value="leek" disabled>
+                Leek
+              </SelectItem>
+            </SelectGroup>
+          </SelectContent>
+        </Select>
+      ))}
+    </div>
+  )
+}
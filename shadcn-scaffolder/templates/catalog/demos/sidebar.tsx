@@ -0,0 +1,66 @@
+import { HomeIcon, InboxIcon, SettingsIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarMenu,
+  SidebarMenuBadge,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarProvider,
+} from "@/components/ui/sidebar"
+
+const ITEMS = [
+  { title: "Home", icon: HomeIcon },
+  { title: "Inbox", icon: InboxIcon, badge: "24" },
+  { title: "Settings", icon: SettingsIcon },
+]
+
+// collapsible="none" renders the sidebar in place instead of fixed to the
+// viewport
+export default function SidebarDemo({ variants }: DemoProps) {
+  return (
+    <SidebarProvider className="min-h-0">
+      <Sidebar collapsible="none" className="h-auto rounded-lg border">
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupLabel>Application</SidebarGroupLabel>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {ITEMS.map((item, index) => (
+                  <SidebarMenuItem key={item.title}>
+                    <SidebarMenuButton isActive={index === 0}>
+                      <item.icon />
+                      <span>{item.title}</span>
+                    </SidebarMenuButton>
+                    {item.badge && <SidebarMenuBadge>{item.badge}</SidebarMenuBadge>}
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+      <div className="flex-1 p-4">
+        <VariantGrid
+          options={variants.sidebarMenuButtonVariants}
+          render={(props) => (
+            <SidebarMenu className="w-44">
+              <SidebarMenuItem>
+                <SidebarMenuButton {...props}>
+                  <HomeIcon />
+                  <span>Home</span>
+                </SidebarMenuButton>
+              </SidebarMenuItem>
+            </SidebarMenu>
+          )}
+        />
+      </div>
+    </SidebarProvider>
+  )
+}
@@ -0,0 +1,13 @@
+import { Skeleton } from "@/components/ui/skeleton"
+
+export default function SkeletonDemo() {
+  return (
+    <div className="flex items-center gap-4">
+      <Skeleton className="size-12 rounded-full" />
+      <div className="flex flex-col gap-2">
+        <Skeleton className="h-4 w-56" />
+        <Skeleton className="h-4 w-44" />
+      </div>
+    </div>
+  )
+}
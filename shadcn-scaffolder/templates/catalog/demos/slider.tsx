@@ -0,0 +1,11 @@
+import { Slider } from "@/components/ui/slider"
+
+export default function SliderDemo() {
+  return (
+    <div className="flex max-w-sm flex-col gap-6">
+      <Slider defaultValue={[50]} max={100} step={1} aria-label="Volume" />
+      <Slider defaultValue={[25, 75]} max={100} step={1} aria-label="Range" />
+      <Slider defaultValue={[40]} disabled aria-label="Disabled" />
+    </div>
+  )
+}
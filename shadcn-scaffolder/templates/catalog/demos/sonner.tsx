@@ -0,0 +1,24 @@
+import { toast } from "sonner"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { Button } from "@/components/ui/button"
+import { Toaster } from "@/components/ui/sonner"
+
+// Toasts render at the corner of the page and follow the page mode. One
+// Toaster is enough for both previews.
+export default function SonnerDemo({ mode }: DemoProps) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {mode === "light" && <Toaster />}
+      <Button variant="outline" onClick={() => toast("Event has been created")}>
+        Default
+      </Button>
+      <Button variant="outline" onClick={() => toast.success("Changes saved")}>
+        Success
+      </Button>
+      <Button variant="outline" onClick={() => toast.error("Something went wrong")}>
+        Error
+      </Button>
+    </div>
+  )
+}
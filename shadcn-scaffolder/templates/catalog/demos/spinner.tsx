@@ -0,0 +1,16 @@
+import { Button } from "@/components/ui/button"
+import { Spinner } from "@/components/ui/spinner"
+
+export default function SpinnerDemo() {
+  return (
+    <div className="flex flex-wrap items-center gap-4">
+      <Spinner />
+      <Spinner className="size-6" />
+      <Spinner className="size-8" />
+      <Button disabled size="sm">
+        <Spinner />
+        Loading...
+      </Button>
+    </div>
+  )
+}
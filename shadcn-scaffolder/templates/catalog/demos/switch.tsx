@@ -0,0 +1,22 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+
+export default function SwitchDemo({ mode }: DemoProps) {
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center gap-2">
+        <Switch id={`airplane-${mode}`} />
+        <Label htmlFor={`airplane-${mode}`}>Airplane mode</Label>
+      </div>
+      <div className="flex items-center gap-2">
+        <Switch id={`wifi-${mode}`} defaultChecked />
+        <Label htmlFor={`wifi-${mode}`}>Wi-Fi</Label>
+      </div>
+      <div className="flex items-center gap-2">
+        <Switch id={`disabled-${mode}`} disabled />
+        <Label htmlFor={`disabled-${mode}`}>Disabled</Label>
+      </div>
+    </div>
+  )
+}
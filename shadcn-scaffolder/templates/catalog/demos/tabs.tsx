@@ -0,0 +1,28 @@
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+
+export default function TabsDemo({ variants }: DemoProps) {
+  return (
+    <VariantGrid
+      options={variants.tabsListVariants}
+      render={(props) => (
+        <Tabs defaultValue="account" className="w-80">
+          <TabsList {...props}>
+            <TabsTrigger value="account">Account</TabsTrigger>
+            <TabsTrigger value="password">Password</TabsTrigger>
+            <TabsTrigger value="billing" disabled>
+              Billing
+            </TabsTrigger>
+          </TabsList>
+          <TabsContent value="account" className="text-sm">
+            Make changes to your account here.
+          </TabsContent>
+          <TabsContent value="password" className="text-sm">
+            Change your password here.
+          </TabsContent>
+        </Tabs>
+      )}
+    />
+  )
+}
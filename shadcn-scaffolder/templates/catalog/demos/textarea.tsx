@@ -0,0 +1,11 @@
+import { Textarea } from "@/components/ui/textarea"
+
+export default function TextareaDemo() {
+  return (
+    <div className="flex max-w-sm flex-col gap-2">
+      <Textarea placeholder="Type your message here." aria-label="Message" />
+      <Textarea placeholder="Disabled" aria-label="Disabled" disabled />
+      <Textarea defaultValue="Invalid" aria-label="Invalid" aria-invalid />
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+import { BoldIcon, ItalicIcon, UnderlineIcon } from "lucide-react"
+
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group"
+
+// Variants come from toggle's toggleVariants
+export default function ToggleGroupDemo() {
+  return (
+    <div className="flex flex-col gap-3">
+      {(["default", "outline"] as const).map((variant) => (
+        <ToggleGroup key={variant} type="multiple" variant={variant} defaultValue={["bold"]}>
+          <ToggleGroupItem value="bold" aria-label="Toggle bold">
+            <BoldIcon />
+          </ToggleGroupItem>
+          <ToggleGroupItem value="italic" aria-label="Toggle italic">
+            <ItalicIcon />
+          </ToggleGroupItem>
+          <ToggleGroupItem value="underline" aria-label="Toggle underline">
+            <UnderlineIcon />
+          </ToggleGroupItem>
+        </ToggleGroup>
+      ))}
+      <ToggleGroup type="single" variant="outline" spacing={2} defaultValue="italic">
+        <ToggleGroupItem value="bold" aria-label="Bold">
+          <BoldIcon />
+        </ToggleGroupItem>
+        <ToggleGroupItem value="italic" aria-label="Italic">
+          <ItalicIcon />
+        </ToggleGroupItem>
+      </ToggleGroup>
+    </div>
+  )
+}
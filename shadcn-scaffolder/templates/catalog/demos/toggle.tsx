@@ -0,0 +1,18 @@
+import { BoldIcon } from "lucide-react"
+
+import type { DemoProps } from "@/catalog/variant-grid"
+import { VariantGrid } from "@/catalog/variant-grid"
+import { Toggle } from "@/components/ui/toggle"
+
+export default function ToggleDemo({ variants }: DemoProps) {
+  return (
+    <VariantGrid
+      options={variants.toggleVariants}
+      render={(props) => (
+        <Toggle {...props} aria-label="Toggle bold" defaultPressed={props.variant === "outline"}>
+          <BoldIcon />
+        </Toggle>
+      )}
+    />
+  )
+}
@@ -0,0 +1,24 @@
+import { Button } from "@/components/ui/button"
+import {
+  Tooltip,
+  TooltipContent,
+  TooltipProvider,
+  TooltipTrigger,
+} from "@/components/ui/tooltip"
+
+export default function TooltipDemo() {
+  return (
+    <TooltipProvider>
+      <div className="flex flex-wrap gap-2">
+        {(["top", "right", "bottom", "left"] as const).map((side) => (
+          <Tooltip key={side}>
+            <TooltipTrigger asChild>
+              <Button variant="outline">{side}</Button>
+            </TooltipTrigger>
+            <TooltipContent side={side}>Add to library</TooltipContent>
+          </Tooltip>
+        ))}
+      </div>
+    </TooltipProvider>
+  )
+}
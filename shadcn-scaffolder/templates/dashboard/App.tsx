@@ -0,0 +1,71 @@
+import { AppSidebar } from "@/components/app-sidebar"
+import { OrdersTable } from "@/components/orders-table"
+import { RevenueChart } from "@/components/revenue-chart"
+import { Badge } from "@/components/ui/badge"
+import {
+  Card,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Separator } from "@/components/ui/separator"
+import {
+  SidebarInset,
+  SidebarProvider,
+  SidebarTrigger,
+} from "@/components/ui/sidebar"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+
+const stats = [
+  { title: "Revenue", value: "$45,231", change: "+20.1%" },
+  { title: "Subscriptions", value: "2,350", change: "+18.0%" },
+  { title: "Active now", value: "573", change: "+4.3%" },
+]
+
+function App() {
+  return (
+    <SidebarProvider>
+      <AppSidebar />
+      <SidebarInset>
+        <header className="flex h-14 shrink-0 items-center gap-2 border-b px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+          <h1 className="text-sm font-medium">Dashboard</h1>
+          <Input placeholder="Search..." className="ml-auto h-8 w-48" />
+        </header>
+        <main className="flex flex-1 flex-col gap-4 p-4">
+          <div className="grid gap-4 md:grid-cols-3">
+            {stats.map((stat) => (
+              <Card key={stat.title}>
+                <CardHeader>
+                  <CardDescription>{stat.title}</CardDescription>
+                  <CardTitle className="text-2xl tabular-nums">
+                    {stat.value}
+                  </CardTitle>
+                  <Badge variant="outline" className="w-fit">
+                    {stat.change}
+                  </Badge>
+                </CardHeader>
+              </Card>
+            ))}
+          </div>
+          <Tabs defaultValue="overview">
+            <TabsList>
+              <TabsTrigger value="overview">Overview</TabsTrigger>
+              <TabsTrigger value="orders">Orders</TabsTrigger>
+            </TabsList>
+            <TabsContent value="overview">
+              <RevenueChart />
+            </TabsContent>
+            <TabsContent value="orders">
+              <OrdersTable />
+            </TabsContent>
+          </Tabs>
+        </main>
+      </SidebarInset>
+    </SidebarProvider>
+  )
+}
+
+export default App
@@ -0,0 +1,81 @@
+import { Badge } from "@/components/ui/badge"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+
+type Order = {
+  id: string
+  customer: string
+  status: "paid" | "pending" | "refunded"
+  amount: number
+}
+
+const orders: Order[] = [
+  { id: "INV-001", customer: "Olivia Martin", status: "paid", amount: 250 },
+  { id: "INV-002", customer: "Jackson Lee", status: "pending", amount: 150 },
+  { id: "INV-003", customer: "Isabella Nguyen", status: "paid", amount: 350 },
+  { id: "INV-004", customer: "William Kim", status: "refunded", amount: 450 },
+  { id: "INV-005", customer: "Sofia Davis", status: "paid", amount: 550 },
+]
+
+const statusVariant = {
+  paid: "default",
+  pending: "secondary",
+  refunded: "outline",
+} as const
+
+const currency = new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency: "USD",
+})
+
+export function OrdersTable() {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Recent orders</CardTitle>
+        <CardDescription>The five most recent invoices.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Invoice</TableHead>
+              <TableHead>Customer</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {orders.map((order) => (
+              <TableRow key={order.id}>
+                <TableCell className="font-medium">{order.id}</TableCell>
+                <TableCell>{order.customer}</TableCell>
+                <TableCell>
+                  <Badge variant={statusVariant[order.status]}>
+                    {order.status}
+                  </Badge>
+                </TableCell>
+                <TableCell className="text-right tabular-nums">
+                  {currency.format(order.amount)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,71 @@
+import { Area, AreaChart, CartesianGrid, XAxis } from "recharts"
+
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  type ChartConfig,
+} from "@/components/ui/chart"
+
+const data = [
+  { month: "January", revenue: 18600, expenses: 8000 },
+  { month: "February", revenue: 30500, expenses: 20000 },
+  { month: "March", revenue: 23700, expenses: 12000 },
+  { month: "April", revenue: 7300, expenses: 19000 },
+  { month: "May", revenue: 20900, expenses: 13000 },
+  { month: "June", revenue: 21400, expenses: 14000 },
+]
+
+const chartConfig = {
+  revenue: { label: "Revenue", color: "var(--chart-1)" },
+  expenses: { label: "Expenses", color: "var(--chart-2)" },
+} satisfies ChartConfig
+
+export function RevenueChart() {
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Revenue</CardTitle>
+        <CardDescription>January – June</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ChartContainer config={chartConfig} className="h-72 w-full">
+          <AreaChart data={data} margin={{ left: 12, right: 12 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis
+              dataKey="month"
+              tickLine={false}
+              axisLine={false}
+              tickMargin={8}
+              tickFormatter={(value: string) => value.slice(0, 3)}
+            />
+            <ChartTooltip content={<ChartTooltipContent indicator="dot" />} />
+            <Area
+              dataKey="expenses"
+              type="natural"
+              fill="var(--color-expenses)"
+              fillOpacity={0.4}
+              stroke="var(--color-expenses)"
+              stackId="a"
+            />
+            <Area
+              dataKey="revenue"
+              type="natural"
+              fill="var(--color-revenue)"
+              fillOpacity={0.4}
+              stroke="var(--color-revenue)"
+              stackId="a"
+            />
+          </AreaChart>
+        </ChartContainer>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,29 @@
+import { ProfileForm } from "@/components/profile-form"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+
+function App() {
+  return (
+    <main className="bg-muted/40 flex min-h-svh items-center justify-center p-6">
+      <Card className="w-full max-w-lg">
+        <CardHeader>
+          <CardTitle>Create your profile</CardTitle>
+          <CardDescription>
+            Validated with react-hook-form and zod. See{" "}
+            <code className="font-mono">src/components/profile-form.tsx</code>.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <ProfileForm />
+        </CardContent>
+      </Card>
+    </main>
+  )
+}
+
+export default App
@@ -0,0 +1,44 @@
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+
+function App() {
+  return (
+    <main className="bg-muted/40 flex min-h-svh items-center justify-center p-6">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <Badge variant="secondary" className="w-fit">
+            Early access
+          </Badge>
+          <CardTitle className="text-2xl">Build something great</CardTitle>
+          <CardDescription>
+            This project was scaffolded with shadcn/ui. Edit{" "}
+            <code className="font-mono">src/App.tsx</code> to get started.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form
+            className="flex gap-2"
+            onSubmit={(event) => event.preventDefault()}
+          >
+            <Input type="email" placeholder="you@example.com" required />
+            <Button type="submit">Notify me</Button>
+          </form>
+        </CardContent>
+        <CardFooter className="text-muted-foreground text-sm">
+          No spam. Unsubscribe at any time.
+        </CardFooter>
+      </Card>
+    </main>
+  )
+}
+
+export default App
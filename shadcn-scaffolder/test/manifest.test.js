@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { detectProject } = require('../lib/project');
+const { readManifest, recordItems, itemFileStatus, updateItems } = require('../lib/manifest');
+
+// A Vite project where each item is in a different state relative to the
+// base the manifest recorded for it
+
+const BASE = 'function Widget() {\n  return <div />\n}\n\nexport { Widget }\n';
+const LOCAL = BASE.replace('function Widget() {', '// Local edit\nfunction Widget() {');
+const REMOTE = BASE.replace('export { Widget }', 'export { Widget, type WidgetProps }');
+
+function item(name, content) {
+  return { name, type: 'registry:ui', files: [{ path: `ui/${name}.tsx`, type: 'registry:ui', content }] };
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function viteProject(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  write(path.join(dir, 'package.json'), JSON.stringify({ name: 'demo' }));
+  write(path.join(dir, 'vite.config.ts'), 'export default {}\n');
+  write(path.join(dir, 'tsconfig.json'), JSON.stringify({ compilerOptions: { paths: { '@/*': ['./src/*'] } } }));
+  write(path.join(dir, 'components.json'), JSON.stringify({ rsc: false, tsx: true, tailwind: { css: 'src/index.css' } }));
+  write(path.join(dir, 'src/index.css'), '@import "tailwindcss";\n');
+  return detectProject(dir);
+}
+
+// Local edits and registry changes since BASE was installed
+const CASES = {
+  current:   { local: BASE, registry: BASE },
+  outdated:  { local: BASE, registry: REMOTE },
+  modified:  { local: LOCAL, registry: BASE },
+  diverged:  { local: LOCAL, registry: REMOTE },
+};
+
+function setUp(t) {
+  const project = viteProject(t);
+  const uiFile = name => path.join(project.projectDir, 'src/components/ui', `${name}.tsx`);
+
+  const names = Object.keys(CASES);
+  for (const name of names) write(uiFile(name), BASE);
+  assert.deepStrictEqual(recordItems(project, names.map(name => item(name, BASE)), 'registry.json'), names);
+  for (const [name, { local }] of Object.entries(CASES)) write(uiFile(name), local);
+  // On disk and different from the registry, but never recorded
+  write(uiFile('untracked'), LOCAL);
+
+  const items = [
+    ...Object.entries(CASES).map(([name, { registry }]) => item(name, registry)),
+    item('untracked', BASE),
+  ];
+  return { project, items, uiFile, itemNamed: name => items.find(entry => entry.name === name) };
+}
+
+test('itemFileStatus compares the base, the project and the registry', (t) => {
+  const { project, items, itemNamed } = setUp(t);
+  const manifest = readManifest(project.projectDir);
+
+  const statuses = Object.fromEntries(items.map(entry => [entry.name, itemFileStatus(project, manifest, entry)[0].status]));
+  assert.deepStrictEqual(statuses, {
+    current: 'current',
+    outdated: 'outdated',
+    modified: 'modified',
+    diverged: 'diverged',
+    untracked: 'untracked',
+  });
+
+  const [diverged] = itemFileStatus(project, manifest, itemNamed('diverged'));
+  assert.deepStrictEqual(
+    { relPath: diverged.relPath, base: diverged.base, local: diverged.local, expected: diverged.expected },
+    { relPath: path.join('src', 'components', 'ui', 'diverged.tsx'), base: BASE, local: LOCAL, expected: REMOTE },
+  );
+});
+
+test('updateItems applies registry changes and keeps local edits', (t) => {
+  const { project, items, uiFile, itemNamed } = setUp(t);
+
+  const actions = Object.fromEntries(updateItems(project, items, 'registry.json').map(result => [result.item, result.action]));
+  assert.deepStrictEqual(actions, {
+    current: 'unchanged',
+    outdated: 'updated',
+    modified: 'unchanged',
+    diverged: 'merged',
+    untracked: 'skipped',
+  });
+
+  const read = name => fs.readFileSync(uiFile(name), 'utf8');
+  assert.strictEqual(read('outdated'), REMOTE);
+  assert.strictEqual(read('modified'), LOCAL);
+  assert.strictEqual(read('diverged'), REMOTE.replace('function Widget() {', '// Local edit\nfunction Widget() {'));
+  assert.strictEqual(read('untracked'), LOCAL);
+
+  // The registry version is the new base: the merged file is now only
+  // edited locally, and the untracked one still has no base
+  const manifest = readManifest(project.projectDir);
+  assert.strictEqual(itemFileStatus(project, manifest, itemNamed('diverged'))[0].status, 'modified');
+  assert.strictEqual(itemFileStatus(project, manifest, itemNamed('untracked'))[0].status, 'untracked');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { merge3, unifiedDiff } = require('../lib/merge');
+
+const lines = (...content) => `${content.join('\n')}\n`;
+
+const BASE = lines('import * as React from "react"', '', 'function Button() {', '  return <button />', '}', '', 'export { Button }');
+
+test('merge3 takes a change made on one side only', () => {
+  const remote = BASE.replace('<button />', '<button data-slot="button" />');
+
+  assert.deepStrictEqual(merge3(BASE, BASE, remote), { content: remote, conflicts: 0 });
+  assert.deepStrictEqual(merge3(BASE, remote, BASE), { content: remote, conflicts: 0 });
+});
+
+test('merge3 combines changes to different lines', () => {
+  const local = BASE.replace('import * as React from "react"', 'import * as React from "react"\nimport { cn } from "@/lib/utils"');
+  const remote = BASE.replace('export { Button }', 'export { Button, type ButtonProps }');
+
+  assert.deepStrictEqual(merge3(BASE, local, remote), {
+    content: lines(
+      'import * as React from "react"',
+      'import { cn } from "@/lib/utils"',
+      '',
+      'function Button() {',
+      '  return <button />',
+      '}',
+      '',
+      'export { Button, type ButtonProps }',
+    ),
+    conflicts: 0,
+  });
+});
+
+test('merge3 takes a change made the same way on both sides once', () => {
+  const changed = BASE.replace('<button />', '<button type="button" />');
+
+  assert.deepStrictEqual(merge3(BASE, changed, changed), { content: changed, conflicts: 0 });
+});
+
+test('merge3 marks overlapping changes as a conflict', () => {
+  const local = BASE.replace('<button />', '<button className="local" />');
+  const remote = BASE.replace('<button />', '<button className="remote" />');
+
+  assert.deepStrictEqual(merge3(BASE, local, remote), {
+    content: lines(
+      'import * as React from "react"',
+      '',
+      'function Button() {',
+      '<<<<<<< local',
+      '  return <button className="local" />',
+      '||||||| base',
+      '  return <button />',
+      '=======',
+      '  return <button className="remote" />',
+      '>>>>>>> registry',
+      '}',
+      '',
+      'export { Button }',
+    ),
+    conflicts: 1,
+  });
+});
+
+test('unifiedDiff writes hunks with context and line numbers', () => {
+  const to = BASE.replace('<button />', '<button type="button" />');
+
+  assert.strictEqual(unifiedDiff(BASE, BASE), '');
+  assert.strictEqual(unifiedDiff(BASE, to, { fromLabel: 'a/button.tsx', toLabel: 'b/button.tsx', context: 1 }), lines(
+    '--- a/button.tsx',
+    '+++ b/button.tsx',
+    '@@ -3,3 +3,3 @@',
+    ' function Button() {',
+    '-  return <button />',
+    '+  return <button type="button" />',
+    ' }',
+  ));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { detectProject } = require('../lib/project');
+const { installedItems, planRemoval, removeItemFiles, unusedPackages } = require('../lib/remover');
+
+// A registry where two items build on `separator`, and a Vite project with
+// all of them installed
+
+function item(name, { dependencies = [], registryDependencies = [] } = {}) {
+  const imports = dependencies.map(dependency => `import * as ${name.replace(/\W/g, '')} from "${dependency}"\n`).join('');
+  return {
+    name,
+    type: 'registry:ui',
+    dependencies,
+    registryDependencies,
+    files: [{ path: `ui/${name}.tsx`, type: 'registry:ui', content: `${imports}export function Component() {}\n` }],
+  };
+}
+
+const REGISTRY = {
+  items: [
+    item('separator', { dependencies: ['radix-ui'] }),
+    item('field', { registryDependencies: ['separator'] }),
+    item('sidebar', { registryDependencies: ['separator', 'sheet'] }),
+    item('sheet', { dependencies: ['radix-ui'] }),
+    item('drawer', { dependencies: ['vaul'] }),
+  ],
+};
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function viteProject(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'remover-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  write(path.join(dir, 'package.json'), JSON.stringify({
+    name: 'demo',
+    dependencies: { react: '^19.1.0', 'radix-ui': '^1.4.0', vaul: '^1.1.0' },
+  }));
+  write(path.join(dir, 'vite.config.ts'), 'export default {}\n');
+  write(path.join(dir, 'tsconfig.json'), JSON.stringify({ compilerOptions: { paths: { '@/*': ['./src/*'] } } }));
+  write(path.join(dir, 'components.json'), JSON.stringify({ rsc: false, tsx: true, tailwind: { css: 'src/index.css' } }));
+  write(path.join(dir, 'src/index.css'), '@import "tailwindcss";\n');
+  write(path.join(dir, 'src/App.tsx'), 'export default function App() {}\n');
+
+  const project = detectProject(dir);
+  for (const entry of REGISTRY.items) {
+    for (const file of entry.files) write(path.join(dir, 'src/components', file.path), file.content);
+  }
+  return project;
+}
+
+const names = items => items.map(entry => entry.name);
+
+test('planRemoval blocks items that installed items depend on', (t) => {
+  const installed = installedItems(viteProject(t), REGISTRY, { items: {} });
+  assert.deepStrictEqual(names(installed), ['separator', 'field', 'sidebar', 'sheet', 'drawer']);
+
+  assert.deepStrictEqual(planRemoval(installed, ['separator']), {
+    remove: [],
+    blocked: { separator: ['field', 'sidebar'] },
+  });
+  // Removing the dependents along with it is not blocked
+  assert.deepStrictEqual(planRemoval(installed, ['separator', 'field', 'sidebar']), {
+    remove: ['separator', 'field', 'sidebar'],
+    blocked: {},
+  });
+});
+
+test('planRemoval with cascade removes the dependents too', (t) => {
+  const installed = installedItems(viteProject(t), REGISTRY, { items: {} });
+
+  assert.deepStrictEqual(planRemoval(installed, ['separator'], { cascade: true }), {
+    remove: ['separator', 'field', 'sidebar'],
+    blocked: {},
+  });
+  // sidebar's own dependency stays: only dependents cascade
+  assert.deepStrictEqual(planRemoval(installed, ['sheet'], { cascade: true }).remove, ['sheet', 'sidebar']);
+});
+
+test('unusedPackages prunes the packages only the removed items used', (t) => {
+  const project = viteProject(t);
+  const installed = installedItems(project, REGISTRY, { items: {} });
+  const { remove } = planRemoval(installed, ['drawer']);
+  const removed = installed.filter(entry => remove.includes(entry.name));
+  const kept = installed.filter(entry => !remove.includes(entry.name));
+
+  assert.deepStrictEqual(removeItemFiles(project, removed, kept), {
+    removed: [path.join('src', 'components', 'ui', 'drawer.tsx')],
+    edited: [],
+  });
+  assert.deepStrictEqual(unusedPackages(project, removed, kept), ['vaul']);
+  // radix-ui is still used by the kept items
+  assert.deepStrictEqual(unusedPackages(project, installed.filter(entry => entry.name === 'sheet'), kept), []);
+});
+
+test('unusedPackages keeps packages the project sources still import', (t) => {
+  const project = viteProject(t);
+  write(path.join(project.projectDir, 'src/App.tsx'), 'import { Drawer } from "vaul"\n\nexport default function App() {}\n');
+  const installed = installedItems(project, REGISTRY, { items: {} });
+  const removed = installed.filter(entry => entry.name === 'drawer');
+  const kept = installed.filter(entry => entry.name !== 'drawer');
+
+  removeItemFiles(project, removed, kept);
+  assert.deepStrictEqual(unusedPackages(project, removed, kept), []);
+});
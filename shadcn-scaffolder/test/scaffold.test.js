@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { scaffold } = require('..');
+const { STATE_FILENAME } = require('../lib/utils');
+const { LOCK_FILENAME } = require('../lib/lock');
+
+// scaffold() against fake commands: runCommand writes what the real ones
+// would leave behind, so the steps and the verification see a project
+
+const REGISTRY = path.join(__dirname, '..', '..', 'registry.json');
+
+const COMPONENTS_JSON = {
+  style: 'new-york',
+  rsc: false,
+  tsx: true,
+  tailwind: { config: '', css: 'src/index.css', baseColor: 'neutral', cssVariables: true },
+  aliases: { components: '@/components', utils: '@/lib/utils', ui: '@/components/ui', lib: '@/lib', hooks: '@/hooks' },
+};
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// Records the label of every command. Commands labelled in `fail` exit
+// with 1; `onRun(label)` may return a promise the command waits for.
+function fakeRunner(projectName, { calls = [], fail = [], onRun = () => {} } = {}) {
+  return async (command, args, { cwd, label }) => {
+    calls.push(label);
+    await onRun(label);
+    const run = { code: 0, signal: null, timedOut: false, aborted: false, output: '', logFile: null };
+    if (fail.includes(label)) {
+      return { ...run, code: 1, output: `${label} failed` };
+    }
+
+    if (label === 'Project creation') {
+      const dir = path.join(cwd, projectName);
+      write(path.join(dir, 'package.json'), JSON.stringify({ name: projectName, dependencies: { react: '^19.1.0' } }));
+      write(path.join(dir, 'vite.config.ts'), 'export default {}\n');
+      write(path.join(dir, 'tsconfig.json'), JSON.stringify({ compilerOptions: { paths: { '@/*': ['./src/*'] } } }));
+      write(path.join(dir, 'src/index.css'), '@import "tailwindcss";\n');
+      write(path.join(dir, 'src/main.tsx'), '');
+    } else if (label === 'npm install' || label === 'Component dependencies') {
+      write(path.join(cwd, 'node_modules/react/package.json'), '{}');
+    } else if (label === 'shadcn init') {
+      write(path.join(cwd, 'components.json'), JSON.stringify(COMPONENTS_JSON));
+      write(path.join(cwd, 'src/lib/utils.ts'), 'export function cn() {}\n');
+    }
+    return run;
+  };
+}
+
+function tmpTarget(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function options(targetDir, runCommand, extra = {}) {
+  return {
+    projectName: 'demo',
+    targetDir,
+    registry: REGISTRY,
+    packageManager: 'npm',
+    executors: { runCommand },
+    log: false,
+    ...extra,
+  };
+}
+
+test('creates a project and reports each step and component', async (t) => {
+  const targetDir = tmpTarget(t);
+  const events = [];
+  const result = await scaffold(options(targetDir, fakeRunner('demo'), {
+    onEvent: event => events.push(event),
+  }));
+
+  assert.deepStrictEqual({ ...result, summary: null }, {
+    success: true,
+    completed: true,
+    aborted: false,
+    cancelled: false,
+    errors: [],
+    plan: null,
+    summary: null,
+  });
+  assert.strictEqual(result.summary.success, true);
+  assert.deepStrictEqual(result.summary.installed, ['button', 'card', 'badge', 'input']);
+  assert.deepStrictEqual(result.summary.failed, []);
+
+  const sequence = events
+    .filter(event => event.type === 'step' || event.type === 'component' || event.type === 'summary')
+    .map(event => [event.type, event.step || event.name, event.status].filter(Boolean).join(' '));
+  assert.deepStrictEqual(sequence, [
+    'step viteCreate running',
+    'step viteCreate done',
+    'step npmInstall running',
+    'step npmInstall done',
+    'step shadcnInit running',
+    'step shadcnInit done',
+    'step componentInstall running',
+    'component button installed',
+    'component card installed',
+    'component badge installed',
+    'component input installed',
+    'step componentInstall done',
+    'step starterFiles running',
+    'step starterFiles done',
+    'step verification running',
+    'step verification done',
+    'summary',
+  ]);
+  assert.ok(fs.existsSync(path.join(targetDir, 'demo/src/components/ui/button.tsx')));
+  assert.ok(!fs.existsSync(path.join(targetDir, 'demo', STATE_FILENAME)));
+});
+
+test('reports the components that fail to install', async (t) => {
+  const targetDir = tmpTarget(t);
+  const events = [];
+  // The native install fails, and so does the shadcn CLI for card
+  const runCommand = fakeRunner('demo', {
+    fail: ['Component dependencies', 'Component batch install', 'Install card'],
+  });
+  const result = await scaffold(options(targetDir, runCommand, {
+    retries: { componentInstall: 0 },
+    onEvent: event => events.push(event),
+  }));
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.completed, true);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.summary.failed, ['card']);
+  assert.deepStrictEqual(
+    events.filter(event => event.type === 'component').map(event => `${event.name} ${event.status}`),
+    ['button installed', 'card failed', 'badge installed', 'input installed'],
+  );
+});
+
+test('an aborted run saves its state, and the same options resume it', async (t) => {
+  const targetDir = tmpTarget(t);
+  const controller = new AbortController();
+  const abortDuringInstall = label => {
+    if (label !== 'npm install') return undefined;
+    controller.abort(new Error('Interrupted by test'));
+    return new Promise(() => {});
+  };
+  // Like the real runner, the command ends when the run's signal aborts
+  const hanging = fakeRunner('demo', { onRun: abortDuringInstall });
+  const runCommand = (command, args, opts) => new Promise((resolve) => {
+    controller.signal.addEventListener('abort', () => resolve({
+      code: null, signal: null, timedOut: false, aborted: true, output: '', logFile: null,
+    }), { once: true });
+    hanging(command, args, opts).then(resolve);
+  });
+
+  const aborted = await scaffold(options(targetDir, runCommand, { signal: controller.signal }));
+  assert.strictEqual(aborted.aborted, true);
+  assert.strictEqual(aborted.success, false);
+  assert.strictEqual(aborted.summary.error, 'Interrupted by test');
+
+  const projectPath = path.join(targetDir, 'demo');
+  const state = JSON.parse(fs.readFileSync(path.join(projectPath, STATE_FILENAME), 'utf8'));
+  assert.strictEqual(state.steps.viteCreate, 'done');
+  assert.strictEqual(state.steps.npmInstall, 'failed');
+  assert.strictEqual(state.steps.componentInstall, 'pending');
+  assert.ok(!fs.existsSync(path.join(projectPath, LOCK_FILENAME)));
+
+  const calls = [];
+  const resumed = await scaffold(options(targetDir, fakeRunner('demo', { calls })));
+  assert.strictEqual(resumed.success, true);
+  assert.strictEqual(calls[0], 'npm install');
+  assert.ok(!calls.includes('Project creation'));
+  assert.ok(!fs.existsSync(path.join(projectPath, STATE_FILENAME)));
+});
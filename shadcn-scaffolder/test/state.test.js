@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { STATE_VERSION, migrateState, compareInputs, pendingComponents } = require('../lib/state');
+
+// A state file as written before per-component status: no requested
+// components, theme or starter files step
+function v1State() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'state-v1.json'), 'utf8'));
+}
+
+const SAVED_INPUTS = {
+  template: 'minimal',
+  requestedComponents: ['button', 'card', 'badge', 'input'],
+  components: ['button', 'card', 'badge', 'input'],
+};
+
+test('migrates a version-1 state file', () => {
+  const state = migrateState(v1State());
+
+  assert.strictEqual(state.version, STATE_VERSION);
+  assert.deepStrictEqual(state.requestedComponents, ['button', 'card', 'badge', 'input']);
+  assert.deepStrictEqual(state.steps, {
+    viteCreate: 'done',
+    npmInstall: 'done',
+    shadcnInit: 'done',
+    componentInstall: 'failed',
+    starterFiles: 'pending',
+    verification: 'pending',
+  });
+  assert.deepStrictEqual(state.componentStatus, {
+    button: 'installed',
+    card: 'installed',
+    badge: 'failed',
+    input: 'pending',
+  });
+  assert.strictEqual(state.framework, 'vite');
+  assert.strictEqual(state.packageManager, 'npm');
+  assert.deepStrictEqual(pendingComponents(state), ['input']);
+});
+
+test('a migrated version-1 state resumes with the same inputs', () => {
+  const state = migrateState(v1State());
+
+  assert.deepStrictEqual(compareInputs(state, SAVED_INPUTS), []);
+  assert.deepStrictEqual(compareInputs(state, { ...SAVED_INPUTS, requestedComponents: ['button'] }), [
+    'components: saved button,card,badge,input, now button',
+  ]);
+  assert.deepStrictEqual(compareInputs(state, { ...SAVED_INPUTS, template: 'dashboard', theme: { baseColor: 'zinc' } }), [
+    '--template: saved "minimal", now "dashboard"',
+    '--base-color: saved "neutral", now "zinc"',
+  ]);
+});
+
+test('compareInputs skips inputs the saved state does not have', () => {
+  const state = v1State();
+  delete state.template;
+
+  assert.deepStrictEqual(compareInputs(state, SAVED_INPUTS), []);
+  assert.deepStrictEqual(compareInputs(state, { ...SAVED_INPUTS, components: ['button'] }), [
+    'resolved components: saved button,card,badge,input, now button',
+  ]);
+});